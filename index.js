@@ -3,17 +3,42 @@ import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
 import multer from 'multer';
-import fs from 'fs';
 import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import http from 'node:http';
-
-import OpenAI from 'openai';
-import Groq from 'groq-sdk';
-
-import sharp from 'sharp';
-import Tesseract from 'tesseract.js';
+import { AsyncResource } from 'node:async_hooks';
+
+import { MAX_ALIGN_WORDS, alignWords, tokenize } from './lib/alignment.js';
+import { computeFluency } from './lib/fluency.js';
+import { buildAsrResult, createTranscriber, pickAudioExt } from './lib/asr.js';
+import { attachAsrStream } from './lib/asrStream.js';
+import { createStore } from './lib/store.js';
+import { createJobs } from './lib/jobs.js';
+import { createProviderRegistry } from './lib/providers.js';
+import { createModerator } from './lib/moderation.js';
+import { createAuth } from './lib/auth.js';
+import { createRateLimiter, routeClass } from './lib/rateLimit.js';
+import { createUsage } from './lib/usage.js';
+import { DEFAULT_LANG, LANGS, langPack, resolveLang } from './lib/lang.js';
+import {
+  HERO_THEMES, chooseMostNovel, buildGreetingPrompt, parseList, sanitizeNoName,
+  addressChild, ageBucket, rubricBand, buildMotivationPrompt, tightenMotivation,
+} from './lib/agentText.js';
+import { localGreeting, localMotivation } from './lib/offlineAgent.js';
+import { createPool } from './lib/pool.js';
+import {
+  buildPassagePrompt, checkPassage, cleanPassage, corpusPassage, parsePassageOptions, splitSentences,
+} from './lib/passages.js';
+import { syllabifyText } from './lib/syllables.js';
+import { MAX_PAGES as OCR_MAX_PAGES, createOcr, textOnlyOcr } from './lib/ocr.js';
+import { createOcrWorkerSet } from './lib/ocrWorkers.js';
+import { isPdf } from './lib/pdf.js';
+import { buildReadingScript } from './lib/readingScript.js';
+import {
+  CONTENT_TYPES as TTS_CONTENT_TYPES, DEFAULT_VOICES as TTS_DEFAULT_VOICES, OPENAI_VOICES, TTS_MAX_CHARS, createTts, defaultVoice,
+} from './lib/tts.js';
+import { buildChildReport, renderReportHtml } from './lib/reports.js';
 
 /* ===== Paths / app ===== */
 const __filename = fileURLToPath(import.meta.url);
@@ -31,15 +56,10 @@ const DEADLINE_MS = Number(process.env.FAST_TIMEOUT_MS || 1200);
 const MAX_TOKENS_FAST = Number(process.env.MAX_TOKENS_FAST || 64);
 const PREWARM_EVERY_MIN = Number(process.env.PREWARM_EVERY_MIN || 5); // 0 = tylko na starcie
 const BASE_URL = process.env.BASE_URL || '';
-const GROQ_MODEL = process.env.GROQ_MODEL || 'llama-3.1-8b-instant';
 
 const keepAliveAgent = new http.Agent({ keepAlive: true, timeout: 10_000 }); // (pozostawiony – już nie wpinamy go do fetch)
 const now = () => (global.performance?.now?.() ?? Date.now());
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-const trimUserContent = (s = '', limit = 1200) => {
-  const compact = String(s || '').replace(/\s+/g, ' ').trim();
-  return compact.length > limit ? compact.slice(-limit) : compact;
-};
 function withDeadline(promise, ms = DEADLINE_MS) {
   return new Promise((resolve, reject) => {
     const to = setTimeout(() => reject(new Error('DEADLINE_EXCEEDED')), ms);
@@ -53,65 +73,130 @@ const upload = multer({
   limits: { fileSize: 50 * 1024 * 1024 },
 });
 
+// multer woła next z eventu strumienia — bez bind gubi kontekst żądania (trasa/dziecko w lib/usage.js)
+const keepContext = mw => (req, res, next) => mw(req, res, AsyncResource.bind(next));
+const audioUpload = keepContext(upload.single('audio'));
+
+// OCR: kilka plików naraz (pola image / images / pdf, w kolejności przesłania)
+const OCR_MAX_FILES = Number(process.env.OCR_MAX_FILES || 20);
+const OCR_FIELDS = new Set(['image', 'images', 'pdf']);
+const ocrMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: OCR_MAX_FILES },
+}).any();
+
+function ocrUpload(req, res, next) {
+  ocrMulter(req, res, AsyncResource.bind(err => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ ok: false, error: 'BAD_UPLOAD', details: err.code || String(err?.message || err) });
+    }
+    req.files = (req.files || []).filter(f => OCR_FIELDS.has(f.fieldname));
+    next();
+  }));
+}
+
 /* ===== Clients ===== */
-const openai = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
-const groq   = process.env.GROQ_API_KEY   ? new Groq({ apiKey: process.env.GROQ_API_KEY })     : null;
+// Zużycie i koszty każdego wywołania dostawcy + budżety (przekroczony → tańszy dostawca / offline)
+const usage = createUsage();
+
+// Rejestr dostawców: chat / transcription / tts / vision z failoverem i circuit breakerem
+const ai = createProviderRegistry({ usage });
+
+// ASR: cloud (rejestr: Groq → OpenAI → local) | local (tylko LOCAL_AI_BASE_URL) | echo (atrapa offline)
+const transcriber = createTranscriber(process.env.ASR_TRANSCRIBER || 'cloud', { ai });
+
+// OCR: Tesseract (stałe workery + kolejka, pula per język) z bboxami słów albo (USE_OPENAI_OCR=1) vision z samym tekstem
+const ocrWorkers = createOcrWorkerSet();
+const ocr = createOcr({ ai, workers: ocrWorkers });
+
+// Moderacja wszystkiego, co napisał LLM, zanim trafi do dziecka (reguły lokalne + opcjonalnie dostawca)
+const moderator = createModerator({ ai });
+
+/* ===== Storage (profile dzieci + sesje czytania) ===== */
+const store = createStore();
+
+// Zadania w tle (długi OCR / ASR): wyniki w pamięci przez JOB_TTL_MIN
+const jobs = createJobs();
 
 /* ===== Mock flags ===== */
 const MOCK_ASR  = process.env.MOCK_ASR  === '1';
 const MOCK_TEXT = process.env.MOCK_TEXT === '1';
 
-/* ===================== OCR helpers ===================== */
-const LANG_PATH =
-  process.env.OCR_LANG_PATH ||
-  'https://raw.githubusercontent.com/tesseract-ocr/tessdata_best/main';
-
-let inflight = 0;
-const MAX_CONCURRENCY = Number(process.env.OCR_MAX_CONCURRENCY || 2);
-async function acquire() { while (inflight >= MAX_CONCURRENCY) await sleep(40); inflight++; }
-function release() { inflight = Math.max(0, inflight - 1); }
-
-const WHITELIST =
-  'ABCDEFGHIJKLMNOPQRSTUVWXYZĄĆĘŁŃÓŚŹŻ' +
-  'abcdefghijklmnopqrstuvwxyząćęłńóśźż' +
-  '0123456789' +
-  ' .,:;!?„”"\'()-–—/\\[]{}…';
-
-async function preprocess(buffer) {
-  let img = sharp(buffer)
-    .rotate()
-    .resize({ width: Number(process.env.OCR_WIDTH || 2000), withoutEnlargement: true })
-    .grayscale()
-    .normalize();
-
-  if (process.env.OCR_THRESHOLD === '1') {
-    const thr = Number(process.env.OCR_THRESHOLD_VALUE || 185);
-    img = img.threshold(thr);
-  } else {
-    const a = Number(process.env.OCR_LINEAR_A || 1.25);
-    const b = Number(process.env.OCR_LINEAR_B || -12);
-    img = img.linear(a, b).sharpen();
+/* ===== Dostęp: tokeny urządzeń (lib/auth.js) + limity żądań (lib/rateLimit.js) ===== */
+// Za proxy Rendera adres klienta jest w X-Forwarded-For; TRUST_PROXY = liczba zaufanych proxy (0 = bez)
+const TRUST_PROXY = Number(process.env.TRUST_PROXY ?? 1);
+app.set('trust proxy', TRUST_PROXY);
+
+const auth = createAuth({ store });
+const limiter = createRateLimiter();
+// Bez tokenu: strona główna, /health, rejestracja i pliki audio TTS (nazwa = hash treści; src <audio>)
+const OPEN_PATHS = /^\/(?:health|auth\/register|tts\/audio\/[^/]+)?$/;
+
+// IP klienta także dla surowego req WebSocketu (bez req.ip) — tak jak liczy Express przy trust proxy = N
+function clientIp(req) {
+  if (req.ip) return req.ip;
+  const chain = [
+    ...String(req.headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean),
+    req.socket?.remoteAddress,
+  ];
+  return chain[Math.max(0, chain.length - 1 - TRUST_PROXY)];
+}
+
+// Wspólne dla HTTP i WebSocketu: { device, headers } albo odmowa { status, headers, body } (401/429)
+function checkAccess(req) {
+  if (auth.isAdmin(req)) return { device: null, headers: {} };
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let device = null;
+  if (!OPEN_PATHS.test(pathname)) {
+    const out = auth.authenticate(req);
+    if (out.status) return out;
+    device = out.device;
   }
-  return img.png().toBuffer();
-}
-
-/* ===================== AUDIO helpers ===================== */
-const EXT_BY_MIME = {
-  'audio/webm': 'webm',
-  'audio/m4a': 'm4a',
-  'audio/mp4': 'mp4',
-  'audio/mpeg': 'mp3',
-  'audio/mp3': 'mp3',
-  'audio/wav': 'wav',
-  'audio/x-wav': 'wav',
-  'audio/ogg': 'ogg',
-};
-function pickAudioExt(file) {
-  const fromName = path.extname(file?.originalname || '').replace('.', '').toLowerCase();
-  if (fromName) return fromName;
-  const fromMime = EXT_BY_MIME[(file?.mimetype || '').toLowerCase()];
-  if (fromMime) return fromMime;
-  return 'dat';
+  const cls = routeClass(pathname);
+  const rate = limiter.hit(cls, { device: device?.id, ip: clientIp(req) });
+  if (!rate.limit) return { device, headers: {} };
+  const headers = {
+    'RateLimit-Limit': String(rate.limit),
+    'RateLimit-Remaining': String(rate.remaining),
+    'RateLimit-Reset': String(rate.retryAfter),
+  };
+  if (rate.ok) return { device, headers };
+  return {
+    status: 429,
+    headers: { ...headers, 'Retry-After': String(rate.retryAfter) },
+    body: { ok: false, error: 'RATE_LIMITED', routeClass: cls, retryAfter: rate.retryAfter },
+  };
+}
+
+app.use((req, res, next) => {
+  const access = checkAccess(req);
+  if (access.status) return send(res, access);
+  res.set(access.headers);
+  req.device = access.device;
+  next();
+});
+
+// Koszty wywołań dostawców przypisane do trasy, urządzenia i dziecka z tego żądania
+app.use(usage.middleware);
+
+function requireAdmin(req, res, next) {
+  if (auth.adminAllowed(req)) return next();
+  res.status(403).json({ ok: false, error: 'ADMIN_REQUIRED' });
+}
+
+// Profile dzieci (i ich sesje) należą do urządzenia, które je założyło; cudze są jak nieistniejące (404).
+// Bez urządzenia (AUTH_MODE=off albo optional bez tokenu) widać tylko profile bez właściciela.
+const ownerOf = req => req.device?.id || null;
+
+function ownChild(req, id) {
+  const child = id ? store.children.get(id) : null;
+  return child && (child.deviceId || null) === ownerOf(req) ? child : null;
+}
+
+function ownSession(req, id) {
+  const session = id ? store.sessions.get(id) : null;
+  return session && ownChild(req, session.childId) ? session : null;
 }
 
 /* ===================== ROUTES ===================== */
@@ -127,332 +212,228 @@ app.get('/', (_req, res) => {
     <body style="font-family: system-ui, sans-serif; padding:24px">
       <h1>poczytajmy-backend</h1>
       <p>Status: <a href="/health">/health</a></p>
+      <p>Język: parametr <code>lang</code> (${LANGS.join(', ')}; domyślnie ${DEFAULT_LANG} albo język z profilu dziecka)</p>
+      <p>Dostęp: <code>POST /auth/register</code> → token w <code>Authorization: Bearer …</code> albo <code>?token=</code> (tryb ${auth.mode})</p>
+      <p>Po imieniu: <code>addressByName</code> (powitania i motywacje z wołaczem, np. „Kasiu!”; też w profilu dziecka)</p>
       <ul>
         <li>POST <code>/agent/generate-greeting</code></li>
         <li>POST <code>/agent/generate-text</code></li>
-        <li>POST <code>/asr</code>, <code>/ocr</code></li>
+        <li>POST <code>/text/syllables</code></li>
+        <li>POST <code>/asr</code>, <code>/asr/fluency</code>, <code>/ocr</code></li>
+        <li>POST <code>/ocr/jobs</code>, <code>/asr/jobs</code>; GET <code>/jobs/:id</code>, SSE <code>/jobs/:id/events</code></li>
+        <li>POST <code>/reading/from-photo</code> (zdjęcia / PDF: pola <code>image</code>, <code>images</code>, <code>pdf</code>)</li>
+        <li>WS <code>/asr/stream</code></li>
+        <li>POST/GET <code>/tts</code> (JSON z base64, URL albo surowe audio z Range; <code>timings</code> → czasy słów; <code>mode</code>: slow / syllables / word); GET <code>/tts/audio/:file</code>, <code>/tts/voices</code></li>
+        <li>GET <code>/providers</code>, <code>/pool</code>, <code>/moderation</code>, <code>/ocr/status</code>, <code>/tts/cache</code> (admin: <code>X-Admin-Key</code>)</li>
+        <li>CRUD <code>/children</code>, GET <code>/children/:id/sessions</code></li>
+        <li>GET <code>/children/:id/report</code>, <code>/children/:id/report.html</code></li>
       </ul>
     </body></html>
   `);
 });
 
 /* ===================== ASR (z timestamps + accuracy) ===================== */
-app.post('/asr', upload.single('audio'), async (req, res) => {
+// { status, body, headers } → odpowiedź HTTP; te same wyniki idą do zadań w tle (/jobs)
+function send(res, { status = 200, body, headers = {} }) {
+  return res.set(headers).status(status).json(body);
+}
+
+/* ===== Język żądania ===== */
+// `lang` z body albo query (stara nazwa: `language`), potem z profilu dziecka, potem DEFAULT_LANG;
+// nieznany → null i trasa oddaje UNSUPPORTED_LANG
+function requestLang(req, child) {
+  const raw = req.body?.lang ?? req.query?.lang ?? req.body?.language ?? req.query?.language;
+  return resolveLang(raw, child?.lang || DEFAULT_LANG);
+}
+// Zwracanie się do dziecka po imieniu (wołacz) — opt-in: addressByName w żądaniu albo w profilu
+function addressByName(req, child) {
+  const raw = req.body?.addressByName;
+  return raw === undefined ? child?.addressByName === true : raw === true || raw === '1' || raw === 'true';
+}
+const BAD_LANG = { status: 400, body: { ok: false, error: 'UNSUPPORTED_LANG', supported: LANGS } };
+// Wyrównanie słów ma limit (lib/alignment.js); za długi expectedText odrzucamy przed transkrypcją
+const TOO_MANY_WORDS = { status: 413, body: { ok: false, error: 'TOO_MANY_WORDS', maxWords: MAX_ALIGN_WORDS } };
+const tooManyWords = text => tokenize(String(text || '')).length > MAX_ALIGN_WORDS;
+
+// Cała logika /asr jako { status, body }; onProgress dla trybu zadania
+async function asrResponse(req, { onProgress } = {}) {
   try {
+    const { expectedText = '', childId } = req.body || {};
+    const child = ownChild(req, childId);
+    if (childId && !child) return { status: 404, body: { ok: false, error: 'CHILD_NOT_FOUND' } };
+    const lang = requestLang(req, child);
+    if (!lang) return BAD_LANG;
+    if (tooManyWords(expectedText)) return TOO_MANY_WORDS;
+
     if (MOCK_ASR) {
-      return res.json({
-        ok: true,
-        recognizedText: 'Ala ma kota i psa',
-        wordsRead: 5,
-        accuracy: 87,
-        wordTimestamps: [
-          { word: 'Ala', tStart: 0.0, tEnd: 0.4 },
-          { word: 'ma',  tStart: 0.6, tEnd: 0.8 },
-          { word: 'kota',tStart: 1.2, tEnd: 1.7 },
-          { word: 'i',   tStart: 3.7, tEnd: 3.8 },
-          { word: 'psa', tStart: 8.8, tEnd: 9.3 },
-        ],
-        source: 'mock'
-      });
+      const wordTimestamps = [
+        { word: 'Ala', tStart: 0.0, tEnd: 0.4 },
+        { word: 'ma',  tStart: 0.6, tEnd: 0.8 },
+        { word: 'kota',tStart: 1.2, tEnd: 1.7 },
+        { word: 'i',   tStart: 3.7, tEnd: 3.8 },
+        { word: 'psa', tStart: 8.8, tEnd: 9.3 },
+      ];
+      // ta sama ocena co w prawdziwej ścieżce — sesja z atrapy nie zawyża raportów stałym 87%
+      const result = {
+        ...buildAsrResult({ recognizedText: 'Ala ma kota i psa', wordTimestamps, expectedText, provider: 'mock' }),
+        lang,
+      };
+      if (child) result.sessionId = recordReadingSession(child, expectedText, result).id;
+      return { body: result };
     }
 
-    if (!req.file) return res.status(400).json({ ok: false, error: 'Brak pliku w polu "audio".' });
-
-    const { expectedText = '' } = req.body || {};
-    const ext = pickAudioExt(req.file);
-    const tmpPath = path.join(os.tmpdir(), `rec-${Date.now()}.${ext}`);
-    fs.writeFileSync(tmpPath, req.file.buffer);
-    const stream = fs.createReadStream(tmpPath);
-
-    let provider = 'none';
-    let recognizedText = '';
-    let wordTimestamps = [];
+    if (!req.file) return { status: 400, body: { ok: false, error: 'Brak pliku w polu "audio".' } };
 
+    onProgress?.({ stage: 'transcribing' });
+    let out;
     try {
-      if (groq) {
-        // Groq Whisper – verbose_json pozwala wyciągnąć words/segments
-        const transcript = await groq.audio.transcriptions.create({
-          file: stream,
-          model: 'whisper-large-v3',
-          language: 'pl',
-          response_format: 'verbose_json',
-          temperature: 0,
-        });
-        provider = 'groq';
-        recognizedText = (transcript?.text || '').trim();
-
-        if (Array.isArray(transcript?.words) && transcript.words.length) {
-          wordTimestamps = transcript.words.map(w => ({
-            word: String(w.word || w.text || '').trim(),
-            tStart: Number(w.start ?? 0),
-            tEnd: Number(w.end ?? 0),
-          })).filter(w => w.word);
-        } else if (Array.isArray(transcript?.segments)) {
-          const out = [];
-          for (const seg of transcript.segments) {
-            if (Array.isArray(seg.words) && seg.words.length) {
-              for (const w of seg.words) {
-                out.push({
-                  word: String(w.word || w.text || '').trim(),
-                  tStart: Number(w.start ?? 0),
-                  tEnd: Number(w.end ?? 0),
-                });
-              }
-            }
-          }
-          wordTimestamps = out;
-        }
-      } else if (openai) {
-        // OpenAI Whisper – verbose_json z segments/words
-        const transcript = await openai.audio.transcriptions.create({
-          file: stream,
-          model: 'whisper-1',
-          language: 'pl',
-          response_format: 'verbose_json',
-          temperature: 0,
-        });
-        provider = 'openai';
-        recognizedText = (transcript?.text || '').trim();
-
-        const out = [];
-        if (Array.isArray(transcript?.segments)) {
-          for (const seg of transcript.segments) {
-            if (Array.isArray(seg.words) && seg.words.length) {
-              for (const w of seg.words) {
-                out.push({
-                  word: String(w.word || w.text || '').trim(),
-                  tStart: Number(w.start ?? 0),
-                  tEnd: Number(w.end ?? 0),
-                });
-              }
-            }
-          }
-        }
-        wordTimestamps = out;
-      } else {
-        return res.status(502).json({ ok: false, error: 'NO_PROVIDER' });
-      }
-    } finally {
-      fs.unlink(tmpPath, () => {});
+      out = await transcriber.transcribe({ buffer: req.file.buffer, ext: pickAudioExt(req.file), language: langPack(lang).asr, expectedText });
+    } catch (err) {
+      if (String(err?.message || err) === 'NO_PROVIDER') return { status: 502, body: { ok: false, error: 'NO_PROVIDER' } };
+      if (String(err?.message || err) === 'BUDGET_EXCEEDED') return { status: 503, body: { ok: false, error: 'BUDGET_EXCEEDED' } };
+      throw err;
     }
 
-    // Fallback gdy brak word-level timestamps – rozsmaruj po czasie
-    if (!Array.isArray(wordTimestamps) || wordTimestamps.length === 0) {
-      const words = (recognizedText || '').split(/\s+/).filter(Boolean);
-      let t = 0;
-      wordTimestamps = words.map(w => {
-        const start = t; const end = t + 0.4; t += 0.8; // 0.4s artykulacji + 0.4s krótka pauza
-        return { word: w, tStart: start, tEnd: end };
-      });
-    }
+    onProgress?.({ stage: 'scoring' });
+    const result = {
+      ...buildAsrResult({
+        recognizedText: out.text,
+        wordTimestamps: out.wordTimestamps,
+        expectedText,
+        provider: out.provider,
+      }),
+      lang,
+    };
+    if (child) result.sessionId = recordReadingSession(child, expectedText, result).id;
+    return { body: result };
+  } catch (err) {
+    if (String(err?.message || err) === 'ALIGN_TOO_LARGE') return TOO_MANY_WORDS;
+    console.error('ASR error:', err);
+    return { status: 500, body: { ok: false, error: 'ASR_FAILED', details: String(err?.message || err) } };
+  }
+}
 
-    const wordsRead = Number(wordTimestamps.length || 0);
+app.post('/asr', audioUpload, async (req, res) => send(res, await asrResponse(req)));
 
-    // Accuracy: prosty Jaccard po tokenach (szybki i stabilny)
-    function norm(s=''){ return String(s).toLowerCase().replace(/[^\p{L}\p{M}0-9\s]+/gu,' ').replace(/\s+/g,' ').trim(); }
-    function jacc(a,b){
-      const A=new Set(norm(a).split(' ').filter(Boolean));
-      const B=new Set(norm(b).split(' ').filter(Boolean));
-      if(!A.size && !B.size) return 100;
-      let inter=0; for (const x of A) if(B.has(x)) inter++;
-      return Math.round((inter/(A.size+B.size-inter))*100);
-    }
-    const accuracy = expectedText ? jacc(recognizedText, expectedText) : 0;
+/* ===================== Płynność z gotowych timestamps (bez audio) ===================== */
+app.post('/asr/fluency', (req, res) => {
+  try {
+    const { wordTimestamps, expectedText = '', timingsEstimated = false } = req.body || {};
+    if (!Array.isArray(wordTimestamps)) return res.status(400).json({ ok: false, error: 'NO_WORD_TIMESTAMPS' });
+    if (wordTimestamps.length > MAX_ALIGN_WORDS || tooManyWords(expectedText)) return send(res, TOO_MANY_WORDS);
 
+    const alignment = expectedText ? alignWords(expectedText, wordTimestamps) : null;
     return res.json({
       ok: true,
-      recognizedText,
-      wordsRead,
-      accuracy,
-      wordTimestamps,
-      source: provider,
+      accuracy: alignment ? alignment.accuracy : 0,
+      alignment: alignment ? alignment.words : [],
+      alignmentCounts: alignment ? alignment.counts : null,
+      fluency: computeFluency({ wordTimestamps, alignment, estimated: timingsEstimated === true || timingsEstimated === '1' }),
     });
   } catch (err) {
-    console.error('ASR error:', err);
-    res.status(500).json({ ok: false, error: 'ASR_FAILED', details: String(err?.message || err) });
+    if (String(err?.message || err) === 'ALIGN_TOO_LARGE') return send(res, TOO_MANY_WORDS);
+    console.error('ASR fluency error:', err);
+    res.status(500).json({ ok: false, error: 'FLUENCY_FAILED', details: String(err?.message || err) });
   }
 });
 
 /* ===================== AGENT POWITAŃ: tematy czytelnicze + SANITYZACJA ===================== */
 
-const HERO_THEMES = {
-  'Miś': 'przytulny i cierpliwy, kocha bajki na dobranoc',
-  'Labuś': 'energiczny i wesoły, lubi książki przygodowe',
-  'Króliczek': 'ciekawski i szybki, uwielbia zagadki w opowieściach',
-  'Jeżyk': 'ostrożny i mądry, kocha opowieści z morałem'
-};
-
-const READING_TOPICS = [
-  'książki pełne magii i zaklęć',
-  'czytanie bajek na głos',
-  'szukanie nowych słów w opowiadaniu',
-  'przeżywanie przygód z bohaterami książek',
-  'poznawanie liter i sylab',
-  'czytanie komiksów z obrazkami',
-  'odkrywanie tajemnic w bibliotece',
-  'pisanie własnej bajki po przeczytaniu książki',
-  'czytanie rozdziałów z przygodami',
-  'opowiadanie przeczytanej historii przyjaciołom'
-];
-
-function pick(arr){ return arr[Math.floor(Math.random()*arr.length)]; }
-
-function normalize(text) {
-  return (text || '')
-    .toLowerCase()
-    .replace(/[„”"!?.,;:()\-\–—[\]{}…]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-function jaccard(a, b) {
-  const A = new Set(normalize(a).split(' ').filter(Boolean));
-  const B = new Set(normalize(b).split(' ').filter(Boolean));
-  if (!A.size && !B.size) return 1;
-  let inter = 0;
-  for (const w of A) if (B.has(w)) inter++;
-  return inter / (A.size + B.size - inter);
-}
-function chooseMostNovel(cands, history) {
-  if (!history || history.length === 0) return cands[0] || '';
-  let best = '';
-  let bestScore = 1;
-  for (const c of cands) {
-    const maxSim = Math.max(0, ...history.map(h => jaccard(c, h)));
-    if (maxSim < bestScore) { bestScore = maxSim; best = c; }
-  }
-  return best || cands[0] || '';
-}
-
-function buildGreetingPrompt({ age, character = 'Twój przyjaciel', theme = '', n = 12 }) {
-  const wiek = Number.isFinite(age) ? age : 'X';
-  const tone =
-    Number.isFinite(age) && age <= 5
-      ? 'proste, ciepłe, zabawowe; rytm mowy dziecka; onomatopeje OK'
-      : Number.isFinite(age) && age <= 8
-      ? 'żywe, motywujące; mini-misja; 1–2 emoji'
-      : 'pewne, partnerskie; cel, sprawczość; max 1–2 emoji';
-
-  const heroHint = theme ? `Delikatny klimat bohatera: ${theme}.` : '';
-  const chosenTopic = pick(READING_TOPICS);
-
-  return `Wymyśl ${n} ZUPEŁNIE różnych, krótkich powitań po polsku dla dziecka (wiek: ${wiek}).
-Mówi ${character}. Styl: ${tone}. ${heroHint}
-Temat przewodni: ${chosenTopic}.
-
-⚡ Każde powitanie MUSI odnosić się do czytania i książek, np. słowa: książka, czytanie, rozdział, bajka, historia, sylaba, słowo, zdanie, ilustracje, narrator, zakładka, biblioteka, księgarnia, opowieść, litery.
-⚡ NIE używaj motywów typu: las, bieganie, sport, piknik, podróże — tylko świat książek.
-⚡ Zakaz: nie używaj słów powitalnych (cześć, hej, witaj, siema, halo) oraz NIE używaj imienia dziecka w żadnej formie.
-
-📚 Przykłady:
-- Dziś razem odkryjemy nowy rozdział bajki. 📖
-- Zajrzymy do książki pełnej czarodziejskich słów. ✨
-- Sprawdzimy, ile sylab ma najdłuższe słowo w opowieści. 🚀
+const recentGreetings = new Map();
+const recentMotivations = new Map();
 
-Zasady: jedno zdanie, 6–14 wyrazów, bez cudzysłowów i bez wstępów.
-Każde powitanie w osobnej linii poprzedzone myślnikiem "- ".`;
-}
+const MODERATION_RETRIES = Number(process.env.MODERATION_RETRIES ?? 1);
+// Spodziewane powody fallbacku — bez stack trace w logach
+const QUIET_ERRORS = new Set(['DEADLINE_EXCEEDED', 'MODERATION_REJECTED', 'BUDGET_EXCEEDED']);
 
-function parseList(text) {
-  const lines = (text || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
-  const items = [];
-  for (let l of lines) {
-    l = l.replace(/^[-*\d.)]+\s*/, '');
-    if (l) items.push(l);
-  }
-  const uniq = Array.from(new Set(items)).filter(s => {
-    const wc = normalize(s).split(' ').filter(Boolean).length;
-    return wc >= 5 && wc <= 16;
-  });
-  return uniq.slice(0, 20);
-}
-
-const FORBIDDEN_HELLOS = ['cześć', 'hej', 'witaj', 'siema', 'halo'];
-function sanitizeNoName(name, raw) {
-  let s = (raw || '').trim();
-  const helloRe = new RegExp(`^\\s*(?:${FORBIDDEN_HELLOS.join('|')})\\b[\\p{L}\\p{M}\\s,!.?–—-]*`, 'iu');
-  s = s.replace(helloRe, '').trim();
-  if (name) {
-    const forms = [name, `${name}u`, `${name}o`, `${name}e`, `${name}a`, `${name}ku`];
-    const escaped = forms.map(v => v.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&'));
-    const nameRe = new RegExp(`\\b(?:${escaped.join('|')})\\b[\\s,!.?]*`, 'giu');
-    s = s.replace(nameRe, '').trim();
-  }
-  s = s.replace(/^[,–—\-|:;!.\s]+/u, '').trim();
-  return s;
+// Awaria/timeout LLM → generator offline; w odpowiedzi zostaje powód
+function fallbackInfo(err) {
+  const reason = String(err?.message || err);
+  return reason === 'DEADLINE_EXCEEDED' ? { fallback_reason: reason, timed_out: true } : { fallback_reason: reason };
 }
 
-const recentGreetings = new Map();
-
-/* ===== Groq/OpenAI race helpers (no local text) ===== */
-async function groqChat({ messages, max_tokens = MAX_TOKENS_FAST, temperature = 0.3, top_p = 0.95 }) {
-  const t0 = now();
-  // Zmiana: usunięty `agent: keepAliveAgent` (fetch w Node ignoruje tę opcję)
-  const res = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${process.env.GROQ_API_KEY || ''}`,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-      Connection: 'keep-alive'
-    },
-    body: JSON.stringify({ model: GROQ_MODEL, temperature, top_p, max_tokens, messages })
-  });
-  if (!res.ok) throw new Error(`GROQ_HTTP_${res.status}`);
-  const data = await res.json();
-  return { provider: 'groq', text: data?.choices?.[0]?.message?.content?.trim?.() || '', latency_ms: Math.round(now() - t0) };
+/* ===== Chat przez rejestr dostawców (race Groq/OpenAI/local) ===== */
+async function chatText({ prompt, temperature, top_p = 0.95, max_tokens = MAX_TOKENS_FAST }) {
+  const out = await ai.chat({ messages: [{ role: 'user', content: prompt }], temperature, top_p, max_tokens });
+  return { provider: out.provider, text: out.text, latency_ms: out.latency_ms };
 }
 
-async function generateGreetingV2({ name, age, character, theme }) {
-  const prompt = buildGreetingPrompt({ age: Number(age), character, theme, n: 12 });
+async function generateGreetingCandidates({ age, character, theme, lang, deadlineMs = DEADLINE_MS }) {
+  const prompt = buildGreetingPrompt({ age: Number(age), character, theme, n: 12, lang });
 
-  const racers = [];
-  if (process.env.GROQ_API_KEY) {
-    racers.push(groqChat({
-      messages: [{ role: 'user', content: trimUserContent(prompt) }],
-      temperature: 0.9, top_p: 0.95, max_tokens: 180,
-    }));
-  }
-  if (openai) {
-    racers.push((async () => {
-      const t0 = now();
-      const r = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.9, top_p: 0.95, max_tokens: 180,
-      });
-      const txt = r?.choices?.[0]?.message?.content?.trim?.() || '';
-      if (!txt) throw new Error('OPENAI_EMPTY');
-      return { provider: 'openai', text: txt, latency_ms: Math.round(now() - t0) };
-    })());
-  }
-
-  const winner = await withDeadline(Promise.any(racers), DEADLINE_MS);
+  const winner = await withDeadline(chatText({ prompt, temperature: 0.9, top_p: 0.95, max_tokens: 180 }), deadlineMs);
   let raw = winner.text;
 
   let cands = parseList(raw);
   if (!cands.length && raw) cands = raw.split(/[.\n]/).map(s => s.trim()).filter(Boolean);
   if (!cands.length) throw new Error('EMPTY_GENERATION');
+  cands = moderator.filter(cands, { kind: 'greeting', lang, provider: winner.provider });
+  if (!cands.length) throw new Error('MODERATION_REJECTED');
+  return { cands, provider: winner.provider };
+}
 
-  const profileKey = `${(name || '').toLowerCase()}|${Number(age)||'X'}`;
-  const history = recentGreetings.get(profileKey) || [];
-
-  const picked = chooseMostNovel(cands, history);
-  const cleaned = sanitizeNoName(name, picked);
-  const finalText = cleaned || picked;
-
-  recentGreetings.set(profileKey, [finalText, ...history].slice(0, 20));
-  return { text: finalText, source: winner.provider || 'unknown' };
+async function generateGreetingV2({ name, age, character, theme, lang, history = [], childId }) {
+  const { cands, provider } = await generateGreetingCandidates({ age, character, theme, lang });
+
+  // Odrzucony kandydat → następny najbardziej nowy z tej samej listy (bez ponownego LLM)
+  let left = cands;
+  for (let i = 0; i <= MODERATION_RETRIES && left.length; i++) {
+    const picked = chooseMostNovel(left, history);
+    const finalText = sanitizeNoName(name, picked, lang) || picked;
+    const verdict = await moderator.check(finalText, { kind: 'greeting', lang, provider, childId });
+    if (verdict.ok) return { text: finalText, source: provider || 'unknown' };
+    left = left.filter(c => c !== picked);
+  }
+  throw new Error('MODERATION_REJECTED');
 }
 
 app.post('/agent/generate-greeting', async (req, res) => {
   try {
-    const { name = '', age, character = 'Twój przyjaciel' } = req.body || {};
+    const { childId } = req.body || {};
+    const child = ownChild(req, childId);
+    if (childId && !child) return res.status(404).json({ ok: false, error: 'CHILD_NOT_FOUND' });
+    const lang = requestLang(req, child);
+    if (!lang) return send(res, BAD_LANG);
+
+    const {
+      name = child?.name || '',
+      age = child?.age,
+      character = child?.character || 'Twój przyjaciel',
+    } = req.body || {};
     const theme = HERO_THEMES[character] || '';
-    const { text, source } = await generateGreetingV2({ name, age, character, theme });
-    res.json({ ok: true, text, source });
+
+    // Historia: z profilu dziecka, a bez profilu (stare klienty) — po name|age w pamięci
+    const profileKey = `${(name || '').toLowerCase()}|${Number(age)||'X'}|${lang}`;
+    const history = child ? (child.greetingHistory || []) : (recentGreetings.get(profileKey) || []);
+
+    let text, source, fallback = null;
+    const bucket = ageBucket(age);
+    // pula tylko dla znanych bohaterów — dowolny `character` z body nie może mnożyć kluczy i dopełnień w tle
+    const pooled = HERO_THEMES[character]
+      ? greetingPool.take(`${lang}|${character}|${bucket}`, { character, bucket, lang }, { history })
+      : null;
+    if (pooled) {
+      text = sanitizeNoName(name, pooled, lang) || pooled;
+      source = 'pool';
+    } else {
+      try {
+        ({ text, source } = await generateGreetingV2({ name, age, character, theme, lang, history, childId: child?.id }));
+      } catch (err) {
+        if (!QUIET_ERRORS.has(String(err?.message || err))) console.error('agent/generate-greeting LLM error:', err);
+        fallback = fallbackInfo(err);
+        text = localGreeting({ character, age, name, history, lang });
+        source = 'local';
+      }
+    }
+
+    const nextHistory = [text, ...history].slice(0, 20);
+    if (child) store.children.update(child.id, { greetingHistory: nextHistory });
+    else recentGreetings.set(profileKey, nextHistory);
+
+    // historia bez wołacza — inaczej każde powitanie zaczynałoby się tak samo
+    if (addressByName(req, child)) text = addressChild(name, text, lang);
+    res.json({ ok: true, text, source, lang, ...fallback });
   } catch (err) {
-    const timedOut = String(err?.message || err) === 'DEADLINE_EXCEEDED';
-    if (timedOut) return res.status(504).json({ ok: false, error: 'DEADLINE_EXCEEDED', timed_out: true });
     console.error('agent/generate-greeting error:', err);
     return res.status(502).json({ ok: false, error: String(err?.message || err) });
   }
@@ -460,213 +441,225 @@ app.post('/agent/generate-greeting', async (req, res) => {
 
 /* ===================== AGENT MOTYWACJI (Groq/OpenAI) ===================== */
 
-function bucketToneByAge(age) {
-  const a = Number(age);
-  if (Number.isFinite(a) && a <= 5) return 'bardzo prosto, ciepło, łagodnie; krótkie słowa; 1 emoji max';
-  if (Number.isFinite(a) && a <= 8) return 'prosto, energicznie, wspierająco; mini-sugestia co poprawić; 1 emoji max';
-  return 'partnersko, konkretnie, z uznaniem; 1 emoji max';
-}
-
-function rubricByAccuracy(acc) {
-  const s = Math.max(0, Math.min(100, Math.round(acc || 0)));
-  if (s >= 95) return 'wynik świetny; podkreśl perfekcję i zaproponuj trudniejsze słowo przy następnej stronie';
-  if (s >= 80) return 'wynik bardzo dobry; pochwal płynność i zaproponuj jedną mikro-radę (np. dokładniej końcówki)';
-  if (s >= 60) return 'wynik dobry; pochwal staranie i podaj jedną prostą wskazówkę (np. wolniej, sylabizuj trudniejsze słowa)';
-  return 'wynik na rozgrzewkę; skup się na zachęcie i jednej mini-radzie (np. przeczytaj zdanie jeszcze raz spokojnie)';
-}
-
-function buildMotivationPrompt({ age, accuracy, text, characterName = 'Bohater', lang = 'pl' }) {
-  const tone = bucketToneByAge(age);
-  const rubric = rubricByAccuracy(accuracy);
-  const excerpt = trimUserContent(text || '', 220);
-
-  return `
-Jesteś ${characterName} z aplikacji do nauki czytania dla dzieci. Twoje zadanie:
-napisz 1 krótki komentarz motywacyjny po polsku (${lang}), dopasowany do wieku dziecka i jakości czytania.
-
-Zasady stylu:
-- Styl: ${tone}.
-- ${rubric}.
-- Maks. 160 znaków. 1 zdanie (wyjątkowo 2 bardzo krótkie).
-- Brak cudzysłowów i nawiasów. Bez liczb procentowych ani ocen wprost.
-- Mów do dziecka w 2. osobie („czytasz”, „dasz radę”), NIE używaj imienia dziecka.
-- Użyj co najwyżej 1 emoji (opcjonalnie).
-
-Kontekst (fragment przeczytanego tekstu – opcjonalnie możesz nawiązać ogólnie, bez cytowania):
-"${excerpt}"
-
-Podaj tylko gotową wypowiedź.`;
-}
-
-// --- Hard limiter: 1–2 zdania, <= maxChars, max 1 emoji, bez cudzysłowów/nawiasów/cytatów
-function tightenMotivation(s, maxChars = 160) {
-  if (!s) return s;
-
-  // usuń cudzysłowy, nawiasy i nadmiar spacji
-  s = String(s)
-    .replace(/[\"“”„”'()]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  // usuń fragmenty w cytatach (np. «kota», „kota”, "kota")
-  s = s.replace(/[«»„”"'].*?[«»„”"']/g, '').replace(/\s+/g, ' ').trim();
+async function generateMotivation({ age, accuracy, text, characterName, lang = DEFAULT_LANG, deadlineMs = DEADLINE_MS, childId, via }) {
+  const prompt = buildMotivationPrompt({ age, accuracy, text, characterName, lang });
 
-  // rozbij na zdania i weź maks 2
-  const parts = s.split(/(?<=[.!?…])\s+/).filter(Boolean);
-  s = parts.slice(0, 2).join(' ').trim();
+  // Odrzucona przez moderację → jeszcze MODERATION_RETRIES prób, potem wyjątek (fallback offline)
+  for (let attempt = 0; attempt <= MODERATION_RETRIES; attempt++) {
+    const winner = await withDeadline(chatText({ prompt, temperature: 0.9, top_p: 0.95, max_tokens: 120 }), deadlineMs);
+    let out = String(winner.text || '').trim();
+    // lekkie sanity: usuń otaczające cudzysłowy
+    out = out.replace(/^["'„”]+|["'„”]+$/g, '').trim();
 
-  // zostaw max 1 emoji
-  const emojiRe = /[\p{Extended_Pictographic}\uFE0F]/gu;
-  let seen = 0;
-  s = s.replace(emojiRe, m => (++seen > 1 ? '' : m));
+    // TWARDY LIMIT w generatorze
+    out = tightenMotivation(out, 160);
 
-  // twardy limit znaków (ucięcie na granicy wyrazu)
-  if (s.length > maxChars) {
-    s = s.slice(0, maxChars).replace(/\s+\S*$/, '').trim();
+    if (!out) throw new Error('EMPTY_MOTIVATION');
+    const verdict = await moderator.check(out, { kind: 'motivation', lang, provider: winner.provider, childId, via });
+    if (verdict.ok) return { text: out, source: winner.provider || 'unknown' };
   }
-
-  // domknij kropką, jeśli brak
-  if (!/[.!?…]$/.test(s)) s += '.';
-  return s;
+  throw new Error('MODERATION_REJECTED');
 }
 
-async function generateMotivation({ age, accuracy, text, characterName, lang = 'pl' }) {
-  const prompt = buildMotivationPrompt({ age, accuracy, text, characterName, lang });
-
-  const racers = [];
-  if (process.env.GROQ_API_KEY) {
-    racers.push(groqChat({
-      messages: [{ role: 'user', content: trimUserContent(prompt) }],
-      temperature: 0.9, top_p: 0.95, max_tokens: 120,
-    }));
-  }
-  if (openai) {
-    racers.push((async () => {
-      const t0 = now();
-      const r = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.9, top_p: 0.95, max_tokens: 120,
-      });
-      const txt = r?.choices?.[0]?.message?.content?.trim?.() || '';
-      if (!txt) throw new Error('OPENAI_EMPTY');
-      return { provider: 'openai', text: txt, latency_ms: Math.round(now() - t0) };
-    })());
-  }
-
-  const winner = await withDeadline(Promise.any(racers), DEADLINE_MS);
-  let out = String(winner.text || '').trim();
-  // lekkie sanity: usuń otaczające cudzysłowy
-  out = out.replace(/^["'„”]+|["'„”]+$/g, '').trim();
+/* ===== Pula gotowych powitań/motywacji (odpowiedź od ręki, dopełnianie w tle) ===== */
+const POOL_SIZE = ai.has('chat') ? Number(process.env.POOL_SIZE ?? 6) : 0;
+const POOL_TIMEOUT_MS = Number(process.env.POOL_TIMEOUT_MS || 15_000);
+// Reprezentatywny wiek / wynik dla przedziału (do promptu)
+const BUCKET_AGE = { small: 5, mid: 7, big: 10 };
+const BAND_ACCURACY = { great: 97, very_good: 87, good: 70, warmup: 40 };
+
+// klucz: język|bohater|przedział wieku; pozycje bez imienia (sanitizeNoName przy wydaniu)
+// Dopełnianie idzie w tle, więc koszty wywołań lądują pod własną "trasą" pool:*
+const greetingPool = createPool({
+  name: 'greetings',
+  size: POOL_SIZE,
+  maxKeys: LANGS.length * Object.keys(HERO_THEMES).length * Object.keys(BUCKET_AGE).length,
+  produce: (_key, { character, bucket, lang }) => usage.runAs({ route: 'pool:greetings' }, async () => {
+    const { cands, provider } = await generateGreetingCandidates({
+      age: BUCKET_AGE[bucket], character, theme: HERO_THEMES[character] || '', lang, deadlineMs: POOL_TIMEOUT_MS,
+    });
+    // pula wydaje pozycje bez ponownego sprawdzania — pełna moderacja (z dostawcą) tutaj, w tle
+    const ok = [];
+    for (const c of cands.map(c => sanitizeNoName('', c, lang)).filter(Boolean)) {
+      if ((await moderator.check(c, { kind: 'greeting', lang, provider, via: 'pool' })).ok) ok.push(c);
+    }
+    return ok;
+  }),
+});
 
-  // TWARDY LIMIT w generatorze
-  out = tightenMotivation(out, 160);
+// klucz: język|przedział wieku|pasmo wyniku
+const motivationPool = createPool({
+  name: 'motivations',
+  size: POOL_SIZE,
+  // produce daje jedną motywację na wywołanie — prób tyle, by dało się dojść do pełnej puli (z zapasem na odrzuty)
+  maxAttempts: POOL_SIZE * 2,
+  maxKeys: LANGS.length * Object.keys(BUCKET_AGE).length * Object.keys(BAND_ACCURACY).length,
+  produce: (_key, { bucket, band, lang }) => usage.runAs({ route: 'pool:motivations' }, async () => {
+    const { text } = await generateMotivation({
+      age: BUCKET_AGE[bucket], accuracy: BAND_ACCURACY[band], text: '', characterName: 'Bohater', lang, deadlineMs: POOL_TIMEOUT_MS, via: 'pool',
+    });
+    return [text];
+  }),
+});
 
-  if (!out) throw new Error('EMPTY_MOTIVATION');
-  return { text: out, source: winner.provider || 'unknown' };
+// Na starcie tylko język domyślny; pozostałe dopełniają się po pierwszym żądaniu
+function prefillPools(lang = DEFAULT_LANG) {
+  const buckets = Object.keys(BUCKET_AGE);
+  const greetings = Object.keys(HERO_THEMES).flatMap(character =>
+    buckets.map(bucket => [`${lang}|${character}|${bucket}`, { character, bucket, lang }]));
+  const motivations = buckets.flatMap(bucket =>
+    Object.keys(BAND_ACCURACY).map(band => [`${lang}|${bucket}|${band}`, { bucket, band, lang }]));
+  return greetingPool.prefill(greetings).then(() => motivationPool.prefill(motivations));
 }
 
+app.get('/pool', requireAdmin, (_req, res) => {
+  res.json({ ok: true, pools: [greetingPool.stats(), motivationPool.stats()] });
+});
+
 app.post('/agent/motivate', async (req, res) => {
+  let pack = langPack(DEFAULT_LANG);
   try {
+    const { childId, sessionId } = req.body || {};
+    const child = ownChild(req, childId);
+    if (childId && !child) return res.status(404).json({ ok: false, error: 'CHILD_NOT_FOUND' });
+    const lang = requestLang(req, child);
+    if (!lang) return send(res, BAD_LANG);
+    pack = langPack(lang);
+
+    // Sesja: wskazana wprost albo ostatnia sesja dziecka
+    const session = sessionId
+      ? ownSession(req, sessionId)
+      : (child ? store.sessionsOf(child.id, { limit: 1 })[0] || null : null);
+    if (sessionId && (!session || (child && session.childId !== child.id))) {
+      return res.status(404).json({ ok: false, error: 'SESSION_NOT_FOUND' });
+    }
+
     const {
-      age,
-      accuracy = 0,
-      text = '',
-      name,                 // świadomie ignorujemy w treści (priv + prostota)
-      characterName = 'Bohater',
-      lang = 'pl',
+      age = child?.age,
+      accuracy = session?.accuracy ?? 0,
+      text = session?.expectedText || '',
+      name = child?.name || '',  // w treści tylko w trybie addressByName (priv + prostota)
+      characterName = child?.character || 'Bohater',
     } = req.body || {};
 
-    const { text: rawMsg, source } = await generateMotivation({
-      age, accuracy, text, characterName, lang
-    });
+    // Ostatnie motywacje: z sesji dziecka albo (bez profilu) per bohater|wiek|język w pamięci
+    const motivationKey = `${characterName}|${ageBucket(age)}|${lang}`;
+    const history = child
+      ? store.sessionsOf(child.id, { limit: 10 }).map(s => s.motivation?.text).filter(Boolean)
+      : (recentMotivations.get(motivationKey) || []);
+
+    let rawMsg, source, fallback = null;
+    const band = rubricBand(accuracy);
+    const pooled = motivationPool.take(`${lang}|${ageBucket(age)}|${band}`, { bucket: ageBucket(age), band, lang }, { history });
+    if (pooled) {
+      rawMsg = pooled;
+      source = 'pool';
+    } else {
+      try {
+        ({ text: rawMsg, source } = await generateMotivation({
+          age, accuracy, text, characterName, lang, childId: child?.id
+        }));
+      } catch (err) {
+        if (!QUIET_ERRORS.has(String(err?.message || err))) console.error('agent/motivate LLM error:', err);
+        fallback = fallbackInfo(err);
+        rawMsg = localMotivation({ age, accuracy, characterName, history, lang });
+        source = 'local';
+      }
+    }
 
     // DRUGI BEZPIECZNIK w endpointzie
     const msg = tightenMotivation(rawMsg, 160);
 
-    res.json({ ok: true, text: msg, source });
+    if (session) store.sessions.update(session.id, { motivation: { text: msg, source, at: new Date().toISOString() } });
+    else if (!child) recentMotivations.set(motivationKey, [msg, ...history].slice(0, 10));
+
+    const out = addressByName(req, child) ? addressChild(name, msg, lang, { maxChars: 160 }) : msg;
+    res.json({ ok: true, text: out, source, lang, sessionId: session?.id, ...fallback });
   } catch (err) {
-    const timedOut = String(err?.message || err) === 'DEADLINE_EXCEEDED';
-    if (timedOut) return res.status(504).json({ ok: false, error: 'DEADLINE_EXCEEDED', timed_out: true });
     console.error('agent/motivate error:', err);
     return res.status(502).json({
       ok: false,
       error: String(err?.message || err),
       // bezpieczny fallback zgodny z UI
-      fallback: 'Świetna próba! Z każdą stroną będzie coraz lepiej — spróbujmy jeszcze raz! 💪'
+      fallback: pack.fallbackMotivation,
     });
   }
 });
 
-/* ===================== GENERATOR ZDAŃ DO CZYTANIA ===================== */
-const BANK_A1 = [
-  'Ala ma kota.',
-  'Miś je miodek.',
-  'Piłka leży na trawie.',
-  'Pies biegnie do domu.',
-  'Słońce świeci jasno.',
-];
-const BANK_A2 = [
-  'W ogrodzie rosną kolorowe kwiaty.',
-  'Kasia czyta ciekawą książkę o zwierzętach.',
-  'Na spacerze spotkaliśmy wesołego psa.',
-  'Dziś po południu pojedziemy na rowerach.',
-];
-const BANK_B1 = [
-  'Choć padał deszcz, wybraliśmy się na długi spacer.',
-  'Lubię zagadki, bo rozwijają wyobraźnię i spostrzegawczość.',
-  'Z zachwytem obserwowałem, jak motyl siada na liściu.',
-  'Po kolacji wspólnie ułożyliśmy plan jutrzejszej wycieczki.',
-];
-function bankByLevel(level = 'A1') {
-  const L = String(level).toUpperCase();
-  if (L === 'B1') return BANK_B1;
-  if (L === 'A2') return BANK_A2;
-  return BANK_A1;
-}
+/* ===================== GENERATOR TEKSTÓW DO CZYTANIA ===================== */
+// Opcje (długość, sylaby, litery, głoska) → LLM z kontrolą ograniczeń i ponowieniem;
+// gdy LLM nie da rady — korpus poziomowany (lib/corpus.js); gdy i on nie — 422.
+const PASSAGE_MAX_ATTEMPTS = Number(process.env.PASSAGE_MAX_ATTEMPTS || 3);
+const PASSAGE_DEADLINE_MS = Number(process.env.PASSAGE_DEADLINE_MS || 4000);
 
 app.post('/agent/generate-text', async (req, res) => {
   try {
-    const { language = 'pl', level = 'A1' } = req.body || {};
+    const { options, error } = parsePassageOptions(req.body || {});
+    if (error === 'UNSUPPORTED_LANG') return send(res, BAD_LANG);
+    if (error) return res.status(400).json({ ok: false, error });
+    const { language, level } = options;
+    const withSyllables = req.body?.syllables === true || req.body?.syllables === '1';
+    if (withSyllables && !langPack(language).syllables) return res.status(400).json({ ok: false, error: 'NOT_SUPPORTED_FOR_LANG' });
+
+    const respond = (text, source, extra = {}) => {
+      const { metrics, violations } = checkPassage(text, options);
+      const sentences = splitSentences(text);
+      return res.json({
+        ok: true, text, sentences, level, lang: language, language,
+        constraints: options, metrics, source, ...extra,
+        ...(withSyllables ? { syllables: sentences.map(s => syllabifyText(s)) } : {}),
+        ...(violations.length ? { violations } : {}),
+      });
+    };
+    const unsatisfiable = (violations = []) =>
+      res.status(422).json({ ok: false, error: 'CONSTRAINTS_UNSATISFIABLE', constraints: options, violations });
 
     if (MOCK_TEXT) {
-      const list = bankByLevel(level);
-      return res.json({ ok: true, text: pick(list), level, language, source: 'mock' });
+      const text = corpusPassage(options);
+      return text ? respond(text, 'mock') : unsatisfiable();
     }
 
-    const prompt =
-`Napisz jedno proste zdanie po ${language === 'pl' ? 'polsku' : 'angielsku'} na poziomie ${String(level).toUpperCase()} do głośnego czytania przez dziecko.
-Zasady: jedno zdanie, jasno i naturalnie, bez cudzysłowów, 12–16 słów.`;
-
-    const racers = [];
-    if (process.env.GROQ_API_KEY) {
-      racers.push(groqChat({
-        messages: [{ role: 'user', content: trimUserContent(prompt) }],
-        temperature: 0.7, top_p: 0.95, max_tokens: 60,
-      }));
-    }
-    if (openai) {
-      racers.push((async () => {
-        const t0 = now();
-        const r = await openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [{ role: 'user', content: prompt }],
-          temperature: 0.8, top_p: 0.95, max_tokens: 60,
-        });
-        const txt = r?.choices?.[0]?.message?.content?.trim?.() || '';
-        if (!txt) throw new Error('OPENAI_EMPTY');
-        return { provider: 'openai', text: txt, latency_ms: Math.round(now() - t0) };
-      })());
+    // Każda próba dostaje poprzedni tekst i listę złamanych zasad
+    const deadlineMs = options.sentences > 1 ? PASSAGE_DEADLINE_MS : DEADLINE_MS;
+    const maxTokens = Math.min(800, 40 + options.maxWords * 4);
+    let best = null, last = null, fallback = null, attempts = 0, rejected = 0;
+    while (attempts < PASSAGE_MAX_ATTEMPTS) {
+      attempts++;
+      let winner;
+      try {
+        const prompt = buildPassagePrompt(options, last || {});
+        winner = await withDeadline(chatText({ prompt, temperature: 0.7, top_p: 0.95, max_tokens: maxTokens }), deadlineMs);
+      } catch (err) {
+        if (!QUIET_ERRORS.has(String(err?.message || err))) console.error('agent/generate-text LLM error:', err);
+        fallback = fallbackInfo(err);
+        break;
+      }
+      const text = cleanPassage(winner.text);
+      if (!text) continue;
+      // odrzucony tekst nie wraca do promptu jako "poprzednia wersja" — nowa próba od zera
+      const verdict = await moderator.check(text, { kind: 'passage', lang: language, provider: winner.provider, attempt: attempts });
+      if (!verdict.ok) {
+        rejected++;
+        last = null;
+        continue;
+      }
+      const { violations } = checkPassage(text, options);
+      if (!violations.length) return respond(text, winner.provider, { attempts });
+      if (!violations.some(v => v.hard) && !best) best = { text, provider: winner.provider };
+      last = { previous: text, violations };
     }
 
-    const winner = await withDeadline(Promise.any(racers), DEADLINE_MS);
-    let text = String(winner.text || '').replace(/^["'„”]+|["'„”]+$/g, '').trim();
-    if (!text) throw new Error('EMPTY_GENERATION');
+    // Tylko miękkie naruszenia (długość) → lepsze niż korpus
+    if (best) return respond(best.text, best.provider, { attempts });
 
-    return res.json({ ok: true, text, level, language, source: winner.provider });
+    const text = corpusPassage(options);
+    const reason = rejected && rejected === attempts ? 'MODERATION_REJECTED' : 'CONSTRAINTS_NOT_MET';
+    if (text) return respond(text, 'corpus', { attempts, ...(fallback || { fallback_reason: reason }) });
+
+    if (fallback?.timed_out) return res.status(504).json({ ok: false, error: 'DEADLINE_EXCEEDED', timed_out: true });
+    if (fallback) return res.status(502).json({ ok: false, error: fallback.fallback_reason });
+    return unsatisfiable(last?.violations);
   } catch (err) {
-    const timedOut = String(err?.message || err) === 'DEADLINE_EXCEEDED';
-    if (timedOut) return res.status(504).json({ ok: false, error: 'DEADLINE_EXCEEDED', timed_out: true });
     console.error('agent/generate-text error:', err);
     return res.status(502).json({ ok: false, error: String(err?.message || err) });
   }
@@ -677,159 +670,554 @@ app.post('/generate-text', (req, res) => {
   res.redirect(307, '/agent/generate-text');
 });
 
+/* ===================== Moderacja: statystyki + ostatnie odrzucenia (audyt) ===================== */
+app.get('/moderation', requireAdmin, (req, res) => {
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+  res.json({ ok: true, stats: moderator.stats(), rejections: moderator.recent({ limit }) });
+});
+
+/* ===================== SYLABY (tryb "czytam sylabami") ===================== */
+const SYLLABLES_MAX_CHARS = 20000;
+
+app.post('/text/syllables', (req, res) => {
+  const { text, separator = '-' } = req.body || {};
+  const lang = requestLang(req);
+  if (!lang) return send(res, BAD_LANG);
+  if (!langPack(lang).syllables) return res.status(400).json({ ok: false, error: 'NOT_SUPPORTED_FOR_LANG', lang });
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ ok: false, error: 'NO_TEXT' });
+  if (text.length > SYLLABLES_MAX_CHARS) return res.status(413).json({ ok: false, error: 'TEXT_TOO_LONG', max: SYLLABLES_MAX_CHARS });
+  res.json({ ok: true, text, lang, ...syllabifyText(text, { separator: String(separator) }) });
+});
+
 /* ===================== OCR ===================== */
-app.post('/ocr', upload.single('image'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ ok: false, error: 'NO_FILE' });
-    if (process.env.MOCK_OCR === '1') return res.json({ ok: true, text: 'Przykładowy tekst z OCR.' });
-
-    if (process.env.USE_OPENAI_OCR === '1' && openai) {
-      const b64 = `data:image/jpeg;base64,${req.file.buffer.toString('base64')}`;
-      const prompt = 'Wyodrębnij czysty tekst z obrazu (po polsku). Zwróć tylko tekst.';
-      const resp = await openai.responses.create({
-        model: 'gpt-4o-mini',
-        input: [{ role: 'user', content: [
-          { type: 'input_text', text: prompt },
-          { type: 'input_image', image_url: b64 }
-        ]}],
-      });
-      const text = resp?.output_text?.trim?.() || '';
-      return res.json({ ok: true, text });
-    }
+// Wspólne opcje OCR z body/query: coords=oriented → bboxy w układzie zdjęcia po obrocie EXIF
+// (tak jak je wyświetla przeglądarka); pageDetect=0 → bez wykrywania strony; debug=1 → obrazy po normalizacji
+function ocrOptions(req) {
+  const flag = name => String(req.body?.[name] ?? req.query[name] ?? '');
+  return {
+    coords: flag('coords') === 'oriented' ? 'oriented' : 'original',
+    ...(flag('pageDetect') ? { detectPage: flag('pageDetect') !== '0' } : {}),
+    ...(flag('correct') ? { correct: flag('correct') !== '0' } : {}),
+    debug: flag('debug') === '1',
+  };
+}
 
-    await acquire();
-    try {
-      const pre = await preprocess(req.file.buffer);
-      const psm = Number(process.env.OCR_PSM || 6);
-      const result = await Tesseract.recognize(pre, 'pol+eng', {
-        langPath: LANG_PATH,
-        tessedit_pageseg_mode: psm,
-        tessedit_char_whitelist: WHITELIST,
-        preserve_interword_spaces: '1',
-        user_defined_dpi: '300',
-        logger: () => {},
-      });
-      const text = (result?.data?.text || '').trim();
-      const confidence = Number(result?.data?.confidence ?? 0);
-      return res.json({ ok: true, text, confidence });
-    } finally {
-      release();
-    }
+const MOCK_OCR_TEXT = 'Przykładowy tekst z OCR.';
+const OCR_DOCUMENT_ERRORS = { TOO_MANY_PAGES: 413, BAD_PDF: 400, EMPTY_PDF: 422, PDF_ENCRYPTED: 422 };
+
+// Jedno zdjęcie → wynik jak dotąd; kilka plików albo PDF → wynik stronami (pages[], reshoot[]).
+// `lang` (już rozwiązany) wybiera pulę workerów OCR: traineddata i whitelistę języka
+async function runOcr(req, { onProgress, deadline, lang = DEFAULT_LANG } = {}) {
+  const files = req.files.map(f => ({ buffer: f.buffer, mime: f.mimetype || 'image/jpeg', name: f.originalname }));
+  const single = files.length === 1 && !isPdf(files[0].buffer, files[0].mime);
+  if (process.env.MOCK_OCR === '1') {
+    const mock = { ...textOnlyOcr(MOCK_OCR_TEXT), source: 'mock', lang };
+    return single ? mock : { ...mock, pageCount: 1, pages: [{ page: 0, text: mock.text, confidence: null, reshoot: false }], reshoot: [] };
+  }
+  if (!single) return { ...await ocr.recognizeDocument({ files, ...ocrOptions(req), lang, onProgress, deadline }), lang };
+  onProgress?.({ stage: 'ocr', done: 0, total: 1 });
+  return { ...await ocr.recognize({ ...files[0], ...ocrOptions(req), lang, deadline }), lang };
+}
+
+// Pełna kolejka → 429, brak workerów / przekroczony termin → 503; zawsze z Retry-After
+const OCR_BUSY_STATUS = { OCR_QUEUE_FULL: 429, OCR_TIMEOUT: 503, OCR_UNAVAILABLE: 503 };
+
+function ocrFailure(err, label, lang) {
+  const code = String(err?.message || '');
+  if (OCR_BUSY_STATUS[code]) {
+    const retryAfter = err.retryAfter || 1;
+    const { queue } = ocrWorkers.status(lang);
+    return { status: OCR_BUSY_STATUS[code], headers: { 'Retry-After': String(retryAfter) }, body: { ok: false, error: code, retryAfter, queue } };
+  }
+  if (OCR_DOCUMENT_ERRORS[code]) {
+    return { status: OCR_DOCUMENT_ERRORS[code], body: { ok: false, error: code, ...(code === 'TOO_MANY_PAGES' ? { maxPages: OCR_MAX_PAGES } : {}) } };
+  }
+  console.error(`${label} error:`, err);
+  return { status: 500, body: { ok: false, error: 'OCR_FAILED', details: String(err?.message || err) } };
+}
+
+async function ocrResponse(req, opts) {
+  if (!req.files.length) return { status: 400, body: { ok: false, error: 'NO_FILE' } };
+  const lang = requestLang(req);
+  if (!lang) return BAD_LANG;
+  try {
+    const out = await runOcr(req, { ...opts, lang });
+    return { body: { ok: true, ...out } };
   } catch (err) {
-    console.error('OCR error:', err);
-    res.status(500).json({ ok: false, error: 'OCR_FAILED', details: String(err?.message || err) });
+    return ocrFailure(err, 'OCR', lang);
   }
+}
+
+// Stan workerów OCR i kolejki (głębokość, zajętość, średni czas strony); ?lang= → pula tego języka
+app.get('/ocr/status', requireAdmin, (req, res) => {
+  const lang = req.query.lang ? resolveLang(req.query.lang) : null;
+  if (req.query.lang && !lang) return send(res, BAD_LANG);
+  res.json({ ok: true, ...ocrWorkers.status(lang) });
 });
 
-/* ===================== ElevenLabs TTS proxy (diag + default voice) ===================== */
-/* ENV: ELEVEN_API_KEY lub ELEVENLABS_API_KEY */
-app.post('/tts', async (req, res) => {
+app.post('/ocr', ocrUpload, async (req, res) => send(res, await ocrResponse(req)));
+
+/* ===================== ZDJĘCIE STRONY → SKRYPT DO CZYTANIA ===================== */
+// OCR + czyszczenie (przeniesienia, pagina, numery stron) + porcje pod wiek/poziom;
+// chunks[].expectedText idzie prosto do /asr
+app.post('/reading/from-photo', ocrUpload, async (req, res) => {
+  let lang;
   try {
-    const apiKey = process.env.ELEVEN_API_KEY || process.env.ELEVENLABS_API_KEY;
-    if (!apiKey) return res.status(500).json({ ok: false, error: 'NO_ELEVEN_API_KEY' });
-
-    const { text = '', voiceId = '21m00Tcm4TlvDq8ikWAM' } = req.body || {}; // Rachel (domyślna)
-    const clean = String(text).trim().slice(0, 600);
-    if (!clean) return res.status(400).json({ ok: false, error: 'EMPTY_TEXT' });
-
-    const r = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
-      method: 'POST',
-      headers: {
-        'xi-api-key': apiKey,
-        'Content-Type': 'application/json',
-        'Accept': 'audio/mpeg'
+    if (!req.files.length) return res.status(400).json({ ok: false, error: 'NO_FILE' });
+    const { childId } = req.body || {};
+    const child = ownChild(req, childId);
+    if (childId && !child) return res.status(404).json({ ok: false, error: 'CHILD_NOT_FOUND' });
+    lang = requestLang(req, child);
+    if (!lang) return send(res, BAD_LANG);
+    const { age = child?.age, level = child?.level } = req.body || {};
+
+    const out = await runOcr(req, { lang });
+    if (!out.text) return res.status(422).json({ ok: false, error: 'NO_TEXT_FOUND', confidence: out.confidence, reshoot: out.reshoot });
+
+    // strony do ponownego zdjęcia nie trafiają do czytania (śmieci z OCR zamiast tekstu)
+    const readable = out.reshoot?.length ? { ...out, blocks: out.blocks.filter(b => !out.reshoot.includes(b.page)) } : out;
+    if (!readable.blocks.length) return res.status(422).json({ ok: false, error: 'NO_TEXT_FOUND', confidence: out.confidence, reshoot: out.reshoot });
+
+    const script = buildReadingScript(readable, { age, level });
+    res.json({
+      ok: true,
+      ...script,
+      lang,
+      ocr: {
+        confidence: out.confidence,
+        boxesAvailable: out.boxesAvailable,
+        image: out.image,
+        corrections: out.corrections,
+        textCorrections: out.textCorrections,
+        unknownWords: out.unknownWords,
+        ...(out.pages && out.reshoot ? {
+          pages: out.pages.map(p => ({ page: p.page, source: p.source, confidence: p.confidence, reshoot: p.reshoot, reshootReason: p.reshootReason })),
+          reshoot: out.reshoot,
+        } : {}),
+        source: out.source,
       },
-      body: JSON.stringify({
-        text: clean,
-        model_id: 'eleven_multilingual_v2',
-        voice_settings: { stability: 0.5, similarity_boost: 0.75 }
-      })
     });
+  } catch (err) {
+    send(res, ocrFailure(err, 'reading/from-photo', lang));
+  }
+});
 
-    if (!r.ok) {
-      let details = '';
-      try { details = await r.text(); } catch {}
-      return res.status(r.status).json({ ok: false, error: `ELEVEN_HTTP_${r.status}`, details: details?.slice(0, 800) });
-    }
+/* ===================== ZADANIA W TLE (OCR / ASR) ===================== */
+// POST /ocr/jobs i /asr/jobs przyjmują to samo co /ocr i /asr, ale od razu zwracają 202 z jobId.
+// Wynik (ten sam JSON co z trasy synchronicznej) → GET /jobs/:id albo SSE /jobs/:id/events.
+const JOB_OCR_TIMEOUT_MS = Number(process.env.JOB_OCR_TIMEOUT_MS || 10 * 60_000);
+const JOB_BUSY_RETRIES = Number(process.env.JOB_BUSY_RETRIES || 5);
 
-    const buf = Buffer.from(await r.arrayBuffer());
-    res.json({ ok: true, audioB64: buf.toString('base64') });
+function submitJob(req, res, type, run) {
+  let job;
+  try {
+    job = jobs.submit(type, run, { owner: ownerOf(req) });
   } catch (err) {
-    console.error('TTS proxy error:', err);
-    res.status(500).json({ ok: false, error: 'TTS_PROXY_FAILED', details: String(err?.message || err) });
+    if (err?.message !== 'TOO_MANY_JOBS') throw err;
+    return res.status(429).set('Retry-After', '30').json({ ok: false, error: 'TOO_MANY_JOBS' });
   }
+  res.status(202).set('Location', `/jobs/${job.id}`).json({
+    ok: true,
+    job,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`,
+  });
+}
+
+app.post('/ocr/jobs', ocrUpload, (req, res) => {
+  if (!req.files.length) return res.status(400).json({ ok: false, error: 'NO_FILE' });
+  if (!requestLang(req)) return send(res, BAD_LANG);
+  const deadline = Date.now() + JOB_OCR_TIMEOUT_MS;
+  submitJob(req, res, 'ocr', async ({ progress }) => {
+    // w tle pełna kolejka OCR to nie błąd: czekamy, ile każe Retry-After, i próbujemy znowu
+    for (let attempt = 0; ; attempt++) {
+      const out = await ocrResponse(req, { onProgress: progress, deadline });
+      const busy = ['OCR_QUEUE_FULL', 'OCR_UNAVAILABLE'].includes(out.body?.error);
+      if (!busy || attempt >= JOB_BUSY_RETRIES || Date.now() + out.body.retryAfter * 1000 > deadline) return out;
+      progress({ stage: 'waiting', retryAfter: out.body.retryAfter });
+      await sleep(out.body.retryAfter * 1000);
+    }
+  });
 });
 
-/* ===================== ElevenLabs voices (diagnostyka klucza) ===================== */
-app.get('/tts-voices', async (_req, res) => {
-  try {
-    const apiKey = process.env.ELEVEN_API_KEY || process.env.ELEVENLABS_API_KEY;
-    if (!apiKey) return res.status(500).json({ ok: false, error: 'NO_ELEVEN_API_KEY' });
+app.post('/asr/jobs', audioUpload, (req, res) => {
+  // błędy wejścia od razu, nie dopiero w wyniku zadania
+  const { childId } = req.body || {};
+  const child = ownChild(req, childId);
+  if (childId && !child) return res.status(404).json({ ok: false, error: 'CHILD_NOT_FOUND' });
+  if (!requestLang(req, child)) return send(res, BAD_LANG);
+  if (tooManyWords(req.body?.expectedText)) return send(res, TOO_MANY_WORDS);
+  if (!MOCK_ASR && !req.file) return res.status(400).json({ ok: false, error: 'Brak pliku w polu "audio".' });
+  submitJob(req, res, 'asr', ({ progress }) => asrResponse(req, { onProgress: progress }));
+});
 
-    const r = await fetch('https://api.elevenlabs.io/v1/voices', {
-      headers: { 'xi-api-key': apiKey, 'Accept': 'application/json' }
-    });
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id, ownerOf(req));
+  if (!job) return res.status(404).json({ ok: false, error: 'JOB_NOT_FOUND' });
+  res.json({ ok: true, job });
+});
 
-    if (!r.ok) {
-      let details = '';
-      try { details = await r.text(); } catch {}
-       return res.status(r.status).json({ ok: false, error: `ELEVEN_HTTP_${r.status}`, details: details?.slice(0, 800) });
+// SSE: `status` na start, potem `progress`, na końcu `result` albo `failed` (z wynikiem) i koniec strumienia
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id, ownerOf(req));
+  if (!job) return res.status(404).json({ ok: false, error: 'JOB_NOT_FOUND' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // proxy nie buforuje strumienia
+  });
+  res.flushHeaders();
+  const write = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  if (job.status === 'done' || job.status === 'failed') {
+    write(job.status === 'done' ? 'result' : 'failed', job);
+    return res.end();
+  }
+  write('status', job);
+  // komentarz co 15 s, żeby proxy / sieć komórkowa nie zamknęły bezczynnego połączenia
+  const ping = setInterval(() => res.write(': ping\n\n'), 15_000);
+  const unsubscribe = jobs.subscribe(job.id, (event, data) => {
+    write(event, data);
+    if (event !== 'progress') {
+      clearInterval(ping);
+      res.end();
     }
+  }, ownerOf(req));
+  req.on('close', () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+});
+
+/* ===================== TTS: jedno API (ElevenLabs / OpenAI / local) + cache audio ===================== */
+/* ENV: ELEVEN_API_KEY / OPENAI_API_KEY / LOCAL_AI_BASE_URL, kolejność AI_TTS_PROVIDERS */
+const tts = createTts({ ai, transcriber });
+
+const TTS_ERRORS = {
+  EMPTY_TEXT: 400, BAD_FORMAT: 400, BAD_MODE: 400, BAD_RATE: 400, NOT_A_WORD: 400, UNKNOWN_PROVIDER: 400, TEXT_TOO_LONG: 413,
+  UNSUPPORTED_LANG: 400, NOT_SUPPORTED_FOR_LANG: 400,
+  NO_PROVIDER: 503, PROVIDERS_COOLING_DOWN: 503, BUDGET_EXCEEDED: 503,
+};
+
+// Body (POST) albo query (GET); `voiceId` — stara nazwa z /tts
+function ttsParams(src = {}) {
+  const { text = '', lang, provider, voice, voiceId, voices, format = 'mp3', timings, mode = 'normal', rate } = src;
+  return {
+    text,
+    lang,
+    provider: provider || undefined,
+    voice: voice || voiceId || undefined,
+    voices: voices && typeof voices === 'object' ? voices : {},
+    format: String(format).toLowerCase(),
+    timings: timings === true || timings === '1' || timings === 'true',
+    mode: String(mode),
+    rate,
+  };
+}
+
+function ttsFailure(err) {
+  const code = String(err?.message || err);
+  if (TTS_ERRORS[code]) {
+    const extra = code === 'TEXT_TOO_LONG' ? { maxChars: TTS_MAX_CHARS } : code === 'UNSUPPORTED_LANG' ? { supported: LANGS } : {};
+    return { status: TTS_ERRORS[code], body: { ok: false, error: code, ...extra } };
+  }
+  // błąd dostawcy (np. ELEVEN_HTTP_401) albo wszystkich po kolei
+  if (err?.status || err?.errors) {
+    const details = err.errors ? err.errors.map(e => String(e?.message || e)) : String(err.details || '').slice(0, 300);
+    return { status: 502, body: { ok: false, error: code, details } };
+  }
+  console.error('TTS error:', err);
+  return { status: 500, body: { ok: false, error: 'TTS_FAILED', details: code } };
+}
+
+const audioUrl = out => `/tts/audio/${out.key}.${out.format}`;
+const timingsUrl = out => `/tts/audio/${out.key}.json`;
+const wantsAudio = req => req.body?.response === 'audio' || (!req.body?.response && /^audio\//i.test(req.get('accept') || ''));
+
+// Surowe audio z pliku w cache: sendFile daje Range (206), ETag i Last-Modified
+function sendAudio(res, out) {
+  res.set({
+    'Content-Type': out.contentType,
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'X-TTS-Provider': out.provider,
+    'X-TTS-Voice': out.voice,
+    'X-TTS-Cache': out.cached ? 'hit' : 'miss',
+    'X-TTS-Chunks': String(out.chunks),
+    'X-TTS-Mode': out.mode,
+    'X-TTS-Lang': out.lang,
+    ...(out.words ? { 'X-TTS-Timings-Url': timingsUrl(out) } : {}),
+  });
+  res.sendFile(path.resolve(tts.cache.file(out.key, out.format)), err => {
+    // plik mógł wypaść z cache tuż po zapisie — oddajemy bufor z pamięci
+    if (err && !res.headersSent) res.send(out.audio);
+  });
+}
 
-    const data = await r.json();
-    const voices = Array.isArray(data?.voices) ? data.voices.map(v => ({ id: v.voice_id, name: v.name })) : [];
-    return res.json({ ok: true, voices });
+// response: 'json' (domyślnie, z audioB64 jak dawniej) | 'url' (bez base64) | 'audio' (binarnie; też Accept: audio/*)
+// mode: 'normal' | 'slow' (rate 0.5–1, WAV) | 'syllables' (sylaba po sylabie, WAV) | 'word' (jedno słowo)
+async function postTts(req, res) {
+  let out;
+  try {
+    out = await tts.synthesize(ttsParams(req.body));
   } catch (err) {
-    console.error('TTS voices error:', err);
-    return res.status(500).json({ ok: false, error: 'VOICES_FAILED', details: String(err?.message || err) });
+    return send(res, ttsFailure(err));
   }
-});
+  if (wantsAudio(req)) return sendAudio(res, out);
+
+  const body = {
+    ok: true,
+    provider: out.provider,
+    voice: out.voice,
+    format: out.format,
+    mode: out.mode,
+    lang: out.lang,
+    ...(out.rate ? { rate: out.rate } : {}),
+    contentType: out.contentType,
+    bytes: out.audio.length,
+    chunks: out.chunks,
+    cached: out.cached,
+    audioUrl: audioUrl(out),
+    // timings: true → { word, tStart, tEnd } jak wordTimestamps z /asr (jeden highlighter w aplikacji)
+    ...(out.words ? { timings: out.timings, words: out.words, timingsUrl: timingsUrl(out) } : {}),
+    ...(out.syllables ? { syllables: out.syllables } : {}),
+  };
+  if (req.body?.response !== 'url') body.audioB64 = out.audio.toString('base64');
+  res.json(body);
+}
+
+app.post('/tts', postTts);
 
-/* ===================== OpenAI TTS proxy (free) — via REST ===================== */
-/* ENV: OPENAI_API_KEY */
-app.post('/tts-openai', async (req, res) => {
+// GET /tts?text=…&provider=&voice=&format=&timings=1 → audio (np. wprost w <audio src>); czasy słów pod X-TTS-Timings-Url
+app.get('/tts', async (req, res) => {
   try {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) return res.status(500).json({ ok: false, error: 'NO_OPENAI_API_KEY' });
-
-    const { text = '', voice = 'alloy', format = 'mp3' } = req.body || {};
-    const clean = String(text).trim().slice(0, 600);
-    if (!clean) return res.status(400).json({ ok: false, error: 'EMPTY_TEXT' });
-
-    // Bezpieczny REST call (stabilny dla gpt-4o-mini-tts)
-    const r = await fetch('https://api.openai.com/v1/audio/speech', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        Accept: format === 'wav' ? 'audio/wav' : (format === 'ogg' ? 'audio/ogg' : 'audio/mpeg')
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini-tts',
-        voice,             // alloy | aria | verse
-        input: clean
-        // brak speed — bywa odrzucany; domyślne tempo jest OK
-      })
-    });
+    sendAudio(res, await tts.synthesize(ttsParams(req.query)));
+  } catch (err) {
+    send(res, ttsFailure(err));
+  }
+});
 
-    if (!r.ok) {
-      const errText = await r.text().catch(() => '');
-      return res.status(502).json({ ok: false, error: `OPENAI_HTTP_${r.status}`, details: errText.slice(0, 300) });
-    }
+app.get('/tts/audio/:file', (req, res) => {
+  const m = /^([a-f0-9]{64})\.(mp3|wav|ogg|json)$/.exec(req.params.file);
+  if (!m || !tts.cache.has(m[1], m[2])) return res.status(404).json({ ok: false, error: 'AUDIO_NOT_FOUND' });
+  res.set({ 'Content-Type': TTS_CONTENT_TYPES[m[2]] || 'application/json', 'Cache-Control': 'public, max-age=31536000, immutable' });
+  res.sendFile(path.resolve(tts.cache.file(m[1], m[2])), err => {
+    if (err && !res.headersSent) res.status(404).json({ ok: false, error: 'AUDIO_NOT_FOUND' });
+  });
+});
 
-    const buf = Buffer.from(await r.arrayBuffer());
-    res.json({ ok: true, provider: 'openai', format, audioB64: buf.toString('base64') });
+// Głosy dostawcy (domyślnie pierwszego włączonego z kolejki); ElevenLabs — lista z konta (diagnostyka klucza).
+// defaultVoice — głos domyślny dla języka `lang`
+async function ttsVoices(provider, lang = DEFAULT_LANG) {
+  const name = provider || ai.status().tts.providers.find(p => p.enabled)?.name;
+  if (!name) return { status: 503, body: { ok: false, error: 'NO_PROVIDER' } };
+  if (!(name in TTS_DEFAULT_VOICES)) return { status: 400, body: { ok: false, error: 'UNKNOWN_PROVIDER' } };
+  if (!ai.isEnabled(name, 'tts')) return { status: 503, body: { ok: false, error: 'PROVIDER_DISABLED', provider: name } };
+
+  if (name !== 'elevenlabs') {
+    const voices = OPENAI_VOICES.map(id => ({ id, name: id }));
+    return { body: { ok: true, provider: name, lang, defaultVoice: defaultVoice(name, lang), voices } };
+  }
+  const eleven = ai.config('elevenlabs');
+  const r = await fetch(`${eleven.baseURL}/voices`, {
+    headers: { 'xi-api-key': eleven.apiKey, 'Accept': 'application/json' }
+  });
+  if (!r.ok) {
+    let details = '';
+    try { details = await r.text(); } catch {}
+    return { status: 502, body: { ok: false, error: `ELEVEN_HTTP_${r.status}`, details: details?.slice(0, 800) } };
+  }
+  const data = await r.json();
+  const voices = Array.isArray(data?.voices) ? data.voices.map(v => ({ id: v.voice_id, name: v.name })) : [];
+  return { body: { ok: true, provider: name, lang, defaultVoice: defaultVoice(name, lang), voices } };
+}
+
+async function getTtsVoices(res, provider, lang) {
+  try {
+    send(res, await ttsVoices(provider, lang));
   } catch (err) {
-    console.error('TTS-OPENAI REST error:', err);
-    res.status(500).json({ ok: false, error: 'TTS_OPENAI_FAILED' });
+    console.error('TTS voices error:', err);
+    res.status(500).json({ ok: false, error: 'VOICES_FAILED', details: String(err?.message || err) });
   }
+}
+
+app.get('/tts/voices', (req, res) => {
+  const lang = requestLang(req);
+  if (!lang) return send(res, BAD_LANG);
+  getTtsVoices(res, req.query.provider, lang);
+});
+
+app.get('/tts/cache', requireAdmin, (_req, res) => {
+  res.json({ ok: true, cache: tts.cache.stats() });
+});
+
+/* ===== Stare ścieżki (zgodność ze starszymi klientami) ===== */
+app.get('/tts-voices', (_req, res) => getTtsVoices(res, 'elevenlabs'));
+
+app.post('/tts-openai', (req, res) => {
+  req.body = { ...req.body, provider: 'openai', response: 'json' };
+  postTts(req, res);
+});
+
+/* ===================== Stan dostawców AI (breaker, modele) ===================== */
+app.get('/providers', requireAdmin, (_req, res) => {
+  res.json({ ok: true, providers: ai.status() });
 });
 
+/* ===================== DOSTĘP: rejestracja urządzeń, limity ===================== */
+app.post('/auth/register', (req, res) => send(res, auth.register(req.body, req.headers)));
+
+// Stan dostępu dla aplikacji: tryb, to urządzenie, limity per klasa tras
+app.get('/auth/status', (req, res) => {
+  res.json({ ok: true, auth: auth.status(), device: req.device?.id || null, rateLimits: limiter.status() });
+});
+
+app.get('/auth/devices', requireAdmin, (req, res) => {
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+  res.json({ ok: true, devices: store.devices.find(() => true, { limit }) });
+});
+
+app.post('/auth/devices/:id/revoke', requireAdmin, (req, res) => {
+  const device = auth.revoke(req.params.id);
+  if (!device) return res.status(404).json({ ok: false, error: 'DEVICE_NOT_FOUND' });
+  res.json({ ok: true, device });
+});
+
+/* ===================== ZUŻYCIE I KOSZTY (admin) ===================== */
+// ?from=RRRR-MM-DD&to=RRRR-MM-DD (domyślnie bieżący miesiąc): suma, podziały po trasie, dostawcy,
+// dziecku, zdolności i modelu oraz stan budżetów
+app.get('/usage', requireAdmin, (req, res) => {
+  res.json({ ok: true, ...usage.summary({ from: req.query.from, to: req.query.to }) });
+});
+
+/* ===================== PROFILE DZIECI + HISTORIA SESJI ===================== */
+const CHILD_LEVELS = ['A1', 'A2', 'B1'];
+
+// Walidacja wejścia profilu; partial = PATCH (tylko podane pola)
+function parseChildInput(body = {}, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+  if ('name' in body) value.name = String(body.name || '').trim().slice(0, 60);
+  if ('age' in body || !partial) {
+    const age = Number(body.age);
+    if (!Number.isInteger(age) || age < 2 || age > 16) errors.push('age');
+    else value.age = age;
+  }
+  if ('character' in body) {
+    if (!HERO_THEMES[body.character]) errors.push('character');
+    else value.character = body.character;
+  }
+  if ('level' in body || !partial) {
+    const level = String(body.level || 'A1').toUpperCase();
+    if (!CHILD_LEVELS.includes(level)) errors.push('level');
+    else value.level = level;
+  }
+  if ('addressByName' in body) value.addressByName = body.addressByName === true || body.addressByName === '1';
+  // Język dziecka: domyślny dla powitań, motywacji, ASR, OCR i TTS, gdy żądanie nie poda `lang`
+  if ('lang' in body) {
+    const lang = resolveLang(body.lang, null);
+    if (!lang) errors.push('lang');
+    else value.lang = lang;
+  }
+  return { value, errors };
+}
+
+function publicChild(child) {
+  const { greetingHistory, deviceId, ...rest } = child;
+  return rest;
+}
+
+function recordReadingSession(child, expectedText, result) {
+  return store.sessions.insert({
+    childId: child.id,
+    level: child.level,
+    expectedText,
+    recognizedText: result.recognizedText,
+    accuracy: result.accuracy,
+    wordsRead: result.wordsRead,
+    wordTimestamps: result.wordTimestamps,
+    alignment: result.alignment,
+    alignmentCounts: result.alignmentCounts,
+    fluency: result.fluency,
+    source: result.source,
+    lang: result.lang,
+    motivation: null,
+  });
+}
+
+app.post('/children', (req, res) => {
+  const { value, errors } = parseChildInput(req.body || {});
+  if (errors.length) return res.status(400).json({ ok: false, error: 'INVALID_CHILD', fields: errors });
+  const child = store.children.insert({ ...value, deviceId: ownerOf(req), greetingHistory: [] });
+  res.status(201).json({ ok: true, child: publicChild(child) });
+});
+
+app.get('/children', (req, res) => {
+  res.json({ ok: true, children: store.childrenOf(ownerOf(req)).map(publicChild) });
+});
+
+app.get('/children/:id', (req, res) => {
+  const child = ownChild(req, req.params.id);
+  if (!child) return res.status(404).json({ ok: false, error: 'CHILD_NOT_FOUND' });
+  res.json({ ok: true, child: publicChild(child) });
+});
+
+app.patch('/children/:id', (req, res) => {
+  if (!ownChild(req, req.params.id)) return res.status(404).json({ ok: false, error: 'CHILD_NOT_FOUND' });
+  const { value, errors } = parseChildInput(req.body || {}, { partial: true });
+  if (errors.length) return res.status(400).json({ ok: false, error: 'INVALID_CHILD', fields: errors });
+  res.json({ ok: true, child: publicChild(store.children.update(req.params.id, value)) });
+});
+
+app.delete('/children/:id', (req, res) => {
+  if (!ownChild(req, req.params.id) || !store.removeChild(req.params.id)) return res.status(404).json({ ok: false, error: 'CHILD_NOT_FOUND' });
+  res.json({ ok: true });
+});
+
+app.get('/children/:id/sessions', (req, res) => {
+  if (!ownChild(req, req.params.id)) return res.status(404).json({ ok: false, error: 'CHILD_NOT_FOUND' });
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+  res.json({ ok: true, sessions: store.sessionsOf(req.params.id, { limit }) });
+});
+
+app.get('/children/:id/sessions/:sessionId', (req, res) => {
+  const session = ownSession(req, req.params.sessionId);
+  if (!session || session.childId !== req.params.id) return res.status(404).json({ ok: false, error: 'SESSION_NOT_FOUND' });
+  res.json({ ok: true, session });
+});
+
+app.delete('/children/:id/sessions/:sessionId', (req, res) => {
+  const session = ownSession(req, req.params.sessionId);
+  if (!session || session.childId !== req.params.id) return res.status(404).json({ ok: false, error: 'SESSION_NOT_FOUND' });
+  store.sessions.remove(session.id);
+  res.json({ ok: true });
+});
+
+/* ===================== RAPORTY POSTĘPÓW ===================== */
+function childReport(req, res, format) {
+  const child = ownChild(req, req.params.id);
+  if (!child) return res.status(404).json({ ok: false, error: 'CHILD_NOT_FOUND' });
+  const { from, to } = req.query || {};
+  let report;
+  try {
+    report = buildChildReport(child, store.sessionsOf(child.id), { from, to });
+  } catch (err) {
+    if (err?.message !== 'BAD_DATE_RANGE') throw err;
+    return res.status(400).json({ ok: false, error: 'BAD_DATE_RANGE', details: 'from/to: RRRR-MM-DD albo data ISO z godziną' });
+  }
+  if (format === 'html') return res.type('html').send(renderReportHtml(report));
+  res.json({ ok: true, report });
+}
+
+app.get('/children/:id/report', (req, res) => childReport(req, res, req.query.format === 'html' ? 'html' : 'json'));
+app.get('/children/:id/report.html', (req, res) => childReport(req, res, 'html'));
+
 /* ===================== START ===================== */
 async function prewarmOnce() {
   try {
-    if (process.env.GROQ_API_KEY) {
-      await groqChat({ messages: [{ role: 'user', content: 'ping' }], max_tokens: 8, temperature: 0.0 });
+    if (ai.isEnabled('groq', 'chat')) {
+      await ai.chat({ messages: [{ role: 'user', content: 'ping' }], max_tokens: 8, temperature: 0.0 }, { providers: ['groq'] });
     }
     if (BASE_URL) {
       // Zmiana: usunięty `agent: keepAliveAgent`
@@ -838,15 +1226,38 @@ async function prewarmOnce() {
   } catch { /* noop */ }
 }
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Backend działa na http://localhost:${PORT}`);
-  console.log(`🎧 Groq ${groq ? 'podłączony' : 'OFF'} (model=${GROQ_MODEL})`);
-  console.log(`🤖 OpenAI ${openai ? 'podłączony' : 'OFF'}`);
+  console.log(`🎧 Groq ${ai.isEnabled('groq', 'chat') ? 'podłączony' : 'OFF'} (model=${ai.config('groq').models.chat})`);
+  console.log(`🤖 OpenAI ${ai.isEnabled('openai', 'chat') ? 'podłączony' : 'OFF'}`);
+  if (ai.has('chat', ['local'])) console.log(`🏠 Lokalny AI: ${process.env.LOCAL_AI_BASE_URL}`);
+  console.log(`🔐 Dostęp: ${auth.mode}${auth.mode === 'off' ? ' (bez tokenów — na produkcji ustaw AUTH_SECRET)' : ''}`);
   prewarmOnce();
+  // workery OCR gotowe przed pierwszym zdjęciem (traineddata z dysku); OCR_PREWARM=0 → przy pierwszym żądaniu
+  if (process.env.OCR_PREWARM !== '0' && process.env.MOCK_OCR !== '1') ocrWorkers.start().catch(() => {});
+  if (POOL_SIZE > 0 && process.env.POOL_PREFILL !== '0') {
+    prefillPools().then(() => console.log(`🧺 Pula powitań/motywacji gotowa (po ${POOL_SIZE})`));
+  }
   if (PREWARM_EVERY_MIN > 0) {
     setInterval(prewarmOnce, PREWARM_EVERY_MIN * 60_000);
     console.log(`🛌 Anti-sleep: ping co ${PREWARM_EVERY_MIN} min${BASE_URL ? ` → ${BASE_URL}/health` : ''}`);
   }
 });
 
+// Czytanie na żywo (WebSocket) na tym samym porcie
+const streamTranscriber = process.env.ASR_STREAM_TRANSCRIBER
+  ? createTranscriber(process.env.ASR_STREAM_TRANSCRIBER, { ai })
+  : transcriber;
+attachAsrStream(server, {
+  transcriber: streamTranscriber,
+  verify: req => { const access = checkAccess(req); return access.status ? access : null; },
+  usage,
+  deviceOf: req => auth.authenticate(req).device?.id || null,
+});
+
+// Render wysyła SIGTERM przy deployu — dopisz zaległe zmiany na dysk
+for (const sig of ['SIGTERM', 'SIGINT']) {
+  process.on(sig, () => { store.flush(); process.exit(0); });
+}
+
 
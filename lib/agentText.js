@@ -0,0 +1,225 @@
+/* ===================== Teksty agentów: powitania + motywacje ===================== */
+// Prompty, tematy bohaterów i sanityzacja współdzielone przez ścieżkę LLM i generator offline.
+// Instrukcje po polsku; język wypowiedzi, przykłady i zakazane słowa z paczki języka (lib/lang.js).
+import { DEFAULT_LANG, langPack } from './lang.js';
+import { trimUserContent } from './providers.js';
+
+export const HERO_THEMES = {
+  'Miś': 'przytulny i cierpliwy, kocha bajki na dobranoc',
+  'Labuś': 'energiczny i wesoły, lubi książki przygodowe',
+  'Króliczek': 'ciekawski i szybki, uwielbia zagadki w opowieściach',
+  'Jeżyk': 'ostrożny i mądry, kocha opowieści z morałem'
+};
+
+export const READING_TOPICS = [
+  'książki pełne magii i zaklęć',
+  'czytanie bajek na głos',
+  'szukanie nowych słów w opowiadaniu',
+  'przeżywanie przygód z bohaterami książek',
+  'poznawanie liter i sylab',
+  'czytanie komiksów z obrazkami',
+  'odkrywanie tajemnic w bibliotece',
+  'pisanie własnej bajki po przeczytaniu książki',
+  'czytanie rozdziałów z przygodami',
+  'opowiadanie przeczytanej historii przyjaciołom'
+];
+
+export function pick(arr){ return arr[Math.floor(Math.random()*arr.length)]; }
+
+export function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[„”"!?.,;:()\-\–—[\]{}…]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+export function jaccard(a, b) {
+  const A = new Set(normalize(a).split(' ').filter(Boolean));
+  const B = new Set(normalize(b).split(' ').filter(Boolean));
+  if (!A.size && !B.size) return 1;
+  let inter = 0;
+  for (const w of A) if (B.has(w)) inter++;
+  return inter / (A.size + B.size - inter);
+}
+export function chooseMostNovel(cands, history) {
+  if (!history || history.length === 0) return cands[0] || '';
+  let best = '';
+  let bestScore = 1;
+  for (const c of cands) {
+    const maxSim = Math.max(0, ...history.map(h => jaccard(c, h)));
+    if (maxSim < bestScore) { bestScore = maxSim; best = c; }
+  }
+  return best || cands[0] || '';
+}
+
+export function buildGreetingPrompt({ age, character = 'Twój przyjaciel', theme = '', n = 12, lang = DEFAULT_LANG }) {
+  const pack = langPack(lang);
+  const wiek = Number.isFinite(age) ? age : 'X';
+  const tone =
+    Number.isFinite(age) && age <= 5
+      ? 'proste, ciepłe, zabawowe; rytm mowy dziecka; onomatopeje OK'
+      : Number.isFinite(age) && age <= 8
+      ? 'żywe, motywujące; mini-misja; 1–2 emoji'
+      : 'pewne, partnerskie; cel, sprawczość; max 1–2 emoji';
+
+  const heroHint = theme ? `Delikatny klimat bohatera: ${theme}.` : '';
+  const chosenTopic = pick(READING_TOPICS);
+
+  return `Wymyśl ${n} ZUPEŁNIE różnych, krótkich powitań ${pack.inLang} dla dziecka (wiek: ${wiek}).
+Mówi ${character}. Styl: ${tone}. ${heroHint}
+Temat przewodni: ${chosenTopic}.
+
+⚡ Każde powitanie MUSI odnosić się do czytania i książek, np. słowa: ${pack.readingWords.join(', ')}.
+⚡ NIE używaj motywów typu: las, bieganie, sport, piknik, podróże — tylko świat książek.
+⚡ Zakaz: nie używaj słów powitalnych (${pack.hellos.join(', ')}) oraz NIE używaj imienia dziecka w żadnej formie.
+
+📚 Przykłady:
+${pack.greetingExamples.map(e => `- ${e}`).join('\n')}
+
+Zasady: jedno zdanie, 6–14 wyrazów, bez cudzysłowów i bez wstępów.
+Każde powitanie w osobnej linii poprzedzone myślnikiem "- ".`;
+}
+
+export function parseList(text) {
+  const lines = (text || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+  const items = [];
+  for (let l of lines) {
+    l = l.replace(/^[-*\d.)]+\s*/, '');
+    if (l) items.push(l);
+  }
+  const uniq = Array.from(new Set(items)).filter(s => {
+    const wc = normalize(s).split(' ').filter(Boolean).length;
+    return wc >= 5 && wc <= 16;
+  });
+  return uniq.slice(0, 20);
+}
+
+// Zakazane powitania języka domyślnego (pozostałe: langPack(lang).hellos)
+export const FORBIDDEN_HELLOS = langPack(DEFAULT_LANG).hellos;
+
+// Granice słowa dla każdego alfabetu (\b w JS zna tylko ASCII: "Łucja", "привіт")
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+
+export function sanitizeNoName(name, raw, lang = DEFAULT_LANG) {
+  const pack = langPack(lang);
+  let s = (raw || '').trim();
+  const helloRe = new RegExp(`^\\s*(?:${pack.hellos.join('|')})${WORD_END}[\\p{L}\\p{M}\\s,!.?–—-]*`, 'iu');
+  s = s.replace(helloRe, '').trim();
+  if (name) {
+    const forms = pack.nameForms(name);
+    const escaped = forms.map(v => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const nameRe = new RegExp(`${WORD_START}(?:${escaped.join('|')})${WORD_END}[\\s,!.?]*`, 'giu');
+    s = s.replace(nameRe, '').trim();
+  }
+  s = s.replace(/^[,–—\-|:;!.\s]+/u, '').trim();
+  return s;
+}
+
+/**
+ * Tryb "po imieniu" (opt-in, addressByName): wołacz przed tekstem — "Kasiu! Dziś…".
+ * Język bez reguł wołacza albo brak imienia → tekst bez zmian. maxChars obejmuje wołacz
+ * (tekst ucinany na granicy wyrazu, jak w tightenMotivation).
+ */
+export function addressChild(name, text, lang = DEFAULT_LANG, { maxChars = Infinity } = {}) {
+  const voc = name && langPack(lang).vocative?.(name);
+  if (!voc || !text) return text;
+  const prefix = `${voc}! `;
+  const rest = prefix.length + text.length > maxChars
+    ? text.slice(0, maxChars - prefix.length).replace(/\s+\S*$/, '').trim()
+    : text;
+  return prefix + rest;
+}
+
+/* ===== Motywacje ===== */
+
+// Przedziały współdzielone przez prompt, generator offline i pulę: 'small' ≤5, 'mid' ≤8, 'big'
+export function ageBucket(age) {
+  const a = Number(age);
+  if (Number.isFinite(a) && a <= 5) return 'small';
+  if (Number.isFinite(a) && a <= 8) return 'mid';
+  return 'big';
+}
+
+const TONE_BY_BUCKET = {
+  small: 'bardzo prosto, ciepło, łagodnie; krótkie słowa; 1 emoji max',
+  mid: 'prosto, energicznie, wspierająco; mini-sugestia co poprawić; 1 emoji max',
+  big: 'partnersko, konkretnie, z uznaniem; 1 emoji max',
+};
+export function bucketToneByAge(age) {
+  return TONE_BY_BUCKET[ageBucket(age)];
+}
+
+// Pasma wyniku: 'great' ≥95, 'very_good' ≥80, 'good' ≥60, 'warmup'
+export function rubricBand(acc) {
+  const s = Math.max(0, Math.min(100, Math.round(acc || 0)));
+  if (s >= 95) return 'great';
+  if (s >= 80) return 'very_good';
+  if (s >= 60) return 'good';
+  return 'warmup';
+}
+
+const RUBRIC_BY_BAND = {
+  great: 'wynik świetny; podkreśl perfekcję i zaproponuj trudniejsze słowo przy następnej stronie',
+  very_good: 'wynik bardzo dobry; pochwal płynność i zaproponuj jedną mikro-radę (np. dokładniej końcówki)',
+  good: 'wynik dobry; pochwal staranie i podaj jedną prostą wskazówkę (np. wolniej, sylabizuj trudniejsze słowa)',
+  warmup: 'wynik na rozgrzewkę; skup się na zachęcie i jednej mini-radzie (np. przeczytaj zdanie jeszcze raz spokojnie)',
+};
+export function rubricByAccuracy(acc) {
+  return RUBRIC_BY_BAND[rubricBand(acc)];
+}
+
+export function buildMotivationPrompt({ age, accuracy, text, characterName = 'Bohater', lang = DEFAULT_LANG }) {
+  const tone = bucketToneByAge(age);
+  const rubric = rubricByAccuracy(accuracy);
+  const excerpt = trimUserContent(text || '', 220);
+
+  return `
+Jesteś ${characterName} z aplikacji do nauki czytania dla dzieci. Twoje zadanie:
+napisz 1 krótki komentarz motywacyjny ${langPack(lang).inLang}, dopasowany do wieku dziecka i jakości czytania.
+
+Zasady stylu:
+- Styl: ${tone}.
+- ${rubric}.
+- Maks. 160 znaków. 1 zdanie (wyjątkowo 2 bardzo krótkie).
+- Brak cudzysłowów i nawiasów. Bez liczb procentowych ani ocen wprost.
+- Mów do dziecka w 2. osobie („czytasz”, „dasz radę”), NIE używaj imienia dziecka.
+- Użyj co najwyżej 1 emoji (opcjonalnie).
+
+Kontekst (fragment przeczytanego tekstu – opcjonalnie możesz nawiązać ogólnie, bez cytowania):
+"${excerpt}"
+
+Podaj tylko gotową wypowiedź.`;
+}
+
+// --- Hard limiter: 1–2 zdania, <= maxChars, max 1 emoji, bez cudzysłowów/nawiasów/cytatów
+export function tightenMotivation(s, maxChars = 160) {
+  if (!s) return s;
+
+  // usuń cudzysłowy, nawiasy i nadmiar spacji; apostrof w środku słowa zostaje (you're, п'ять)
+  s = String(s)
+    .replace(/["“”„”()]|'(?!\p{L})|(?<!\p{L})'/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // usuń fragmenty w cytatach (np. «kota», „kota”, "kota")
+  s = s.replace(/[«»„”"].*?[«»„”"]/g, '').replace(/\s+/g, ' ').trim();
+
+  // rozbij na zdania i weź maks 2
+  const parts = s.split(/(?<=[.!?…])\s+/).filter(Boolean);
+  s = parts.slice(0, 2).join(' ').trim();
+
+  // zostaw max 1 emoji
+  const emojiRe = /[\p{Extended_Pictographic}\uFE0F]/gu;
+  let seen = 0;
+  s = s.replace(emojiRe, m => (++seen > 1 ? '' : m));
+
+  // twardy limit znaków (ucięcie na granicy wyrazu)
+  if (s.length > maxChars) {
+    s = s.slice(0, maxChars).replace(/\s+\S*$/, '').trim();
+  }
+
+  // domknij kropką, jeśli brak
+  if (!/[.!?…]$/.test(s)) s += '.';
+  return s;
+}
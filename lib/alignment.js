@@ -0,0 +1,172 @@
+/* ===================== Wyrównanie słów: tekst oczekiwany ↔ rozpoznany ===================== */
+// Levenshtein po tokenach (a nie po znakach): każde słowo dostaje werdykt, a accuracy
+// liczymy jak w "running records" — błędy to zamiany, pominięcia i wstawki,
+// powtórzenia i autokorekty (błędne słowo, zaraz potem poprawne) nie są karane.
+
+export const WORD_STATUS = Object.freeze({
+  CORRECT: 'correct',
+  SUBSTITUTED: 'substituted',
+  OMITTED: 'omitted',
+  INSERTED: 'inserted',
+  REPEATED: 'repeated',
+  SELF_CORRECTED: 'self_corrected', // błędna próba, po której od razu pada poprawne słowo
+});
+
+// Ile pozycji wokół bieżącego słowa sprawdzamy, żeby wstawkę uznać za powtórzenie
+const REPEAT_WINDOW = 2;
+
+// Limit słów po każdej stronie: macierz ma (n+1)×(m+1) komórek (3000 × 3000 ≈ 36 MB).
+// Z zapasem na ~30 min czytania na głos; dłuższe wejście → ALIGN_TOO_LARGE (trasy: 413)
+export const MAX_ALIGN_WORDS = Number(process.env.ALIGN_MAX_WORDS || 3000);
+
+export function normalizeWord(w = '') {
+  return String(w)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '');
+}
+
+// Dzielimy po białych znakach i myślnikach; tokeny bez liter/cyfr (np. samo "–") odpadają
+export function tokenize(text = '') {
+  return String(text || '')
+    .split(/[\s\-–—]+/u)
+    .map(raw => ({ raw: raw.trim(), norm: normalizeWord(raw) }))
+    .filter(t => t.norm);
+}
+
+function recognizedTokens(wordTimestamps = []) {
+  const out = [];
+  for (const w of wordTimestamps || []) {
+    for (const t of tokenize(w?.word)) {
+      out.push({ ...t, tStart: Number(w.tStart ?? 0), tEnd: Number(w.tEnd ?? 0) });
+    }
+  }
+  return out;
+}
+
+// Macierz kosztów: dopasowanie 0, zamiana / pominięcie / wstawka po 1
+function editMatrix(E, R) {
+  const n = E.length, m = R.length;
+  const d = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = 0; i <= n; i++) d[i][0] = i;
+  for (let j = 0; j <= m; j++) d[0][j] = j;
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const sub = d[i - 1][j - 1] + (E[i - 1].norm === R[j - 1].norm ? 0 : 1);
+      d[i][j] = Math.min(sub, d[i - 1][j] + 1, d[i][j - 1] + 1);
+    }
+  }
+  return d;
+}
+
+// Ścieżka od końca; przy remisie wolimy dopasowanie/zamianę niż parę wstawka+pominięcie
+function backtrack(d, E, R) {
+  const ops = [];
+  let i = E.length, j = R.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0) {
+      const same = E[i - 1].norm === R[j - 1].norm;
+      if (d[i][j] === d[i - 1][j - 1] + (same ? 0 : 1)) {
+        ops.push({ type: same ? 'match' : 'sub', e: i - 1, r: j - 1 });
+        i--; j--; continue;
+      }
+    }
+    if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+      ops.push({ type: 'del', e: i - 1 });
+      i--; continue;
+    }
+    ops.push({ type: 'ins', r: j - 1, e: i });
+    j--;
+  }
+  return ops.reverse();
+}
+
+// Podobieństwo znakowe 0–1 (Levenshtein / dłuższe słowo) — "kot" vs "kota" = 0.75
+export function similarity(a, b) {
+  a = normalizeWord(a); b = normalizeWord(b);
+  if (!a || !b) return 0;
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+function isRepeat(tok, prevRecognized, E, pos) {
+  if (prevRecognized && prevRecognized.norm === tok.norm) return true;
+  for (let k = Math.max(0, pos - REPEAT_WINDOW); k <= Math.min(E.length - 1, pos + REPEAT_WINDOW); k++) {
+    if (E[k].norm === tok.norm) return true;
+  }
+  return false;
+}
+
+// Autokorekty po wyrównaniu (w miejscu):
+//  "kot kota"   — wstawka podobna do następnego poprawnego słowa → wstawka to self_corrected;
+//  "kot… kota"  — zamiana, a zaraz potem oczekiwane słowo jako wstawka/powtórzenie → pierwsza próba
+//                 self_corrected, druga przejmuje oczekiwane słowo jako correct.
+function markSelfCorrections(words) {
+  for (let i = 0; i < words.length - 1; i++) {
+    const err = words[i];
+    const next = words[i + 1];
+    if (err.status === WORD_STATUS.INSERTED && next.status === WORD_STATUS.CORRECT && similarity(err.word, next.expected) >= 0.5) {
+      err.status = WORD_STATUS.SELF_CORRECTED;
+      i++;
+    } else if (err.status === WORD_STATUS.SUBSTITUTED
+      && (next.status === WORD_STATUS.REPEATED || next.status === WORD_STATUS.INSERTED)
+      && normalizeWord(next.word) === normalizeWord(err.expected)) {
+      Object.assign(next, { status: WORD_STATUS.CORRECT, expected: err.expected, expectedIndex: err.expectedIndex });
+      Object.assign(err, { status: WORD_STATUS.SELF_CORRECTED, expected: null, expectedIndex: null });
+      i++;
+    }
+  }
+}
+
+/**
+ * Wyrównuje rozpoznane słowa (z czasami) do tekstu oczekiwanego.
+ * Zwraca werdykt per słowo w kolejności czytania, liczniki i accuracy 0–100.
+ */
+export function alignWords(expectedText = '', wordTimestamps = []) {
+  const E = tokenize(expectedText);
+  const R = recognizedTokens(wordTimestamps);
+  if (E.length > MAX_ALIGN_WORDS || R.length > MAX_ALIGN_WORDS) throw new Error('ALIGN_TOO_LARGE');
+
+  const counts = { correct: 0, substituted: 0, omitted: 0, inserted: 0, repeated: 0, self_corrected: 0 };
+  const words = [];
+  let prevRecognized = null;
+
+  for (const op of backtrack(editMatrix(E, R), E, R)) {
+    if (op.type === 'del') {
+      words.push({ status: WORD_STATUS.OMITTED, expected: E[op.e].raw, word: null, expectedIndex: op.e, tStart: null, tEnd: null });
+      counts.omitted++;
+      continue;
+    }
+    const tok = R[op.r];
+    let status;
+    if (op.type === 'match') status = WORD_STATUS.CORRECT;
+    else if (op.type === 'sub') status = WORD_STATUS.SUBSTITUTED;
+    else status = isRepeat(tok, prevRecognized, E, op.e) ? WORD_STATUS.REPEATED : WORD_STATUS.INSERTED;
+
+    words.push({
+      status,
+      expected: op.type === 'ins' ? null : E[op.e].raw,
+      word: tok.raw,
+      expectedIndex: op.type === 'ins' ? null : op.e,
+      tStart: tok.tStart,
+      tEnd: tok.tEnd,
+    });
+    prevRecognized = tok;
+  }
+  markSelfCorrections(words);
+  for (const w of words) if (w.status !== WORD_STATUS.OMITTED) counts[w.status]++;
+
+  const errors = counts.substituted + counts.omitted + counts.inserted;
+  const accuracy = E.length ? Math.max(0, Math.round(((E.length - errors) / E.length) * 100)) : 0;
+
+  return { words, counts, expectedWords: E.length, recognizedWords: R.length, accuracy };
+}
@@ -0,0 +1,133 @@
+/* ===================== ASR: transkrypcja + budowa odpowiedzi /asr ===================== */
+import path from 'path';
+
+import { alignWords, tokenize } from './alignment.js';
+import { computeFluency } from './fluency.js';
+
+/* ===== AUDIO helpers ===== */
+const EXT_BY_MIME = {
+  'audio/webm': 'webm',
+  'audio/m4a': 'm4a',
+  'audio/mp4': 'mp4',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+};
+const AUDIO_EXTS = new Set(Object.values(EXT_BY_MIME));
+
+// Rozszerzenie podane przez klienta tylko z listy znanych formatów (trafia do nazwy pliku u dostawcy)
+export function audioExt(ext = '') {
+  const e = String(ext || '').toLowerCase().replace(/^\./, '');
+  return AUDIO_EXTS.has(e) ? e : '';
+}
+
+export function extFromMime(mime = '') {
+  return EXT_BY_MIME[String(mime || '').toLowerCase().split(';')[0].trim()] || '';
+}
+export function pickAudioExt(file) {
+  const fromName = path.extname(file?.originalname || '').replace('.', '').toLowerCase();
+  if (fromName) return fromName;
+  const fromMime = extFromMime(file?.mimetype);
+  if (fromMime) return fromMime;
+  return 'dat';
+}
+
+// verbose_json: najpierw words (Groq), potem segments[].words (OpenAI / Groq)
+export function extractWordTimestamps(transcript) {
+  const toTs = w => ({
+    word: String(w.word || w.text || '').trim(),
+    tStart: Number(w.start ?? 0),
+    tEnd: Number(w.end ?? 0),
+  });
+  if (Array.isArray(transcript?.words) && transcript.words.length) {
+    return transcript.words.map(toTs).filter(w => w.word);
+  }
+  const out = [];
+  for (const seg of Array.isArray(transcript?.segments) ? transcript.segments : []) {
+    if (Array.isArray(seg.words) && seg.words.length) out.push(...seg.words.map(toTs));
+  }
+  return out.filter(w => w.word);
+}
+
+// Fallback gdy brak word-level timestamps – rozsmaruj po czasie
+export function spreadTimestamps(text = '') {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  let t = 0;
+  return words.map(w => {
+    const start = t; const end = t + 0.4; t += 0.8; // 0.4s artykulacji + 0.4s krótka pauza
+    return { word: w, tStart: start, tEnd: end };
+  });
+}
+
+/* ===== Transcribers (pluggable) ===== */
+// Wspólny kontrakt: transcribe({ buffer, ext, language, expectedText }) → { provider, text, wordTimestamps }
+
+// Przez rejestr dostawców; `providers` zawęża listę (np. tylko 'local')
+function registryTranscriber({ ai }, { name, providers } = {}) {
+  return {
+    name,
+    async transcribe({ buffer, ext, language = 'pl' }) {
+      const { provider, transcript } = await ai.transcribe({ buffer, ext, language }, { providers });
+      return { provider, text: (transcript?.text || '').trim(), wordTimestamps: extractWordTimestamps(transcript) };
+    },
+  };
+}
+
+const cloudTranscriber = (deps) => registryTranscriber(deps, { name: 'cloud' });
+// Lokalny serwer zgodny z OpenAI (/v1/audio/transcriptions), np. whisper.cpp / faster-whisper-server
+const localTranscriber = (deps) => registryTranscriber(deps, { name: 'local', providers: ['local'] });
+
+// Atrapa offline: "słyszy" kolejne słowa expectedText proporcjonalnie do ilości audio.
+// Do developmentu i testów strumienia bez sieci i bez modelu.
+function echoTranscriber() {
+  const bytesPerSec = Number(process.env.ASR_ECHO_BYTES_PER_SEC || 4000);
+  const wordsPerSec = Number(process.env.ASR_ECHO_WORDS_PER_SEC || 1.5);
+  return {
+    name: 'echo',
+    async transcribe({ buffer, expectedText = '' }) {
+      const seconds = (buffer?.length || 0) / bytesPerSec;
+      const words = tokenize(expectedText).map(t => t.raw).slice(0, Math.floor(seconds * wordsPerSec));
+      const step = 1 / wordsPerSec;
+      const wordTimestamps = words.map((word, i) => ({ word, tStart: i * step, tEnd: i * step + step * 0.6 }));
+      return { provider: 'echo', text: words.join(' '), wordTimestamps };
+    },
+  };
+}
+
+const TRANSCRIBERS = { cloud: cloudTranscriber, local: localTranscriber, echo: echoTranscriber };
+
+export function createTranscriber(kind = process.env.ASR_TRANSCRIBER || 'cloud', deps = {}) {
+  const factory = TRANSCRIBERS[kind];
+  if (!factory) throw new Error(`UNKNOWN_TRANSCRIBER_${kind}`);
+  return factory(deps);
+}
+
+/* ===== Odpowiedź /asr ===== */
+export function buildAsrResult({ recognizedText = '', wordTimestamps = [], expectedText = '', provider = 'none' }) {
+  let timingsEstimated = false;
+  if (!Array.isArray(wordTimestamps) || wordTimestamps.length === 0) {
+    timingsEstimated = true;
+    wordTimestamps = spreadTimestamps(recognizedText);
+  }
+
+  const wordsRead = Number(wordTimestamps.length || 0);
+
+  // Accuracy: wyrównanie słowo-po-słowie (edit distance po tokenach), werdykt per słowo
+  const alignment = expectedText ? alignWords(expectedText, wordTimestamps) : null;
+  const accuracy = alignment ? alignment.accuracy : 0;
+  const fluency = computeFluency({ wordTimestamps, alignment, estimated: timingsEstimated });
+
+  return {
+    ok: true,
+    recognizedText,
+    wordsRead,
+    accuracy,
+    wordTimestamps,
+    alignment: alignment ? alignment.words : [],
+    alignmentCounts: alignment ? alignment.counts : null,
+    fluency,
+    source: provider,
+  };
+}
@@ -0,0 +1,194 @@
+/* ===================== Czytanie na żywo: WebSocket /asr/stream ===================== */
+// Protokół:
+//   klient → {type:'start', expectedText, mimeType?, lang?}, potem binarne kawałki audio,
+//            na końcu {type:'stop'}
+//   serwer → {type:'ready'}, cyklicznie {type:'progress', position, currentWord, missed, ...},
+//            na końcu {type:'final', ...dokładnie to samo co JSON z POST /asr}
+// Każda transkrypcja idzie po całym dotychczasowym buforze (webm/ogg potrzebują nagłówka
+// z pierwszego kawałka), max jedna naraz. Przy stałym odstępie rozliczone audio rosłoby kwadratowo,
+// więc kolejna częściowa rusza po max(ASR_STREAM_INTERVAL_MS, ASR_STREAM_BACKOFF × czas nagrania):
+// suma wysłanego audio to ok. (1 + 1/BACKOFF) × długość czytania (0.3 → ~4×, 2 min → co ~36 s).
+// Koszty: częściowe pod trasą /asr/stream:partial, końcowa pod /asr/stream (lib/usage.js).
+import { WebSocketServer } from 'ws';
+
+import { MAX_ALIGN_WORDS, alignWords, tokenize, WORD_STATUS } from './alignment.js';
+import { audioExt, buildAsrResult, extFromMime } from './asr.js';
+import { langPack, resolveLang } from './lang.js';
+
+const INTERVAL_MS = Number(process.env.ASR_STREAM_INTERVAL_MS || 1500);
+const BACKOFF = Number(process.env.ASR_STREAM_BACKOFF ?? 0.3);
+const MAX_BYTES = Number(process.env.ASR_STREAM_MAX_BYTES || 25 * 1024 * 1024);
+
+// Gdzie w expectedText jest dziecko: za ostatnim przeczytanym (choćby błędnie) słowem.
+// Pominięte = oczekiwane słowa przed tą pozycją, których nie było w nagraniu.
+export function readingProgress(expectedText, wordTimestamps) {
+  const expected = tokenize(expectedText);
+  const { words } = alignWords(expectedText, wordTimestamps);
+
+  let position = 0;
+  for (const w of words) {
+    if (w.expectedIndex != null && w.status !== WORD_STATUS.OMITTED) position = Math.max(position, w.expectedIndex + 1);
+  }
+  const missed = words
+    .filter(w => w.status === WORD_STATUS.OMITTED && w.expectedIndex < position)
+    .map(w => ({ expectedIndex: w.expectedIndex, word: w.expected }));
+  const substituted = words
+    .filter(w => w.status === WORD_STATUS.SUBSTITUTED)
+    .map(w => ({ expectedIndex: w.expectedIndex, word: w.expected, heard: w.word }));
+
+  return {
+    position,
+    expectedWords: expected.length,
+    currentWord: expected[position - 1]?.raw ?? null,
+    nextWord: expected[position]?.raw ?? null,
+    missed,
+    substituted,
+    done: expected.length > 0 && position >= expected.length,
+  };
+}
+
+function send(ws, msg) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+}
+
+function handleConnection(ws, { transcriber, usage = null, deviceId = null }) {
+  let session = null; // { expectedText, ext, lang, language, chunks, bytes, ... }
+  let timer = null;
+  let busy = false;
+  let closed = false;
+  let finishing = false; // po stop / STREAM_TOO_LARGE kolejne wiadomości są ignorowane — jedna transkrypcja końcowa
+
+  const buffer = (s = session) => Buffer.concat(s.chunks, s.bytes);
+  const billed = (route, fn) => (usage ? usage.runAs({ route, deviceId }, fn) : fn());
+
+  async function transcribeNow() {
+    if (!session || busy || session.bytes === session.transcribedBytes) return;
+    if (Date.now() < session.nextPartialAt) return;
+    busy = true;
+    const bytes = session.bytes;
+    try {
+      const out = await billed('/asr/stream:partial', () => transcriber.transcribe({
+        buffer: buffer(), ext: session.ext, language: session.language, expectedText: session.expectedText,
+      }));
+      if (!session) return;
+      const now = Date.now();
+      session.nextPartialAt = now + Math.max(INTERVAL_MS, BACKOFF * (now - session.firstChunkAt));
+      session.transcribedBytes = bytes;
+      session.last = out;
+      const progress = readingProgress(session.expectedText, out.wordTimestamps);
+      if (progress.position !== session.position) {
+        session.position = progress.position;
+        session.positionAt = Date.now();
+      }
+      send(ws, {
+        type: 'progress',
+        recognizedText: out.text,
+        ...progress,
+        stalledSec: Math.round((Date.now() - session.positionAt) / 100) / 10,
+      });
+    } catch (err) {
+      console.error('ASR stream partial error:', err);
+      send(ws, { type: 'error', error: 'PARTIAL_FAILED', details: String(err?.message || err) });
+    } finally {
+      busy = false;
+    }
+  }
+
+  async function finish() {
+    clearInterval(timer);
+    if (finishing) return;
+    if (!session) return send(ws, { type: 'error', error: 'NOT_STARTED' });
+    finishing = true;
+    const s = session; // kopia: close w trakcie czekania zeruje session
+    while (busy) await new Promise(r => setTimeout(r, 40));
+    try {
+      // Ostatni kawałek mógł nie przejść przez transkrypcję częściową
+      const out = s.bytes === s.transcribedBytes && s.last
+        ? s.last
+        : await billed('/asr/stream', () => transcriber.transcribe({
+          buffer: buffer(s), ext: s.ext, language: s.language, expectedText: s.expectedText,
+        }));
+      send(ws, {
+        type: 'final',
+        ...buildAsrResult({
+          recognizedText: out.text, wordTimestamps: out.wordTimestamps,
+          expectedText: s.expectedText, provider: out.provider,
+        }),
+        lang: s.lang,
+      });
+    } catch (err) {
+      console.error('ASR stream final error:', err);
+      const code = String(err?.message || err);
+      const known = code === 'NO_PROVIDER' || code === 'BUDGET_EXCEEDED';
+      const error = code === 'ALIGN_TOO_LARGE' ? 'TOO_MANY_WORDS' : known ? code : 'ASR_FAILED';
+      send(ws, { type: 'error', error, details: code });
+    } finally {
+      session = null;
+      ws.close();
+    }
+  }
+
+  ws.on('message', (data, isBinary) => {
+    if (closed || finishing) return;
+    if (isBinary) {
+      if (!session) return send(ws, { type: 'error', error: 'NOT_STARTED' });
+      if (session.bytes + data.length > MAX_BYTES) {
+        send(ws, { type: 'error', error: 'STREAM_TOO_LARGE' });
+        return finish();
+      }
+      session.firstChunkAt ??= Date.now();
+      session.chunks.push(data);
+      session.bytes += data.length;
+      return;
+    }
+
+    let msg;
+    try { msg = JSON.parse(String(data)); } catch { return send(ws, { type: 'error', error: 'BAD_MESSAGE' }); }
+
+    if (msg?.type === 'start') {
+      if (session) return send(ws, { type: 'error', error: 'ALREADY_STARTED' });
+      // `language` — stara nazwa pola
+      const lang = resolveLang(msg.lang ?? msg.language);
+      if (!lang) return send(ws, { type: 'error', error: 'UNSUPPORTED_LANG' });
+      if (tokenize(String(msg.expectedText || '')).length > MAX_ALIGN_WORDS) {
+        return send(ws, { type: 'error', error: 'TOO_MANY_WORDS', maxWords: MAX_ALIGN_WORDS });
+      }
+      session = {
+        expectedText: String(msg.expectedText || ''),
+        ext: audioExt(msg.ext) || extFromMime(msg.mimeType) || 'webm',
+        lang,
+        language: langPack(lang).asr,
+        chunks: [], bytes: 0, transcribedBytes: 0, last: null,
+        position: 0, positionAt: Date.now(),
+        firstChunkAt: null, nextPartialAt: 0,
+      };
+      timer = setInterval(transcribeNow, INTERVAL_MS);
+      return send(ws, { type: 'ready', transcriber: transcriber.name, intervalMs: INTERVAL_MS, backoff: BACKOFF, lang });
+    }
+    if (msg?.type === 'stop') return finish();
+    send(ws, { type: 'error', error: 'UNKNOWN_MESSAGE' });
+  });
+
+  ws.on('close', () => { closed = true; clearInterval(timer); session = null; });
+  // np. ramka z niepoprawnym UTF-8 albo ponad maxPayload; bez słuchacza 'error' ws zabija cały proces
+  ws.on('error', err => {
+    console.warn('ASR stream socket error:', err?.code || String(err?.message || err));
+    closed = true;
+    clearInterval(timer);
+    session = null;
+  });
+}
+
+// verify(req) → null (wpuść) albo { status, headers, body } — odmowa jeszcze przed handshake (401/429)
+// usage + deviceOf(req) → koszty transkrypcji przypisane do trasy i urządzenia
+export function attachAsrStream(server, { transcriber, path = '/asr/stream', verify = null, usage = null, deviceOf = () => null }) {
+  const verifyClient = verify && ((info, done) => {
+    const denied = verify(info.req);
+    if (!denied) return done(true);
+    done(false, denied.status, denied.body?.error, denied.headers);
+  });
+  // pojedyncza wiadomość nie większa niż cały limit nagrania (domyślne 100 MiB ws przeszłoby przed kontrolą)
+  const wss = new WebSocketServer({ server, path, maxPayload: MAX_BYTES, ...(verifyClient ? { verifyClient } : {}) });
+  wss.on('connection', (ws, req) => handleConnection(ws, { transcriber, usage, deviceId: deviceOf(req) }));
+  return wss;
+}
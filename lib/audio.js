@@ -0,0 +1,214 @@
+/* ===================== Audio: WAV, sklejanie, długość nagrania, spowalnianie ===================== */
+// Bez dekoderów: czytamy tylko nagłówki (WAV, ramki MP3, strony Ogg). Wystarcza do sklejania
+// porcji TTS i do przesuwania czasów słów o długość poprzednich porcji. Przetwarzanie próbek
+// (spowolnienie, pauzy) tylko na PCM z WAV-a — dlatego tryby dziecięce TTS proszą dostawcę o WAV.
+
+/* ===== WAV ===== */
+/** WAV → { format: { channels, sampleRate, bitsPerSample, byteRate, blockAlign }, header, data } */
+export function parseWav(buf) {
+  let fmt = null;
+  for (let off = 12; off + 8 <= buf.length;) {
+    const id = buf.toString('ascii', off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    if (id === 'fmt ') {
+      fmt = {
+        channels: buf.readUInt16LE(off + 10),
+        sampleRate: buf.readUInt32LE(off + 12),
+        byteRate: buf.readUInt32LE(off + 16),
+        blockAlign: buf.readUInt16LE(off + 20),
+        bitsPerSample: buf.readUInt16LE(off + 22),
+      };
+    }
+    if (id === 'data') {
+      // strumieniowane WAV-y mają rozmiar 0xFFFFFFFF — bierzemy to, co faktycznie jest
+      return { format: fmt, header: buf.subarray(0, off + 8), data: buf.subarray(off + 8, Math.min(buf.length, off + 8 + size)) };
+    }
+    off += 8 + size + (size % 2);
+  }
+  return { format: fmt, header: buf.subarray(0, 44), data: buf.subarray(44) };
+}
+
+/** Surowe PCM 16-bit → plik WAV */
+export function buildWav(data, { channels = 1, sampleRate = 24000, bitsPerSample = 16 } = {}) {
+  const h = Buffer.alloc(44);
+  const blockAlign = channels * bitsPerSample / 8;
+  h.write('RIFF', 0, 'ascii');
+  h.writeUInt32LE(36 + data.length, 4);
+  h.write('WAVEfmt ', 8, 'ascii');
+  h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(1, 20);
+  h.writeUInt16LE(channels, 22);
+  h.writeUInt32LE(sampleRate, 24);
+  h.writeUInt32LE(sampleRate * blockAlign, 28);
+  h.writeUInt16LE(blockAlign, 32);
+  h.writeUInt16LE(bitsPerSample, 34);
+  h.write('data', 36, 'ascii');
+  h.writeUInt32LE(data.length, 40);
+  return Buffer.concat([h, data]);
+}
+
+/* ===== Sklejanie ===== */
+// MP3 i Ogg sklejają się bajt po bajcie (ramki / łańcuch strumieni); WAV wymaga jednego nagłówka
+export function joinAudio(buffers, format) {
+  if (buffers.length === 1) return buffers[0];
+  if (format !== 'wav') return Buffer.concat(buffers);
+  const parts = buffers.map(parseWav);
+  const data = Buffer.concat(parts.map(p => p.data));
+  const header = Buffer.from(parts[0].header);
+  header.writeUInt32LE(header.length - 8 + data.length, 4);  // RIFF
+  header.writeUInt32LE(data.length, header.length - 4);       // data
+  return Buffer.concat([header, data]);
+}
+
+/* ===== Długość ===== */
+const MP3_BITRATES = {
+  // [wersja MPEG 1 | 2/2.5][warstwa 1..3] → kbps wg indeksu
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+const MP3_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Suma czasów ramek; ID3v2 na początku (i po sklejeniu — w środku) pomijamy
+function mp3Duration(buf) {
+  let off = 0, seconds = 0, frames = 0;
+  while (off + 4 <= buf.length) {
+    if (buf.toString('latin1', off, off + 3) === 'ID3' && off + 10 <= buf.length) {
+      const size = (buf[off + 6] << 21) | (buf[off + 7] << 14) | (buf[off + 8] << 7) | buf[off + 9];
+      off += 10 + size;
+      continue;
+    }
+    if (buf[off] !== 0xff || (buf[off + 1] & 0xe0) !== 0xe0) { off++; continue; }
+    const versionBits = (buf[off + 1] >> 3) & 3;  // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+    const layer = 4 - ((buf[off + 1] >> 1) & 3);  // 1..3
+    const bitrateIdx = buf[off + 2] >> 4;
+    const rateIdx = (buf[off + 2] >> 2) & 3;
+    const padding = (buf[off + 2] >> 1) & 1;
+    if (versionBits === 1 || layer === 4 || bitrateIdx === 0 || bitrateIdx === 15 || rateIdx === 3) { off++; continue; }
+    const bitrate = MP3_BITRATES[versionBits === 3 ? 1 : 2][layer][bitrateIdx] * 1000;
+    const sampleRate = MP3_RATES[versionBits][rateIdx];
+    const samples = layer === 1 ? 384 : (layer === 3 && versionBits !== 3 ? 576 : 1152);
+    const length = layer === 1
+      ? Math.floor((12 * bitrate / sampleRate + padding) * 4)
+      : Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+    if (length < 4) { off++; continue; }
+    seconds += samples / sampleRate;
+    frames++;
+    off += length;
+  }
+  return frames ? seconds : null;
+}
+
+// Ogg (Opus): ostatnia pozycja granule każdego strumienia / 48 kHz; sklejone strumienie sumujemy
+function oggDuration(buf) {
+  const streams = new Map(); // serial → granule
+  for (let off = buf.indexOf('OggS'); off >= 0 && off + 27 <= buf.length; off = buf.indexOf('OggS', off + 4)) {
+    const granule = Number(buf.readBigInt64LE(off + 6));
+    const serial = buf.readUInt32LE(off + 14);
+    if (granule > 0) streams.set(serial, Math.max(streams.get(serial) || 0, granule));
+  }
+  if (!streams.size) return null;
+  return [...streams.values()].reduce((a, b) => a + b, 0) / 48000;
+}
+
+/**
+ * Długość nagrania w sekundach; gdy nagłówków nie da się odczytać — szacunek z rozmiaru
+ * (MP3 128 kb/s, Opus 32 kb/s), żeby czasy słów i tak dało się rozłożyć.
+ */
+export function audioDuration(buf, format) {
+  if (!buf?.length) return 0;
+  if (format === 'wav') {
+    const { format: fmt, data } = parseWav(buf);
+    return fmt?.byteRate ? data.length / fmt.byteRate : data.length / 48000;
+  }
+  if (format === 'ogg') return oggDuration(buf) ?? buf.length * 8 / 32000;
+  return mp3Duration(buf) ?? buf.length * 8 / 128000;
+}
+
+/* ===== PCM ===== */
+/** Dane WAV (16-bit) → próbki mono float (-1..1); wiele kanałów uśredniamy */
+export function pcmToFloat(data, channels = 1) {
+  const frames = Math.floor(data.length / (2 * channels));
+  const out = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += data.readInt16LE((i * channels + c) * 2);
+    out[i] = sum / channels / 32768;
+  }
+  return out;
+}
+
+export function floatToPcm(samples) {
+  const out = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    out.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32768))), i * 2);
+  }
+  return out;
+}
+
+/**
+ * Spowolnienie bez zmiany wysokości głosu (WSOLA): ramki 40 ms z zakładką 50%, każdą
+ * przesuwamy o ±12 ms tam, gdzie najlepiej pasuje do poprzedniej (korelacja), i sklejamy
+ * oknem Hanninga. speed < 1 = wolniej (0.75 → nagranie o 1/3 dłuższe).
+ */
+export function timeStretch(x, speed, sampleRate) {
+  if (speed === 1 || x.length < 2) return x;
+  const N = Math.round(sampleRate * 0.04) & ~1;
+  const Hs = N / 2;
+  const Ha = Hs * speed;
+  const tol = Math.round(sampleRate * 0.012);
+  const win = Float32Array.from({ length: N }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / N));
+  const outLen = Math.round(x.length / speed);
+  const y = new Float32Array(outLen + N);
+  const norm = new Float32Array(outLen + N);
+
+  let prev = 0;
+  for (let k = 0; ; k++) {
+    const out = k * Hs;
+    const nominal = Math.round(k * Ha);
+    if (nominal + N >= x.length || out >= outLen) break;
+    let pos = nominal;
+    if (k > 0) {
+      // naturalna kontynuacja poprzedniej ramki: x[prev + Hs …]; co druga próbka wystarcza
+      const target = prev + Hs;
+      let best = -Infinity;
+      for (let d = -tol; d <= tol; d += 2) {
+        const p = nominal + d;
+        if (p < 0 || p + N >= x.length) continue;
+        let c = 0;
+        for (let i = 0; i < Hs; i += 2) c += x[p + i] * x[target + i];
+        if (c > best) { best = c; pos = p; }
+      }
+    }
+    for (let i = 0; i < N; i++) {
+      y[out + i] += x[pos + i] * win[i];
+      norm[out + i] += win[i];
+    }
+    prev = pos;
+  }
+  for (let i = 0; i < y.length; i++) if (norm[i] > 1e-3) y[i] /= norm[i];
+  return y.subarray(0, outLen);
+}
+
+/** Cisza w formacie danego WAV-a */
+export function silence(seconds, { sampleRate = 24000, channels = 1, bitsPerSample = 16 } = {}) {
+  const frames = Math.round(seconds * sampleRate);
+  return Buffer.alloc(frames * channels * bitsPerSample / 8);
+}
+
+/** Obcina ciszę z początku i końca (próg ~-34 dB), zostawia 20 ms zapasu */
+export function trimSilence(x, sampleRate, threshold = 0.02) {
+  let a = 0, b = x.length - 1;
+  while (a < x.length && Math.abs(x[a]) < threshold) a++;
+  while (b > a && Math.abs(x[b]) < threshold) b--;
+  if (a >= b) return x;
+  const pad = Math.round(sampleRate * 0.02);
+  return x.subarray(Math.max(0, a - pad), Math.min(x.length, b + pad + 1));
+}
@@ -0,0 +1,125 @@
+/* ===================== Dostęp: rejestracja instalacji aplikacji + tokeny urządzeń ===================== */
+// Aplikacja przy pierwszym starcie woła POST /auth/register { installId, platform?, appVersion? }
+// (z nagłówkiem X-App-Key, jeśli ustawiono AUTH_APP_KEY) i dostaje token podpisany HMAC-SHA256
+// kluczem AUTH_SECRET: base64url(JSON { sub, iat, exp }) + "." + base64url(podpis). Token idzie
+// w Authorization: Bearer … albo w ?token=… (src <audio>, EventSource, WebSocket — bez nagłówków).
+// Tryby (AUTH_MODE): required — bez ważnego tokenu 401; optional — token sprawdzany, gdy jest;
+// off — bez sprawdzania. Domyślnie required przy ustawionym AUTH_SECRET, inaczej off (lokalnie, mocki).
+// Urządzenia w store (kolekcja devices) służą do unieważniania i podglądu. Token jest samowystarczalny:
+// brak rekordu (np. po utracie dysku na free Render) go nie blokuje, blokuje tylko `revoked`.
+import crypto from 'crypto';
+
+const TTL_MS = Number(process.env.AUTH_TOKEN_TTL_DAYS || 90) * 86_400_000;
+const SEEN_EVERY_MS = 10 * 60_000; // lastSeenAt urządzenia odświeżany najwyżej tak często
+const MODES = ['required', 'optional', 'off'];
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a ?? ''));
+  const y = Buffer.from(String(b ?? ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Token z nagłówka albo z query (działa też dla surowego req WebSocketu)
+export function tokenOf(req) {
+  const header = String(req.headers?.authorization || '');
+  const bearer = header.match(/^Bearer\s+(\S+)/i);
+  if (bearer) return bearer[1];
+  return new URL(req.url || '/', 'http://localhost').searchParams.get('token') || '';
+}
+
+export function createAuth({
+  store,
+  secret = process.env.AUTH_SECRET || '',
+  mode = process.env.AUTH_MODE || (secret ? 'required' : 'off'),
+  appKey = process.env.AUTH_APP_KEY || '',
+  adminKey = process.env.ADMIN_KEY || '',
+  ttlMs = TTL_MS,
+} = {}) {
+  if (!MODES.includes(mode)) throw new Error(`AUTH_MODE: ${mode} (dozwolone: ${MODES.join(', ')})`);
+  // bez AUTH_SECRET klucz losowy na czas procesu — tokeny z rejestracji ważne do restartu
+  const key = secret || crypto.randomBytes(32).toString('hex');
+  const sign = data => crypto.createHmac('sha256', key).update(data).digest('base64url');
+
+  function issue(device) {
+    const iat = Date.now();
+    const payload = Buffer.from(JSON.stringify({ sub: device.id, iat, exp: iat + ttlMs })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(iat + ttlMs).toISOString() };
+  }
+
+  // token → { device } albo { error: INVALID_TOKEN | TOKEN_EXPIRED | DEVICE_REVOKED }
+  function verify(token) {
+    const [payload, sig, ...rest] = String(token || '').split('.');
+    if (!payload || !sig || rest.length || !safeEqual(sig, sign(payload))) return { error: 'INVALID_TOKEN' };
+    let claims;
+    try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch { claims = null; }
+    if (!claims?.sub) return { error: 'INVALID_TOKEN' };
+    if (Number(claims.exp) <= Date.now()) return { error: 'TOKEN_EXPIRED' };
+
+    const device = store.devices.get(claims.sub);
+    if (device?.revoked) return { error: 'DEVICE_REVOKED' };
+    if (device && Date.now() - Date.parse(device.lastSeenAt || 0) > SEEN_EVERY_MS) {
+      store.devices.update(device.id, { lastSeenAt: new Date().toISOString() });
+    }
+    return { device: device || { id: claims.sub } };
+  }
+
+  const unauthorized = error => ({
+    status: 401,
+    headers: { 'WWW-Authenticate': `Bearer realm="poczytajmy", error="${error === 'AUTH_REQUIRED' ? 'invalid_request' : 'invalid_token'}"` },
+    body: { ok: false, error },
+  });
+
+  /** req → { device } (null bez tokenu w trybie off/optional) albo { status: 401, headers, body } */
+  function authenticate(req) {
+    if (mode === 'off') return { device: null };
+    const token = tokenOf(req);
+    if (!token) return mode === 'required' ? unauthorized('AUTH_REQUIRED') : { device: null };
+    const { device, error } = verify(token);
+    return error ? unauthorized(error) : { device };
+  }
+
+  /** POST /auth/register → { status, body }; ta sama instalacja dostaje nowy token (odświeżenie) */
+  function register(body = {}, headers = {}) {
+    if (appKey && !safeEqual(headers['x-app-key'], appKey)) return { status: 401, body: { ok: false, error: 'BAD_APP_KEY' } };
+    const installId = String(body.installId || '').trim();
+    if (!/^[\w.:-]{8,128}$/.test(installId)) return { status: 400, body: { ok: false, error: 'BAD_INSTALL_ID' } };
+
+    const info = {
+      platform: String(body.platform || '').slice(0, 20) || null,
+      appVersion: String(body.appVersion || '').slice(0, 20) || null,
+      lastSeenAt: new Date().toISOString(),
+    };
+    const existing = store.devices.find(d => d.installId === installId, { limit: 1 })[0];
+    if (existing?.revoked) return { status: 403, body: { ok: false, error: 'DEVICE_REVOKED' } };
+    const device = existing
+      ? store.devices.update(existing.id, info)
+      : store.devices.insert({ installId, ...info, revoked: false });
+    return { status: existing ? 200 : 201, body: { ok: true, deviceId: device.id, ...issue(device) } };
+  }
+
+  // Admin (X-Admin-Key = ADMIN_KEY); bez ADMIN_KEY trasy admina są otwarte tylko w trybie off
+  const isAdmin = req => Boolean(adminKey) && safeEqual(req.headers?.['x-admin-key'], adminKey);
+  const adminAllowed = req => isAdmin(req) || (!adminKey && mode === 'off');
+
+  function revoke(id) {
+    const device = store.devices.get(id);
+    return device ? store.devices.update(id, { revoked: true, revokedAt: new Date().toISOString() }) : null;
+  }
+
+  return {
+    mode,
+    authenticate,
+    register,
+    verify,
+    revoke,
+    isAdmin,
+    adminAllowed,
+    status: () => ({
+      mode,
+      registration: appKey ? 'app-key' : 'open',
+      admin: Boolean(adminKey),
+      tokenTtlDays: ttlMs / 86_400_000,
+      ephemeralSecret: !secret,
+    }),
+  };
+}
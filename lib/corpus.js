@@ -0,0 +1,81 @@
+/* ===================== Korpus zdań do czytania (wg poziomu) ===================== */
+// Fallback offline dla /agent/generate-text (i MOCK_TEXT). Poziomy rosną długością zdań
+// i słów; w każdym są zdania "pod głoskę" (sz, cz, rz, ch, dz, dź, dż, ż…), żeby
+// targetSound dało się spełnić bez LLM. Zdania A1 używają w większości małego zestawu liter.
+
+export const CORPUS = {
+  A1: [
+    'Ala ma kota.',
+    'Ola ma lalę.',
+    'Tata ma auto.',
+    'Mama ma kawę.',
+    'Ela ma balon.',
+    'To jest dom.',
+    'Tu jest moja lampa.',
+    'Tomek lubi lody.',
+    'Lato jest ciepłe.',
+    'Koza je trawę.',
+    'Miś je miodek.',
+    'Kot śpi na kocu.',
+    'Pies biegnie do domu.',
+    'Piłka leży na trawie.',
+    'Słońce świeci jasno.',
+    'Szymon ma szalik.',
+    'Czapka leży na szafie.',
+    'Kasia je czekoladę.',
+    'Rzeka płynie szybko.',
+    'Chomik je marchew.',
+    'Mucha lata nad stołem.',
+    'Żaba skacze do wody.',
+    'Jeż śpi pod liściem.',
+    'Dziadek czyta gazetę.',
+    'Dziś jest ładny dzień.',
+    'Dzieci idą do lasu.',
+    'Dzwonek dzwoni głośno.',
+    'Źrebak biega po łące.',
+    'Ciocia piecze ciasto.',
+    'Dżem jest słodki.',
+  ],
+  A2: [
+    'W ogrodzie rosną kolorowe kwiaty.',
+    'Kasia czyta ciekawą książkę o zwierzętach.',
+    'Na spacerze spotkaliśmy wesołego psa.',
+    'Dziś po południu pojedziemy na rowerach.',
+    'Szymek szuka szarego kota pod szafą.',
+    'Czarny kot czeka cicho przy oknie.',
+    'Przy rzece rośnie stara brzoza.',
+    'Chłopiec chowa chleb do plecaka.',
+    'Dzieci zbierają żołędzie w parku.',
+    'Babcia robi pyszne pierogi z serem.',
+    'Wiewiórka chowa orzechy w dziupli.',
+    'Rano pijemy ciepłe kakao.',
+    'Ola rysuje dom z dużym ogrodem.',
+    'Żółty motyl siedzi na kwiatku.',
+    'Dźwig podnosi ciężkie belki na budowie.',
+    'Zimą lepimy bałwana przed domem.',
+    'Nasz pies lubi długie spacery.',
+    'W szkole czytamy bajki o smokach.',
+    'Dżungla jest pełna dzikich zwierząt.',
+    'Dzwony w kościele dzwonią w niedzielę.',
+  ],
+  B1: [
+    'Choć padał deszcz, wybraliśmy się na długi spacer.',
+    'Lubię zagadki, bo rozwijają wyobraźnię i spostrzegawczość.',
+    'Z zachwytem obserwowałem, jak motyl siada na liściu.',
+    'Po kolacji wspólnie ułożyliśmy plan jutrzejszej wycieczki.',
+    'Szczygieł usiadł na gałęzi i zaczął radośnie śpiewać.',
+    'W czwartek cała klasa pojedzie do muzeum przyrodniczego.',
+    'Przez otwarte okno słychać było, jak krzyczą wesołe dzieci.',
+    'Chociaż wiatr był chłodny, chłopcy grali w piłkę do wieczora.',
+    'Dziadek opowiadał, jak w dzieciństwie budował tratwę na rzece.',
+    'Każdego ranka karmimy ptaki, które przylatują do karmnika.',
+    'Latem spędziliśmy tydzień nad morzem, zbierając muszelki na plaży.',
+    'Dżem z truskawek, który zrobiła babcia, smakuje najlepiej.',
+    'Żeby zdążyć na pociąg, musieliśmy wstać bardzo wcześnie.',
+    'Moja siostra marzy o tym, żeby zostać astronautką.',
+    'W starym zamku podobno mieszka duch, który straszy zwiedzających.',
+    'Dzięki mapie szybko znaleźliśmy drogę do schroniska w górach.',
+  ],
+};
+
+export const CORPUS_LEVELS = Object.keys(CORPUS);
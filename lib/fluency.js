@@ -0,0 +1,95 @@
+/* ===================== Płynność czytania z wordTimestamps ===================== */
+// WCPM, tempo artykulacji, pauzy/wahania z przerw między słowami oraz autokorekty
+// (błąd, po którym dziecko od razu czyta słowo poprawnie).
+import { WORD_STATUS, similarity, tokenize } from './alignment.js';
+
+const HESITATION_S = Number(process.env.FLUENCY_HESITATION_S || 0.5);
+const LONG_PAUSE_S = Number(process.env.FLUENCY_LONG_PAUSE_S || 2.0);
+
+const round = (x, d = 2) => (Number.isFinite(x) ? Math.round(x * 10 ** d) / 10 ** d : null);
+
+function cleanTimestamps(wordTimestamps = []) {
+  return (wordTimestamps || [])
+    .map(w => ({ word: String(w?.word || '').trim(), tStart: Number(w?.tStart), tEnd: Number(w?.tEnd) }))
+    .filter(w => w.word && Number.isFinite(w.tStart) && Number.isFinite(w.tEnd))
+    .sort((a, b) => a.tStart - b.tStart);
+}
+
+function detectPauses(words) {
+  const pauses = [];
+  for (let i = 0; i < words.length - 1; i++) {
+    const gap = words[i + 1].tStart - words[i].tEnd;
+    if (gap < HESITATION_S) continue;
+    pauses.push({
+      kind: gap >= LONG_PAUSE_S ? 'long_pause' : 'hesitation',
+      afterWord: words[i].word,
+      beforeWord: words[i + 1].word,
+      index: i,
+      tStart: round(words[i].tEnd),
+      tEnd: round(words[i + 1].tStart),
+      duration: round(gap),
+    });
+  }
+  return pauses;
+}
+
+// Autokorekty oznacza już wyrównanie (self_corrected → następne słowo poprawne); dodatkowo
+// zamiana, po której pada poprawne słowo podobne do niej (liczona jako błąd, ale to też poprawka)
+function detectSelfCorrections(alignedWords = []) {
+  const out = [];
+  for (let i = 0; i < alignedWords.length - 1; i++) {
+    const err = alignedWords[i];
+    const next = alignedWords[i + 1];
+    if (next.status !== WORD_STATUS.CORRECT) continue;
+    const marked = err.status === WORD_STATUS.SELF_CORRECTED;
+    const retried = err.status === WORD_STATUS.SUBSTITUTED && similarity(err.word, next.expected) >= 0.5;
+
+    if (marked || retried) {
+      out.push({
+        error: err.word,
+        corrected: next.word,
+        expectedIndex: next.expectedIndex,
+        tStart: err.tStart,
+        tEnd: next.tEnd,
+      });
+      i++;
+    }
+  }
+  return out;
+}
+
+/**
+ * Blok `fluency` dla odpowiedzi /asr.
+ * `alignment` to wynik alignWords (albo null, gdy nie było expectedText).
+ * `estimated` = czasy pochodzą z syntetycznego rozsmarowania, a nie z modelu.
+ */
+export function computeFluency({ wordTimestamps = [], alignment = null, estimated = false } = {}) {
+  const words = cleanTimestamps(wordTimestamps).filter(w => tokenize(w.word).length);
+  const wordsRead = words.length;
+  if (!wordsRead) {
+    return {
+      estimated: Boolean(estimated), durationSec: 0, wordsRead: 0, wpm: 0, wcpm: alignment ? 0 : null,
+      articulationRate: 0, hesitations: 0, longPauses: 0, pauses: [], selfCorrections: [],
+    };
+  }
+
+  const durationSec = Math.max(0, words[wordsRead - 1].tEnd - words[0].tStart);
+  const pauses = detectPauses(words);
+  const pausedSec = pauses.reduce((s, p) => s + p.duration, 0);
+  const speakingSec = Math.max(0, durationSec - pausedSec);
+  const perMin = (count, sec) => (sec > 0 ? round((count / sec) * 60, 1) : 0);
+
+  return {
+    estimated: Boolean(estimated),
+    durationSec: round(durationSec),
+    speakingSec: round(speakingSec),
+    wordsRead,
+    wpm: perMin(wordsRead, durationSec),
+    wcpm: alignment ? perMin(alignment.counts.correct, durationSec) : null,
+    articulationRate: perMin(wordsRead, speakingSec), // słowa/min bez pauz
+    hesitations: pauses.filter(p => p.kind === 'hesitation').length,
+    longPauses: pauses.filter(p => p.kind === 'long_pause').length,
+    pauses,
+    selfCorrections: alignment ? detectSelfCorrections(alignment.words) : [],
+  };
+}
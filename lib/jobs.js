@@ -0,0 +1,126 @@
+/* ===================== Zadania w tle (długi OCR / ASR) ===================== */
+// Klient wysyła plik, dostaje jobId i odpytuje GET /jobs/:id albo słucha SSE /jobs/:id/events.
+// Zadanie to funkcja run({ progress }) → { status, body } — dokładnie to, co zwróciłaby trasa
+// synchroniczna (status HTTP + JSON), więc wynik w trybie zadania jest taki sam jak bez niego.
+// Wyniki trzymamy w pamięci przez JOB_TTL_MIN od zakończenia; restart serwera je kasuje.
+// Zadanie widzi tylko urządzenie, które je zleciło (owner; null = tryb bez tokenów).
+import crypto from 'crypto';
+
+const TTL_MS = Number(process.env.JOB_TTL_MIN || 60) * 60_000;
+const MAX_JOBS = Number(process.env.JOBS_MAX || 200);
+const SWEEP_MS = 60_000;
+
+export const JOB_STATUS = { QUEUED: 'queued', RUNNING: 'running', DONE: 'done', FAILED: 'failed' };
+const finished = job => job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED;
+
+export function createJobs({ ttlMs = TTL_MS, maxJobs = MAX_JOBS } = {}) {
+  const jobs = new Map();      // id → job
+  const listeners = new Map(); // id → Set(fn(event, data))
+
+  function emit(job, event, data) {
+    for (const fn of listeners.get(job.id) || []) {
+      try { fn(event, data); } catch { /* rozłączony klient */ }
+    }
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (finished(job) && job.expiresAt <= now) {
+        jobs.delete(id);
+        listeners.delete(id);
+      }
+    }
+  }
+  setInterval(sweep, SWEEP_MS).unref();
+
+  // Publiczny widok zadania (bez funkcji i słuchaczy); wynik tylko po zakończeniu
+  function view(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      expiresAt: job.expiresAt ? new Date(job.expiresAt).toISOString() : null,
+      ...(finished(job) ? { httpStatus: job.httpStatus } : {}),
+    };
+  }
+
+  // Nowe zadanie; rusza od razu (kolejkowanie robią same silniki, np. workery OCR)
+  function submit(type, run, { owner = null } = {}) {
+    sweep();
+    if (jobs.size >= maxJobs) throw new Error('TOO_MANY_JOBS');
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      owner,
+      status: JOB_STATUS.QUEUED,
+      progress: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      httpStatus: null,
+      result: null,
+    };
+    jobs.set(job.id, job);
+
+    const progress = p => {
+      if (finished(job)) return;
+      job.progress = { ...p };
+      emit(job, 'progress', view(job));
+    };
+
+    const finish = (httpStatus, body) => {
+      job.status = httpStatus < 400 ? JOB_STATUS.DONE : JOB_STATUS.FAILED;
+      job.httpStatus = httpStatus;
+      job.result = body;
+      job.finishedAt = Date.now();
+      job.expiresAt = job.finishedAt + ttlMs;
+      emit(job, job.status === JOB_STATUS.DONE ? 'result' : 'failed', { ...view(job), result: body });
+      listeners.delete(job.id);
+    };
+
+    // setImmediate: odpowiedź 202 z jobId wychodzi, zanim zadanie zajmie event loop
+    setImmediate(async () => {
+      job.status = JOB_STATUS.RUNNING;
+      job.startedAt = Date.now();
+      try {
+        const { status = 200, body } = await run({ progress });
+        finish(status, body);
+      } catch (err) {
+        console.error(`job ${type} ${job.id} error:`, err);
+        finish(500, { ok: false, error: 'JOB_FAILED', details: String(err?.message || err) });
+      }
+    });
+    return view(job);
+  }
+
+  // Zadanie cudzego urządzenia jest jak nieistniejące
+  const visible = (job, owner) => Boolean(job) && job.owner === owner;
+
+  return {
+    submit,
+    get(id, owner = null) {
+      const job = jobs.get(id);
+      if (!visible(job, owner) || (finished(job) && job.expiresAt <= Date.now())) return null;
+      return { ...view(job), ...(finished(job) ? { result: job.result } : {}) };
+    },
+    // fn(event, data): 'progress' | 'result' | 'failed' (nie 'error' — EventSource ma własny); zwraca funkcję wypisującą
+    subscribe(id, fn, owner = null) {
+      if (!visible(jobs.get(id), owner)) return () => {};
+      if (!listeners.has(id)) listeners.set(id, new Set());
+      listeners.get(id).add(fn);
+      return () => listeners.get(id)?.delete(fn);
+    },
+    stats() {
+      const byStatus = {};
+      for (const job of jobs.values()) byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+      return { total: jobs.size, max: maxJobs, ttlMs, byStatus };
+    },
+  };
+}
@@ -0,0 +1,206 @@
+/* ===================== Języki: paczki per język (pl, uk, en, de) ===================== */
+// Wszystko, co zależy od języka dziecka, w jednym miejscu: fraza do promptów ("po ukraińsku"),
+// słowa o czytaniu i przykłady powitań, zakazane powitania, formy imienia do wycięcia,
+// traineddata i whitelista OCR, kod języka dla ASR, głosy TTS, zestawy słów moderacji
+// i teksty offline. Prompty zostają po polsku (model rozumie), pisać ma w języku dziecka.
+// Parametr `lang` (kod albo alias: ua, pl-PL, de_AT…) rozwiązuje resolveLang.
+import { nameForms as polishNameForms, vocative as polishVocative } from './names.js';
+
+const ALIASES = { ua: 'uk', ukr: 'uk', pol: 'pl', eng: 'en', deu: 'de', ger: 'de' };
+
+// Interpunkcja wspólna dla whitelist OCR; cudzysłowy i apostrofy dokłada język
+const OCR_PUNCTUATION = '0123456789 .,:;!?"\'()-–—/\\[]{}…';
+
+/* ===== Formy imienia (do wycięcia z tekstu LLM) ===== */
+// Najdłuższe najpierw: alternatywa w regexie bierze pierwszą pasującą ("Tom's" przed "Tom")
+const byLength = forms => [...new Set(forms)].sort((a, b) => b.length - a.length);
+
+// Mianownik + proste końcówki doklejane do imienia
+const suffixForms = suffixes => name => byLength([name, ...suffixes.map(s => `${name}${s}`)]);
+
+// Ukraiński: temat bez końcowej samogłoski / -й / -ь + końcówki przypadków (Олена → Олено, Оленою;
+// Тарас → Тарасе, Тарасові; Андрій → Андрію)
+const UK_ENDINGS = ['а', 'я', 'о', 'е', 'є', 'у', 'ю', 'і', 'ї', 'и', 'ом', 'ою', 'ею', 'єю', 'ові', 'еві', 'єві'];
+function ukNameForms(name) {
+  const stem = name.replace(/[аяоеьй]$/iu, '');
+  return byLength([name, ...UK_ENDINGS.map(e => `${stem}${e}`)]);
+}
+
+/* ===== Paczki ===== */
+export const LANG_PACKS = {
+  pl: {
+    code: 'pl',
+    name: 'polski',
+    inLang: 'po polsku',
+    readingWords: ['książka', 'czytanie', 'rozdział', 'bajka', 'historia', 'sylaba', 'słowo', 'zdanie', 'ilustracje', 'narrator', 'zakładka', 'biblioteka', 'księgarnia', 'opowieść', 'litery'],
+    greetingExamples: [
+      'Dziś razem odkryjemy nowy rozdział bajki. 📖',
+      'Zajrzymy do książki pełnej czarodziejskich słów. ✨',
+      'Sprawdzimy, ile sylab ma najdłuższe słowo w opowieści. 🚀',
+    ],
+    hellos: ['cześć', 'hej', 'witaj', 'siema', 'halo'],
+    // pełna odmiana + zdrobnienia (lib/names.js): Kasia → Kasiu, Kaśką, Katarzyny…
+    nameForms: name => byLength(polishNameForms(name)),
+    vocative: polishVocative,
+    ocr: {
+      langs: process.env.OCR_LANGS_PL || process.env.OCR_LANGS || 'pol+eng',
+      whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZĄĆĘŁŃÓŚŹŻ' + 'abcdefghijklmnopqrstuvwxyząćęłńóśźż' + OCR_PUNCTUATION + '„”',
+      // słownik frekwencyjny i korpus są polskie (lib/ocrCorrect.js)
+      correct: true,
+    },
+    asr: 'pl',
+    // sylabizacja (tryb TTS 'syllables', /text/syllables, maxSyllables, targetSound) zna tylko polski
+    syllables: true,
+    moderation: ['pl', 'en'],
+    // pl: generator z szablonów (lib/offlineAgent.js); tu tylko awaryjna motywacja
+    offline: null,
+    fallbackMotivation: 'Świetna próba! Z każdą stroną będzie coraz lepiej — spróbujmy jeszcze raz! 💪',
+  },
+
+  uk: {
+    code: 'uk',
+    name: 'ukraiński',
+    inLang: 'po ukraińsku',
+    readingWords: ['книжка', 'читання', 'розділ', 'казка', 'історія', 'склад', 'слово', 'речення', 'ілюстрації', 'закладка', 'бібліотека', 'літери'],
+    greetingExamples: [
+      'Сьогодні разом відкриємо новий розділ казки. 📖',
+      'Зазирнемо до книжки, повної чарівних слів. ✨',
+      'Перевіримо, скільки складів має найдовше слово в історії. 🚀',
+    ],
+    hellos: ['привіт', 'вітаю', 'здрастуй', 'здрастуйте', 'доброго дня', 'агов', 'хай'],
+    nameForms: ukNameForms,
+    vocative: null,  // bez reguł wołacza — tryb addressByName nic nie dokleja
+    ocr: {
+      // bez eng: łacińskie a/o/e/i wyglądają jak cyrylica i psułyby rozpoznanie
+      langs: process.env.OCR_LANGS_UK || 'ukr',
+      whitelist: 'АБВГҐДЕЄЖЗИІЇЙКЛМНОПРСТУФХЦЧШЩЬЮЯ' + 'абвгґдеєжзиіїйклмнопрстуфхцчшщьюя' + OCR_PUNCTUATION + '«»ʼ’',
+      correct: false,
+    },
+    asr: 'uk',
+    syllables: false,
+    moderation: ['uk', 'en'],
+    offline: {
+      greetings: [
+        'Сьогодні разом відкриємо нову сторінку чарівної казки. 📖',
+        'На нас чекає книжка, повна цікавих слів і пригод. 📚',
+        'Зазирнемо до бібліотеки й знайдемо нову історію. ✨',
+        'Сьогодні читаємо разом, крок за кроком, сторінка за сторінкою. 🚀',
+        'Закладка вже чекає, час дізнатися, що буде далі. 🔤',
+        'Маю для тебе нову казку з веселими героями. 📖',
+      ],
+      motivations: {
+        great: ['Чудово, ти читаєш як справжній майстер! 🌟', 'Жодної помилки! Наступного разу спробуємо складніше слово. 🏆', 'Бездоганно і впевнено! Час для довшого розділу. 🎉'],
+        very_good: ['Дуже добре, ти читаєш плавно! Зверни увагу на закінчення слів. ⭐', 'Гарний темп читання! На довгих словах трохи пригальмуй. 👏', 'Чудово, майже все гладко! 📚'],
+        good: ['Добра робота, видно старання! Читай трошки повільніше. 💪', 'У тебе виходить усе краще! Важкі слова ділі на склади. 👍', 'Гарно, що не здаєшся! 🙂'],
+        warmup: ['Гарна розминка! Прочитай речення ще раз спокійно. 💪', 'Добре, що пробуєш! Читай повільно, склад за складом. 🌱', 'Кожна спроба рахується! Спробуймо ще раз без поспіху. 🙂'],
+      },
+    },
+    fallbackMotivation: 'Гарна спроба! З кожною сторінкою буде краще — спробуймо ще раз! 💪',
+  },
+
+  en: {
+    code: 'en',
+    name: 'angielski',
+    inLang: 'po angielsku',
+    readingWords: ['book', 'reading', 'chapter', 'fairy tale', 'story', 'syllable', 'word', 'sentence', 'pictures', 'bookmark', 'library', 'letters'],
+    greetingExamples: [
+      'Today we will open a brand new chapter of the story. 📖',
+      'Let us peek into a book full of magical words. ✨',
+      'We will find the longest word hiding in this story. 🚀',
+    ],
+    hellos: ['hello', 'hi', 'hey', 'hiya', 'howdy', 'greetings'],
+    nameForms: suffixForms(["'s", '’s']),
+    vocative: name => name,
+    ocr: {
+      langs: process.env.OCR_LANGS_EN || 'eng',
+      whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' + 'abcdefghijklmnopqrstuvwxyz' + OCR_PUNCTUATION + '“”‘’',
+      correct: false,
+    },
+    asr: 'en',
+    syllables: false,
+    moderation: ['en'],
+    offline: {
+      greetings: [
+        'Today we open a new page of a magical story. 📖',
+        'A book full of fun words and adventures is waiting. 📚',
+        'Let us visit the library and find a brand new story. ✨',
+        'We read together today, page by page, step by step. 🚀',
+        'The bookmark is waiting, time to see what happens next. 🔤',
+        'I have a new story with cheerful heroes just for you. 📖',
+      ],
+      motivations: {
+        great: ['Amazing, you read like a true champion! 🌟', 'Not a single slip! Maybe try a harder word next time. 🏆', 'Smooth and confident! Time for a longer chapter. 🎉'],
+        very_good: ['Very good, your reading flows nicely! Watch the word endings. ⭐', 'Great reading pace! Slow down a little on long words. 👏', 'Super, almost everything was smooth! 📚'],
+        good: ['Good job, your effort really shows! Try reading a bit slower. 💪', 'You are getting better and better! Split hard words into syllables. 👍', 'Well done for not giving up! 🙂'],
+        warmup: ['Nice warm-up! Read the sentence once more, calmly. 💪', 'Good that you tried! Read slowly, one syllable at a time. 🌱', 'Every try counts! Let us try again without rushing. 🙂'],
+      },
+    },
+    fallbackMotivation: 'Great try! Every page makes you better — let us try again! 💪',
+  },
+
+  de: {
+    code: 'de',
+    name: 'niemiecki',
+    inLang: 'po niemiecku',
+    readingWords: ['Buch', 'Lesen', 'Kapitel', 'Märchen', 'Geschichte', 'Silbe', 'Wort', 'Satz', 'Bilder', 'Lesezeichen', 'Bibliothek', 'Buchstaben'],
+    greetingExamples: [
+      'Heute schlagen wir gemeinsam ein neues Kapitel auf. 📖',
+      'Wir schauen in ein Buch voller zauberhafter Wörter. ✨',
+      'Wir suchen das längste Wort in dieser Geschichte. 🚀',
+    ],
+    hellos: ['hallo', 'hi', 'hey', 'servus', 'moin', 'grüß dich', 'guten tag'],
+    nameForms: suffixForms(['s']),
+    vocative: name => name,
+    ocr: {
+      langs: process.env.OCR_LANGS_DE || 'deu',
+      whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÜ' + 'abcdefghijklmnopqrstuvwxyzäöüß' + OCR_PUNCTUATION + '„“‚‘»«',
+      correct: false,
+    },
+    asr: 'de',
+    syllables: false,
+    moderation: ['de'],
+    offline: {
+      greetings: [
+        'Heute schlagen wir eine neue Seite einer zauberhaften Geschichte auf. 📖',
+        'Ein Buch voller lustiger Wörter und Abenteuer wartet auf uns. 📚',
+        'Wir besuchen die Bibliothek und finden eine ganz neue Geschichte. ✨',
+        'Heute lesen wir zusammen, Seite für Seite, Schritt für Schritt. 🚀',
+        'Das Lesezeichen wartet, mal sehen, wie es weitergeht. 🔤',
+        'Ich habe eine neue Geschichte mit fröhlichen Helden für dich. 📖',
+      ],
+      motivations: {
+        great: ['Super, du liest wie ein echter Profi! 🌟', 'Fehlerfrei gelesen! Nächstes Mal probieren wir ein schwereres Wort. 🏆', 'Flüssig und sicher! Zeit für ein längeres Kapitel. 🎉'],
+        very_good: ['Sehr gut, du liest schön flüssig! Achte noch auf die Wortendungen. ⭐', 'Tolles Lesetempo! Bei langen Wörtern ruhig etwas langsamer. 👏', 'Klasse, fast alles lief glatt! 📚'],
+        good: ['Gute Arbeit, man sieht deine Mühe! Lies ein bisschen langsamer. 💪', 'Du wirst immer besser! Teile schwere Wörter in Silben. 👍', 'Schön, dass du nicht aufgibst! 🙂'],
+        warmup: ['Gutes Aufwärmen! Lies den Satz noch einmal in Ruhe. 💪', 'Gut, dass du es versuchst! Lies langsam, Silbe für Silbe. 🌱', 'Jeder Versuch zählt! Versuchen wir es noch einmal ohne Eile. 🙂'],
+      },
+    },
+    fallbackMotivation: 'Toller Versuch! Mit jeder Seite wird es besser — versuchen wir es noch einmal! 💪',
+  },
+};
+
+export const LANGS = Object.keys(LANG_PACKS);
+// Język, gdy żądanie ani profil dziecka go nie podają
+export const DEFAULT_LANG = LANG_PACKS[process.env.DEFAULT_LANG] ? process.env.DEFAULT_LANG : 'pl';
+
+/**
+ * Kod albo alias → kod paczki ('pl-PL' → 'pl', 'ua' → 'uk'); puste → `fallback`; nieznany → null.
+ */
+export function resolveLang(value, fallback = DEFAULT_LANG) {
+  if (value == null || value === '') return fallback;
+  const code = String(value).trim().toLowerCase().split(/[-_]/)[0];
+  const lang = ALIASES[code] || code;
+  return LANG_PACKS[lang] ? lang : null;
+}
+
+/** Paczka języka; nieznany kod → paczka domyślna */
+export function langPack(lang) {
+  return LANG_PACKS[resolveLang(lang)] || LANG_PACKS[DEFAULT_LANG];
+}
+
+// Głos TTS dla języka z env (ELEVEN_VOICE_ID_UK, OPENAI_TTS_VOICE_DE, LOCAL_TTS_VOICE_EN…); brak → domyślny dostawcy
+const VOICE_ENV = { elevenlabs: 'ELEVEN_VOICE_ID', openai: 'OPENAI_TTS_VOICE', local: 'LOCAL_TTS_VOICE' };
+export function langVoice(lang, provider) {
+  const env = VOICE_ENV[provider];
+  return env ? process.env[`${env}_${String(lang).toUpperCase()}`] || null : null;
+}
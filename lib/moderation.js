@@ -0,0 +1,189 @@
+/* ===================== Moderacja treści dla dzieci ===================== */
+// Wszystko, co napisał LLM (powitania, motywacje, teksty do czytania), przechodzi przez ten etap,
+// zanim trafi do dziecka. Najpierw lokalne reguły języka dziecka (przemoc, strach, treści dla dorosłych,
+// wulgaryzmy, marki, dane osobowe, linki) — szybko i offline; potem opcjonalnie moderacja dostawcy
+// (MODERATION_REMOTE=1, zdolność 'moderation' w rejestrze). Każde odrzucenie ląduje w logu JSONL
+// (MODERATION_LOG) z powodem — żeby dało się sprawdzić, co dzieci by zobaczyły.
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+import { DEFAULT_LANG, langPack } from './lang.js';
+
+const REMOTE = process.env.MODERATION_REMOTE === '1';
+const REMOTE_TIMEOUT_MS = Number(process.env.MODERATION_TIMEOUT_MS || 1500);
+const LOG_FILE = process.env.MODERATION_LOG || path.join(process.env.DATA_DIR || 'data', 'moderation-log.jsonl');
+const RECENT_MAX = 200;
+
+/* ===== Reguły lokalne ===== */
+// Wzorce na małych literach; W = początek słowa (rdzenie łapią odmianę: zabił, zabiła, zabijać…).
+// \b w JS zna tylko litery ASCII — koniec słowa zamieniamy na wersję dla każdego alfabetu (кров\b, tot\b)
+const W = '(?<![\\p{L}\\p{N}])';
+const END = '(?![\\p{L}\\p{N}])';
+const rule = (category, words) =>
+  ({ category, re: new RegExp(`${W}(?:${words.join('|').replaceAll('\\b', END)})`, 'u') });
+
+// Słowa per język (kategoria → rdzenie); który zestaw obowiązuje, mówi paczka języka (`moderation`).
+// Osobno, bo słowo niewinne w jednym języku bywa groźne w innym (niem. "die" vs ang. "die")
+export const WORDS = {
+  pl: {
+    violence: [
+      'zabi[jćłl]', 'zabójc', 'morderc', 'mordow', 'morderstw', 'krwaw', 'krwi\\b', 'zakrwawi', 'pistolet', 'karabin',
+      'rewolwer', 'granat', 'bomb[aąeyi]', 'wysadz', 'zastrzel', 'dźgn', 'tortur', 'trup', 'zwłok', 'bójk',
+    ],
+    scary: [
+      'horror', 'koszmar', 'zombi', 'demon', 'diab[eł]', 'szatan', 'upiór', 'upior', 'umarł', 'umarli', 'śmier[ćc]', 'nie żyje',
+      'porwa[łlćn]', 'porywacz', 'zgin[ąęi]',
+    ],
+    adult: [
+      'alkohol', 'piw[oa]\\b', 'wódk', 'wódeczk', 'wino\\b', 'pijan', 'papieros', 'e-papieros', 'narkoty', 'seks', 'erotycz',
+      'hazard', 'kasyn',
+    ],
+    profanity: [
+      'kurw', 'chuj', 'huj', 'pierdol', 'pierdziel', 'jeb', 'spierdal', 'zajeb', 'dupek', 'gówn', 'cholera',
+      'idiot', 'debil', 'kretyn', 'głupek', 'głupi[aoe]?\\b', 'beznadziejn',
+    ],
+    personal_data: [
+      'twój adres', 'twoj adres', 'gdzie mieszkasz', 'jak się nazywasz', 'jak masz na nazwisko', 'twoje nazwisko', 'numer telefonu',
+      'numer domu', 'pesel', 'twoje hasło', 'podaj hasło', 'do której szkoły',
+    ],
+  },
+  en: {
+    violence: ['kill', 'murder', 'blood', 'gun\\b', 'guns\\b', 'rifle', 'weapon', 'bomb\\b', 'bombs\\b', 'shoot', 'stab\\b', 'stabb', 'torture', 'corpse'],
+    scary: ['horror', 'nightmare', 'zombie', 'demon', 'devil', 'satan', 'death', 'dead\\b', 'die\\b', 'dies\\b', 'died', 'kidnap'],
+    adult: ['alcohol', 'beer', 'vodka', 'wine\\b', 'drunk', 'cigarette', 'drugs?\\b', 'sex', 'gambl', 'casino'],
+    profanity: ['fuck', 'shit', 'bitch', 'damn', 'idiot', 'stupid', 'dumb', 'loser'],
+    personal_data: ['your address', 'where do you live', 'phone number', 'your last name', 'your surname', 'password'],
+  },
+  uk: {
+    violence: [
+      'вбив', 'вбит', 'вбий', 'убив', 'убит', 'вбивц', 'кров\\b', 'крові', 'кров[ʼ\'’]', 'кривав', 'пістолет', 'рушниц', 'зброя', 'зброї',
+      'бомб', 'підірв', 'застрел', 'катув', 'тортур', 'труп',
+    ],
+    scary: ['жах', 'кошмар', 'зомбі', 'демон', 'дияв', 'сатан', 'чорт', 'привид', 'смерт', 'мертв', 'помер(?:ла|ло|ли)?\\b', 'загину?в', 'загинул', 'загибел', 'викрад'],
+    adult: ['алкогол', 'пиво\\b', 'пива\\b', 'горілк', 'вино\\b', 'п[ʼ\'’]ян', 'цигарк', 'сигарет', 'наркот', 'секс', 'еротич', 'казино'],
+    profanity: ['бля', 'хуй', 'хуя', 'пизд', 'їба', 'єба', 'сука', 'срак', 'лайно', 'дурень', 'дурн', 'ідіот', 'дебіл', 'кретин'],
+    personal_data: ['твоя адреса', 'де ти живеш', 'твоє прізвище', 'номер телефону', 'пароль'],
+  },
+  de: {
+    violence: [
+      'töt', 'getötet', 'mörder', 'mord\\b', 'ermord', 'blut\\b', 'blutig', 'pistole', 'gewehr', 'waffen?\\b', 'bombe', 'erschieß', 'erschiess',
+      'ersteche', 'erstoch', 'folter', 'leiche',
+    ],
+    scary: ['horror', 'albtraum', 'alptraum', 'zombie', 'dämon', 'teufel', 'satan', 'tod\\b', 'todes', 'tot\\b', 'tote[nr]?\\b', 'gestorben', 'stirbt', 'entführ'],
+    adult: ['alkohol', 'bier\\b', 'schnaps', 'wein\\b', 'betrunken', 'zigarette', 'drogen', 'sex', 'erotisch', 'glücksspiel', 'kasino', 'casino'],
+    profanity: ['scheiß', 'scheiss', 'fick', 'arschloch', 'mist\\b', 'verdammt', 'idiot', 'dumm', 'blöd', 'depp', 'trottel'],
+    personal_data: ['deine adresse', 'wo wohnst du', 'dein nachname', 'telefonnummer', 'passwort'],
+  },
+};
+
+// Marki — te same w każdym języku
+const BRANDS = [
+  'coca[- ]?col', 'pepsi', 'mcdonald', 'kfc\\b', 'burger king', 'nike\\b', 'adidas', 'disney', 'netflix', 'youtube',
+  'tiktok', 'instagram', 'facebook', 'snapchat', 'iphone', 'ipad', 'samsung', 'playstation', 'xbox', 'nintendo',
+  'minecraft', 'fortnite', 'roblox', 'pokemon', 'pokémon', 'barbie', 'marvel\\b', 'haribo', 'kinder niespodzian',
+];
+
+const CATEGORIES = ['violence', 'scary', 'adult', 'profanity', 'personal_data'];
+const compiled = new Map(); // klucz zestawów ('pl+en') → reguły
+
+/** Reguły dla języka: kategorie ze wszystkich jego zestawów słów + marki */
+export function rulesFor(lang) {
+  const sets = langPack(lang).moderation;
+  const key = sets.join('+');
+  if (!compiled.has(key)) {
+    const rules = CATEGORIES.map(category => rule(category, sets.flatMap(set => WORDS[set][category] || [])));
+    rules.splice(4, 0, rule('brand', BRANDS));
+    compiled.set(key, rules);
+  }
+  return compiled.get(key);
+}
+
+// Wzorce na surowym tekście (wielkość liter ma znaczenie albo to nie są słowa)
+const PATTERNS = [
+  { category: 'url', re: /\bhttps?:\/\/|\bwww\.|\b[\p{L}\d-]+\.(?:pl|com|net|org|eu|io|tv|app|gg)\b/iu },
+  { category: 'personal_data', re: /[\w.+-]+@[\w-]+\.[\w.]+/ },                                 // e-mail
+  { category: 'personal_data', re: /(?:\+?48[\s-]?)?(?<!\d)\d{3}[\s-]?\d{3}[\s-]?\d{3}(?!\d)/ }, // telefon
+  { category: 'personal_data', re: /(?<!\d)\d{11}(?!\d)/ },                                     // PESEL
+  { category: 'personal_data', re: /\b(?:ul\.|ulica|al\.|aleja)\s+\p{Lu}[\p{L}-]+\s+\d+/u },     // adres
+];
+
+/** Lokalne reguły języka → [{ category, match }]; pusta tablica = tekst czysty */
+export function localCheck(text = '', lang = DEFAULT_LANG) {
+  const raw = String(text || '');
+  const lower = raw.normalize('NFC').toLowerCase();
+  const reasons = [];
+  for (const { category, re } of rulesFor(lang)) {
+    const m = re.exec(lower);
+    if (m) reasons.push({ category, match: m[0] });
+  }
+  for (const { category, re } of PATTERNS) {
+    const m = re.exec(raw);
+    if (m && !reasons.some(r => r.category === category)) reasons.push({ category, match: m[0] });
+  }
+  return reasons;
+}
+
+/* ===== Moderator ===== */
+/**
+ * createModerator({ ai }).check(text, { kind, lang, ...ctx }) → { ok, reasons, source }; `lang` wybiera reguły lokalne.
+ * source: 'local' (odrzucił / przepuścił sam lokalny etap) | 'provider' (zdecydowała moderacja dostawcy).
+ * Błąd lub timeout dostawcy nie blokuje — zostaje wynik lokalny (i ostrzeżenie w logu serwera).
+ */
+export function createModerator({ ai, remote = REMOTE, timeoutMs = REMOTE_TIMEOUT_MS, logFile = LOG_FILE } = {}) {
+  const recent = [];
+  const stats = { checked: 0, rejected: 0, byCategory: {}, remoteErrors: 0 };
+  if (logFile) fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  const useRemote = () => remote && ai?.has('moderation');
+
+  function reject(text, reasons, { kind, source, ...ctx }) {
+    stats.rejected++;
+    for (const r of reasons) stats.byCategory[r.category] = (stats.byCategory[r.category] || 0) + 1;
+    const entry = { at: new Date().toISOString(), kind, source, reasons, text: String(text), ...ctx };
+    recent.unshift(entry);
+    recent.length = Math.min(recent.length, RECENT_MAX);
+    if (logFile) fsp.appendFile(logFile, JSON.stringify(entry) + '\n').catch(err => console.error('moderation log error:', err));
+  }
+
+  async function remoteCheck(text) {
+    let timer;
+    const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('MODERATION_TIMEOUT')), timeoutMs); });
+    try {
+      const out = await Promise.race([ai.moderate({ input: text }), timeout]);
+      return out.flagged ? out.categories.map(category => ({ category, match: null })) : [];
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function check(text, { kind = 'text', lang = DEFAULT_LANG, ...ctx } = {}) {
+    stats.checked++;
+    let reasons = localCheck(text, lang), source = 'local';
+    if (!reasons.length && useRemote()) {
+      try {
+        reasons = await remoteCheck(text);
+        source = 'provider';
+      } catch (err) {
+        stats.remoteErrors++;
+        console.warn('moderation provider error:', String(err?.message || err));
+      }
+    }
+    if (reasons.length) reject(text, reasons, { kind, source, lang, ...ctx });
+    return { ok: !reasons.length, reasons, source };
+  }
+
+  return {
+    check,
+    // Szybki filtr listy kandydatów (tylko reguły lokalne; odrzucone też trafiają do logu)
+    filter(texts, { kind = 'text', lang = DEFAULT_LANG, ...ctx } = {}) {
+      return texts.filter(text => {
+        stats.checked++;
+        const reasons = localCheck(text, lang);
+        if (reasons.length) reject(text, reasons, { kind, source: 'local', lang, ...ctx });
+        return !reasons.length;
+      });
+    },
+    recent: ({ limit = 50 } = {}) => recent.slice(0, limit),
+    stats: () => ({ ...stats, remote: Boolean(useRemote()), logFile: logFile || null }),
+  };
+}
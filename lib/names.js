@@ -0,0 +1,277 @@
+/* ===================== Imiona (polski): odmiana i zdrobnienia ===================== */
+// Imię → wszystkie przypadki (M D C B N Ms W) oraz popularne zdrobnienia, każde też odmienione.
+// Odmiana z reguł wg zakończenia tematu: twardy (Jan → Janie), miękki (Staś → Stasiu, Kasia →
+// Kasiu), k/g/ch (Tomek → Tomku, Monika → Monice), funkcjonalnie miękki sz cz rz ż c dz
+// (Tomasz → Tomaszu, Róża → Róży). Wyjątki: ruchome "e" spoza -ek/-eł (Kacper → Kacpra),
+// męskie na -a (Kuba), żeńskie nieodmienne (Nel, Miriam), -nia czytane jak -nii (Antonia).
+// Używane przez sanitizeNoName (wycinanie imienia z tekstu LLM) i tryb zwracania się w wołaczu.
+
+const VOWEL = /[aąeęioóuy]/;
+
+// Miękkie z kreską przed samogłoską piszemy przez "i": Staś → Stasia, Jadźka ← Jadzia
+const SOFT_SPELL = { ś: 'si', ć: 'ci', ń: 'ni', ź: 'zi' };
+const SOFT_LETTER = { s: 'ś', c: 'ć', n: 'ń', z: 'ź', dz: 'dź' };
+
+// Wymiany przed -e (C/Ms żeńskie, Ms/W męskie twardotematowe); najdłuższe najpierw.
+// Reszta (m b p w f …) → "+ie": Adamie, Filipie, Ewie
+const SOFTEN = [
+  ['st', 'ście'], ['zd', 'ździe'], ['sł', 'śle'],
+  ['ch', 'sze'], ['k', 'ce'], ['g', 'dze'], ['r', 'rze'], ['ł', 'le'],
+  ['t', 'cie'], ['d', 'dzie'], ['s', 'sie'], ['z', 'zie'], ['n', 'nie'],
+];
+function soften(stem) {
+  const hit = SOFTEN.find(([end]) => stem.endsWith(end));
+  return hit ? stem.slice(0, -hit[0].length) + hit[1] : `${stem}ie`;
+}
+
+function stemKind(stem) {
+  if (/(?:[śćńźjli])$/.test(stem)) return 'soft';
+  if (/(?:sz|cz|rz|ż|c|dz|dż)$/.test(stem)) return 'hardSoft';
+  if (/(?:k|g|ch)$/.test(stem)) return 'velar';
+  return 'hard';
+}
+
+/* ===== Wyjątki ===== */
+const MASCULINE_A = new Set(['kuba', 'barnaba', 'bonawentura', 'kosma', 'jarema', 'zawisza', 'sasza']);
+// Żeńskie na spółgłoskę / -e / -i — w polszczyźnie nieodmienne
+const INDECLINABLE = new Set([
+  'nel', 'miriam', 'ruth', 'rut', 'iris', 'inez', 'karmen', 'abigail', 'ingrid', 'mercedes',
+  'dolores', 'noemi', 'beatrycze', 'margot', 'ivette', 'nicole', 'michelle', 'chloe', 'zoe',
+]);
+// -nia po twardym n (Antonii, nie "Antoni")
+const II_NAMES = new Set(['antonia', 'apolonia', 'leonia']);
+// Temat przypadków zależnych, gdy reguły go nie wyprowadzą (ruchome "e", -o → -on)
+const STEMS = {
+  kacper: 'kacpr', aleksander: 'aleksandr', lew: 'lw',
+  bruno: 'brunon', hugo: 'hugon', otto: 'otton', leo: 'leon',
+};
+
+/* ===== Zdrobnienia ===== */
+// Pierwszy stopień; dalsze (Zośka, Zosieńka, Zosiunia; Tomeczek, Tomuś) dokładają reguły w derive()
+const FEMALE = {
+  anna: ['ania', 'anka', 'anusia', 'aneczka', 'anulka'],
+  katarzyna: ['kasia'],
+  zofia: ['zosia'],
+  barbara: ['basia'],
+  małgorzata: ['gosia', 'małgosia'],
+  maria: ['marysia', 'maryla', 'marysieńka'],
+  joanna: ['asia', 'joasia'],
+  agnieszka: ['agusia', 'aga'],
+  aleksandra: ['ola', 'oleńka', 'olka'],
+  magdalena: ['magda', 'madzia'],
+  natalia: ['natalka', 'nata'],
+  julia: ['julka', 'julcia', 'jula'],
+  zuzanna: ['zuzia', 'zuza', 'zuzka'],
+  wiktoria: ['wika', 'wiktorka'],
+  amelia: ['amelka', 'mela'],
+  antonina: ['tosia', 'antosia', 'tola'],
+  hanna: ['hania', 'hanka', 'haneczka'],
+  helena: ['hela', 'helenka'],
+  emilia: ['emilka'],
+  ewa: ['ewka', 'ewunia', 'ewusia'],
+  marta: ['martusia', 'martunia'],
+  alicja: ['ala', 'alusia'],
+  elżbieta: ['ela', 'elka', 'elunia'],
+  urszula: ['ula', 'ulka'],
+  dorota: ['dorotka', 'dora'],
+  weronika: ['weronka', 'wera', 'werka'],
+  gabriela: ['gabrysia'],
+  jadwiga: ['jadzia'],
+  krystyna: ['krysia'],
+  teresa: ['tereska', 'tesia'],
+  lena: ['lenka', 'lenusia'],
+  maja: ['majka', 'majeczka'],
+  oliwia: ['oliwka'],
+  laura: ['laurka'],
+  pola: ['polcia'],
+  kinga: ['kingusia'],
+  michalina: ['michasia'],
+  nikola: ['nikolka'],
+};
+const MALE = {
+  tomasz: ['tomek'],
+  jan: ['janek', 'jaś', 'jasiek', 'jasio'],
+  piotr: ['piotrek', 'piotruś'],
+  paweł: ['pawełek'],
+  michał: ['michałek', 'michaś'],
+  jakub: ['kuba', 'kubuś'],
+  mateusz: ['mateuszek'],
+  krzysztof: ['krzyś', 'krzysiek', 'krzysio'],
+  andrzej: ['jędrek', 'andrzejek'],
+  wojciech: ['wojtek'],
+  bartłomiej: ['bartek'],
+  bartosz: ['bartek', 'bartoszek'],
+  stanisław: ['staś', 'stasiek', 'stasio'],
+  franciszek: ['franek', 'franio'],
+  antoni: ['antek', 'antoś'],
+  aleksander: ['olek', 'oleś', 'aleks'],
+  maciej: ['maciek', 'maciuś'],
+  kacper: ['kacperek'],
+  szymon: ['szymek'],
+  ignacy: ['ignaś'],
+  józef: ['józek', 'józio'],
+  kazimierz: ['kazio', 'kazik'],
+  tadeusz: ['tadek', 'tadzio'],
+  grzegorz: ['grześ', 'grzesiek'],
+  łukasz: ['łukaszek'],
+  adam: ['adaś', 'adasiek'],
+  filip: ['filipek'],
+  dawid: ['dawidek'],
+  mikołaj: ['mikołajek', 'mikuś'],
+  kamil: ['kamilek'],
+  karol: ['karolek'],
+  leon: ['leoś', 'leonek'],
+  tymoteusz: ['tymek'],
+  tymon: ['tymek'],
+  nikodem: ['nikodemek'],
+  wiktor: ['wiktorek'],
+  igor: ['igorek'],
+};
+
+// Zdrobnienie → imiona bazowe (Bartek → Bartłomiej, Bartosz)
+const BASES = new Map();
+for (const [family, gender] of [[FEMALE, 'f'], [MALE, 'm']]) {
+  for (const [base, dims] of Object.entries(family)) {
+    for (const d of dims) BASES.set(d, [...(BASES.get(d) || []), { base, gender }]);
+  }
+}
+
+function genderOf(w) {
+  if (w in FEMALE) return 'f';
+  if (w in MALE) return 'm';
+  const bases = BASES.get(w);
+  if (bases) return bases[0].gender;
+  if (MASCULINE_A.has(w)) return 'm';
+  return w.endsWith('a') || INDECLINABLE.has(w) ? 'f' : 'm';
+}
+
+/* ===== Odmiana ===== */
+// Deklinacja na -a (żeńskie i Kuba): { nom, gen, dat, acc, ins, loc, voc } + warianty wołacza
+function declineA(w) {
+  const core = w.slice(0, -1);
+  const forms = (gdl, dl, voc, alt = []) => ({
+    nom: w, gen: gdl, dat: dl, acc: `${core}ę`, ins: `${core}ą`, loc: dl, voc, alt,
+  });
+  // Kasia, Ania, Jadzia: miękkie -ia → Kasi, Kasiu
+  if (/(?:dz|c|s|z|n)ia$/.test(w) && !II_NAMES.has(w)) return forms(core, core, `${core}u`, [`${core}o`]);
+  // Julia, Alicja, Mia: -ii / -ji
+  if (/ia$/.test(w) || /[^aąeęioóuy]ja$/.test(w)) return forms(`${core}i`, `${core}i`, `${core}o`);
+  // Maja, Kaja: -j- znika przed -i
+  if (/ja$/.test(w)) return forms(`${core.slice(0, -1)}i`, `${core.slice(0, -1)}i`, `${core}o`);
+  // Lea, Noa
+  if (VOWEL.test(core.at(-1) || '')) return forms(`${core}i`, `${core}i`, `${core}o`);
+  // Ola, Ela, Nela: krótkie zdrobnienia mają wołacz na -u
+  if (core.endsWith('l')) {
+    const short = w.length <= 4 && !core.endsWith('ll');
+    return forms(`${core}i`, `${core}i`, short ? `${core}u` : `${core}o`, [short ? `${core}o` : `${core}u`]);
+  }
+  const kind = stemKind(core);
+  if (kind === 'soft') return forms(`${core}i`, `${core}i`, `${core}u`, [`${core}o`]);
+  if (kind === 'hardSoft') return forms(`${core}y`, `${core}y`, `${core}o`);
+  // Zośka, Kasieńka: wołacz potocznie też na -u (Zośku) — tylko do wycinania
+  const gen = kind === 'velar' && !core.endsWith('ch') ? `${core}i` : `${core}y`;
+  return forms(gen, soften(core), `${core}o`, kind === 'velar' ? [`${core}u`] : []);
+}
+
+// Temat przypadków zależnych dla męskich: ruchome "e" (Tomek → Tomk-, Maciek → Maćk-,
+// Paweł → Pawł-), miękkie z kreską (Staś → Stasi-), zdrobnienia na -io (Jasio → Jasi-)
+function masculineStem(w) {
+  if (w in STEMS) return STEMS[w];
+  if (SOFT_SPELL[w.at(-1)]) return w.slice(0, -1) + SOFT_SPELL[w.at(-1)];
+  const soft = w.match(/^(.*?)(dz|c|s|z|n)iek$/);
+  if (soft) return `${soft[1]}${SOFT_LETTER[soft[2]]}k`;
+  if (/[^aąeęioóuy]ek$/.test(w)) return `${w.slice(0, -2)}k`;
+  if (w.endsWith('eł')) return `${w.slice(0, -2)}ł`;
+  if (w.endsWith('io')) return w.slice(0, -1);
+  return w;
+}
+
+function declineMasculine(w) {
+  // Jerzy, Antoni, Ignacy: odmiana przymiotnikowa
+  if (/[^aąeęioóuy][yi]$/.test(w)) {
+    const gen = `${w.endsWith('y') ? w.slice(0, -1) : w}ego`;
+    return { nom: w, gen, dat: `${gen.slice(0, -3)}emu`, acc: gen, ins: `${w}m`, loc: `${w}m`, voc: w, alt: [] };
+  }
+  const stem = masculineStem(w);
+  // Samogłoska na końcu bez wyprowadzonego tematu (Nemo, Enzo) — nie odmieniamy
+  if (VOWEL.test(stem.at(-1)) && stem.at(-1) !== 'i') return null;
+  const kind = stemKind(stem);
+  const loc = kind === 'hard' ? soften(stem) : `${stem}u`;
+  const ins = kind === 'velar' && !stem.endsWith('ch') ? `${stem}iem` : `${stem}em`;
+  return { nom: w, gen: `${stem}a`, dat: `${stem}owi`, acc: `${stem}a`, ins, loc, voc: loc, alt: [] };
+}
+
+function declineWord(w) {
+  const same = { nom: w, gen: w, dat: w, acc: w, ins: w, loc: w, voc: w, alt: [] };
+  if (INDECLINABLE.has(w)) return same;
+  if (w.endsWith('a')) return declineA(w);
+  if (genderOf(w) === 'f') return same;
+  return declineMasculine(w) || same;
+}
+
+/* ===== Zdrobnienia z reguł ===== */
+// Kasia → Kaśka, Kasieńka, Kasiunia; Tomek → Tomeczek, Tomuś
+function derive(w) {
+  const soft = w.match(/^(.*?)(dz|c|s|z|n)ia$/);
+  if (soft && !II_NAMES.has(w)) {
+    const core = w.slice(0, -1);
+    return [`${soft[1]}${SOFT_LETTER[soft[2]]}ka`, `${core}eńka`, `${core}unia`];
+  }
+  // tylko krótkie tematy: Tomek, Bartek (nie Kacperek → "Kacpereczek")
+  const ek = w.match(/^(.*[^aąeęioóuyi])ek$/);
+  if (ek && ek[1].match(/[aąeęioóuy]+/g)?.length === 1) {
+    return [...(ek[1].endsWith('c') ? [] : [`${ek[1]}eczek`]), `${ek[1]}uś`];
+  }
+  return [];
+}
+
+// Cała rodzina imienia: baza(y), zdrobnienia z listy i z reguł (małymi literami)
+function family(w) {
+  const bases = [w, ...(BASES.get(w) || []).map(b => b.base)];
+  const out = new Set();
+  for (const b of bases) {
+    out.add(b);
+    for (const d of FEMALE[b] || MALE[b] || []) out.add(d);
+  }
+  for (const v of [...out]) for (const d of derive(v)) out.add(d);
+  return [...out];
+}
+
+const cap = s => s.charAt(0).toLocaleUpperCase('pl') + s.slice(1);
+const words = name => String(name || '').trim().split(/[\s-]+/).filter(Boolean);
+
+/**
+ * Odmiana jednego imienia: { gender: 'f'|'m', cases: { nom, gen, dat, acc, ins, loc, voc } }.
+ * Imię złożone (Anna Maria, Jan-Paweł) → odmieniany każdy człon.
+ */
+export function declineName(name) {
+  const parts = words(name).map(p => p.toLocaleLowerCase('pl'));
+  if (!parts.length) return null;
+  const declined = parts.map(declineWord);
+  const cases = {};
+  for (const c of ['nom', 'gen', 'dat', 'acc', 'ins', 'loc', 'voc']) cases[c] = declined.map(d => cap(d[c])).join(' ');
+  return { gender: genderOf(parts[0]), cases };
+}
+
+/** Wołacz do zwracania się do dziecka: Kasia → Kasiu, Tomek → Tomku, Piotr → Piotrze */
+export function vocative(name) {
+  return String(name || '').trim().split(/([\s-]+)/)
+    .map(p => /^[\s-]*$/.test(p) ? p : cap(declineWord(p.toLocaleLowerCase('pl')).voc))
+    .join('');
+}
+
+/**
+ * Wszystkie formy imienia do wycięcia z tekstu: przypadki imienia, jego bazy i zdrobnień
+ * (Kasia → Katarzyny, Kasiu, Kaśką, Zosieńko…). Bez kolejności — sortuje wywołujący.
+ */
+export function nameForms(name) {
+  const out = new Set();
+  for (const part of words(name)) {
+    out.add(part);
+    for (const member of family(part.toLocaleLowerCase('pl'))) {
+      const { alt, ...cases } = declineWord(member);
+      for (const f of [...Object.values(cases), ...alt]) out.add(cap(f));
+    }
+  }
+  return [...out];
+}
@@ -0,0 +1,339 @@
+/* ===================== OCR: preprocessing + Tesseract + struktura z bboxami ===================== */
+// Wynik: bloki → linie → słowa, każde z tekstem, pewnością i bbox w układzie oryginalnego zdjęcia
+// (cofamy resize i obrót EXIF z preprocessu), żeby aplikacja mogła podświetlać słowa na stronie książki.
+import sharp from 'sharp';
+
+import { DEFAULT_LANG, langPack } from './lang.js';
+import { correctOcr } from './ocrCorrect.js';
+import { WHITELIST } from './ocrWorkers.js';
+import { mapBack, normalizePages } from './pageDetect.js';
+import { PAGE_ERRORS, isPdf, openPdf } from './pdf.js';
+
+export { WHITELIST };
+
+// Wykrywanie strony (perspektywa, rozkładówka, prostowanie, marginesy); OCR_PAGE_DETECT=0 wyłącza
+const PAGE_DETECT = process.env.OCR_PAGE_DETECT !== '0';
+// Korekta tekstu słownikiem (diakrytyki, rn/m, l/I); OCR_CORRECT=0 wyłącza
+const CORRECT = process.env.OCR_CORRECT !== '0';
+// Wiele zdjęć / PDF: limit stron na żądanie i próg pewności, poniżej którego prosimy o ponowne zdjęcie
+export const MAX_PAGES = Number(process.env.OCR_MAX_PAGES || 30);
+const RESHOOT_CONFIDENCE = Number(process.env.OCR_RESHOOT_CONFIDENCE || 55);
+
+/* ===== Układy współrzędnych ===== */
+// transform = { orientation, width, height, steps } — width/height to surowe piksele pliku,
+// steps to kolejne przekształcenia po obrocie EXIF (skalowanie, perspektywa, przycięcia, obrót).
+// Punkt z obrazu po preprocessie → cofamy steps od końca (mapBack) → cofamy EXIF.
+
+// Punkt w obrazie po obrocie EXIF (x', y') → surowe piksele pliku (W × H)
+function unorient([x, y], { orientation = 1, width: W, height: H }) {
+  switch (orientation) {
+    case 2: return [W - x, y];
+    case 3: return [W - x, H - y];
+    case 4: return [x, H - y];
+    case 5: return [y, x];
+    case 6: return [y, H - x];
+    case 7: return [W - y, H - x];
+    case 8: return [W - y, x];
+    default: return [x, y];
+  }
+}
+
+export function toOriginalPoint(pt, transform, { coords = 'original' } = {}) {
+  let p = pt;
+  for (let i = transform.steps.length - 1; i >= 0; i--) p = mapBack(p, transform.steps[i]);
+  return coords === 'oriented' ? p : unorient(p, transform);
+}
+
+// bbox Tesseracta {x0,y0,x1,y1} → ten sam kształt w układzie oryginału (min/max rogów, bo obrót)
+export function toOriginalBox(bbox, transform, opts) {
+  const corners = [[bbox.x0, bbox.y0], [bbox.x1, bbox.y0], [bbox.x1, bbox.y1], [bbox.x0, bbox.y1]]
+    .map(p => toOriginalPoint(p, transform, opts));
+  const xs = corners.map(p => p[0]), ys = corners.map(p => p[1]);
+  return {
+    x0: Math.round(Math.min(...xs)), y0: Math.round(Math.min(...ys)),
+    x1: Math.round(Math.max(...xs)), y1: Math.round(Math.max(...ys)),
+  };
+}
+
+/* ===== Preprocessing ===== */
+// Kontrast pod Tesseracta (jak dotąd: normalize + linear/sharpen albo próg)
+function enhance(img) {
+  let out = sharp(Buffer.from(img.data.buffer, img.data.byteOffset, img.data.length), {
+    raw: { width: img.width, height: img.height, channels: 1 },
+  }).normalize();
+
+  if (process.env.OCR_THRESHOLD === '1') {
+    const thr = Number(process.env.OCR_THRESHOLD_VALUE || 185);
+    out = out.threshold(thr);
+  } else {
+    const a = Number(process.env.OCR_LINEAR_A || 1.25);
+    const b = Number(process.env.OCR_LINEAR_B || -12);
+    out = out.linear(a, b).sharpen();
+  }
+  return out.png().withMetadata({ density: 300 }).toBuffer();
+}
+
+/**
+ * Zdjęcie → strony gotowe do OCR: { pages: [{ buffer, transform, corrections }], transform }.
+ * Bez wykrywania strony zawsze jedna strona (samo EXIF + resize + kontrast).
+ */
+export async function preprocess(buffer, { detectPage = PAGE_DETECT } = {}) {
+  const meta = await sharp(buffer).metadata();
+  const orientation = meta.orientation || 1;
+  const swapped = orientation >= 5;
+  const orientedWidth = swapped ? meta.height : meta.width;
+  const orientedHeight = swapped ? meta.width : meta.height;
+
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: Number(process.env.OCR_WIDTH || 2000), withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const base = { data: new Uint8Array(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+
+  const transform = {
+    orientation,
+    width: meta.width,
+    height: meta.height,
+    steps: [{ type: 'scale', sx: info.width / orientedWidth, sy: info.height / orientedHeight }],
+  };
+  const pages = detectPage ? normalizePages(base) : [{ img: base, steps: [], corrections: [] }];
+
+  return {
+    transform,
+    pages: await Promise.all(pages.map(async p => ({
+      img: p.img,
+      buffer: await enhance(p.img),
+      transform: { ...transform, steps: [...transform.steps, ...p.steps] },
+      corrections: p.corrections,
+    }))),
+  };
+}
+
+/* ===== Struktura wyniku ===== */
+const conf = c => Math.round(Number(c ?? 0) * 10) / 10;
+
+/**
+ * result.data Tesseracta → { text, confidence, blocks: [{ text, confidence, bbox, lines: [{ …, words }] }] }.
+ * Słowa dostają `index` w kolejności czytania (do łączenia z alignmentem z /asr).
+ */
+export function structureOcr(data, transform, opts) {
+  let index = 0;
+  const word = w => ({ index: index++, text: w.text, confidence: conf(w.confidence), bbox: toOriginalBox(w.bbox, transform, opts) });
+  const line = l => ({
+    text: String(l.text || '').trim(),
+    confidence: conf(l.confidence),
+    bbox: toOriginalBox(l.bbox, transform, opts),
+    words: (l.words || []).filter(w => String(w.text || '').trim()).map(word),
+  });
+  const blocks = (data?.blocks || []).map(b => ({
+    text: String(b.text || '').trim(),
+    confidence: conf(b.confidence),
+    bbox: toOriginalBox(b.bbox, transform, opts),
+    lines: (b.paragraphs || []).flatMap(p => p.lines || []).map(line),
+  }));
+  return {
+    text: String(data?.text || '').trim(),
+    confidence: Number(data?.confidence ?? 0),
+    blocks,
+  };
+}
+
+// Sam tekst (vision / mock) → ta sama struktura, tylko bez pozycji (bbox: null)
+export function textOnlyOcr(text = '') {
+  let index = 0;
+  const lines = String(text).split('\n').map(t => t.trim()).filter(Boolean).map(t => ({
+    text: t,
+    confidence: null,
+    bbox: null,
+    words: t.split(/\s+/).map(w => ({ index: index++, text: w, confidence: null, bbox: null })),
+  }));
+  return {
+    text: String(text).trim(),
+    blocks: lines.length ? [{ text: String(text).trim(), confidence: null, bbox: null, lines }] : [],
+    boxesAvailable: false,
+  };
+}
+
+/* ===== Silniki ===== */
+const DEBUG_IMAGE_WIDTH = 1000;
+
+async function debugImage(png) {
+  const jpg = await sharp(png).resize({ width: DEBUG_IMAGE_WIDTH, withoutEnlargement: true }).jpeg({ quality: 70 }).toBuffer();
+  return `data:image/jpeg;base64,${jpg.toString('base64')}`;
+}
+
+async function tesseractRecognize(workers, buffer, { coords, detectPage, debug, deadline } = {}) {
+  const pre = await preprocess(buffer, { detectPage });
+  const pages = [];
+  // Rozkładówka → każda strona osobno, w kolejności czytania (lewa, prawa)
+  for (const [page, p] of pre.pages.entries()) {
+    const data = await workers.recognize(p.buffer, { deadline });
+    const out = structureOcr(data, p.transform, { coords });
+    pages.push({
+      page,
+      ...out,
+      width: p.img.width,
+      height: p.img.height,
+      // czworokąt strony też w układzie zdjęcia
+      corrections: p.corrections.map(c => (c.quad ? { ...c, quad: c.quad.map(pt => toOriginalPoint(pt, pre.transform, { coords }).map(Math.round)) } : c)),
+      ...(debug ? { debugImage: await debugImage(p.buffer) } : {}),
+    });
+  }
+
+  // Płaska lista bloków jak dla jednej strony; indeksy słów ciągłe przez strony
+  let index = 0;
+  const blocks = pages.flatMap(p => p.blocks.map(b => ({ page: p.page, ...b })));
+  for (const b of blocks) for (const l of b.lines) for (const w of l.words) w.index = index++;
+
+  const { orientation, width, height } = pre.transform;
+  const corrections = [...new Set([
+    ...(orientation !== 1 ? ['orientation'] : []),
+    ...pages.flatMap(p => p.corrections.map(c => c.type)),
+  ])];
+  return {
+    text: pages.map(p => p.text).filter(Boolean).join('\n\n'),
+    confidence: pages.length ? Math.round(pages.reduce((a, p) => a + p.confidence, 0) / pages.length) : 0,
+    blocks,
+    boxesAvailable: true,
+    image: { width, height, orientation, coords },
+    corrections,
+    pages: pages.map(({ blocks: _, ...p }) => p),
+    source: 'tesseract',
+  };
+}
+
+/**
+ * OCR zdjęcia strony. `coords`: 'original' (surowe piksele pliku) | 'oriented' (po obrocie EXIF,
+ * tak jak zdjęcie wyświetla przeglądarka). `debug` → znormalizowane strony jako data URL.
+ * `correct` → poprawki słownikowe (textCorrections, rawText; tylko języki ze słownikiem — polski).
+ * `lang` wybiera pulę workerów (traineddata + whitelista). Ścieżka vision (USE_OPENAI_OCR) nie zna pozycji słów.
+ * `workers` — zestaw pul z createOcrWorkerSet.
+ */
+export function createOcr({ ai, workers } = {}) {
+  async function run({ buffer, mime, coords, detectPage, debug, deadline, lang }) {
+    if (process.env.USE_OPENAI_OCR === '1' && ai?.has('vision')) {
+      const prompt = `Wyodrębnij czysty tekst z obrazu (${langPack(lang).inLang}). Zwróć tylko tekst.`;
+      try {
+        const out = await ai.vision({ imageB64: buffer.toString('base64'), mime, prompt });
+        return { ...textOnlyOcr(out.text), source: out.provider };
+      } catch (err) {
+        // wyczerpany budżet → lokalny Tesseract zamiast błędu
+        if (String(err?.message || err) !== 'BUDGET_EXCEEDED') throw err;
+      }
+    }
+    return tesseractRecognize(workers.of(lang), buffer, { coords, detectPage, debug, deadline });
+  }
+
+  async function recognize({ buffer, mime = 'image/jpeg', coords = 'original', detectPage = PAGE_DETECT, debug = false, correct = CORRECT, deadline, lang = DEFAULT_LANG }) {
+    const out = await run({ buffer, mime, coords, detectPage, debug, lang, deadline: deadline ?? Date.now() + workers.of(lang).timeoutMs });
+    return correct && langPack(lang).ocr.correct ? correctOcr(out) : out;
+  }
+
+  /**
+   * Wiele plików (zdjęcia i/lub PDF-y) → jeden wynik jak dla książki: strony w kolejności plików
+   * (strony PDF-a po kolei, rozkładówka → dwie strony), bloki z `page`, indeksy słów ciągłe.
+   * Strony idą przez recognize (kolejka workerów), najwyżej tyle naraz, ile workerów;
+   * termin (domyślnie OCR_TIMEOUT_MS) liczy się dla całego żądania, nie dla każdej strony.
+   * `onProgress({ stage: 'ocr', done, total })` po każdej stronie (dla zadań w tle).
+   */
+  async function recognizeDocument({ files, onProgress, lang = DEFAULT_LANG, deadline = Date.now() + workers.of(lang).timeoutMs, ...opts }) {
+    const sources = [];
+    for (const [file, f] of files.entries()) {
+      const name = f.name || null;
+      if (isPdf(f.buffer, f.mime)) {
+        const pdf = await openPdf(f.buffer);
+        if (!pdf.pageCount) throw new Error('EMPTY_PDF');
+        for (const p of pdf.pages) sources.push({ file, name, pdfPage: p.pdfPage, load: p.render, mime: 'image/png' });
+      } else {
+        sources.push({ file, name, load: async () => f.buffer, mime: f.mime });
+      }
+      if (sources.length > MAX_PAGES) throw new Error('TOO_MANY_PAGES');
+    }
+
+    const results = new Array(sources.length);
+    let next = 0, done = 0;
+    onProgress?.({ stage: 'ocr', done, total: sources.length });
+    const lane = async () => {
+      while (next < sources.length) {
+        const i = next++;
+        const s = sources[i];
+        try {
+          results[i] = await recognize({ ...opts, buffer: await s.load(), mime: s.mime, deadline, lang });
+        } catch (err) {
+          // strona PDF nie do wyrenderowania: pusta, z kodem błędu — reszta dokumentu idzie dalej
+          const code = String(err?.message || err);
+          if (!PAGE_ERRORS.has(code)) throw err;
+          results[i] = { text: '', confidence: null, blocks: [], boxesAvailable: false, source: null, error: code };
+        }
+        onProgress?.({ stage: 'ocr', done: ++done, total: sources.length });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(workers.of(lang).size, sources.length) }, lane));
+    return mergeDocument(sources, results, opts);
+  }
+
+  return { recognize, recognizeDocument };
+}
+
+/* ===== Wiele stron → jeden wynik ===== */
+function reshootReason({ text, confidence }) {
+  if (!String(text || '').trim()) return 'no_text';
+  if (confidence != null && confidence < RESHOOT_CONFIDENCE) return 'low_confidence';
+  return null;
+}
+
+function mergeDocument(sources, results, { coords = 'original' } = {}) {
+  const pages = [], blocks = [], textCorrections = [], unknownWords = [];
+  let offset = 0;
+
+  results.forEach((r, i) => {
+    const { file, name, pdfPage } = sources[i];
+    const source = { file, name, ...(pdfPage ? { pdfPage } : {}) };
+    const words = r.blocks.reduce((n, b) => n + b.lines.reduce((m, l) => m + l.words.length, 0), 0);
+    // Tesseract: strony zdjęcia (rozkładówka) z wyniku; vision/mock: całe zdjęcie = jedna strona
+    const parts = r.pages?.length ? r.pages : [{ page: 0, text: r.text, confidence: r.confidence, corrections: [] }];
+    for (const part of parts) {
+      const page = pages.length;
+      const own = r.blocks.filter(b => (b.page ?? 0) === part.page);
+      for (const b of own) {
+        blocks.push({
+          ...b,
+          page,
+          lines: b.lines.map(l => ({ ...l, words: l.words.map(w => ({ ...w, index: w.index + offset })) })),
+        });
+      }
+      const { page: _, ...rest } = part;
+      const reason = reshootReason(part);
+      pages.push({
+        page,
+        source,
+        ...rest,
+        reshoot: Boolean(reason),
+        ...(reason ? { reshootReason: reason } : {}),
+        ...(r.error ? { error: r.error } : {}),
+        image: r.image || null,
+      });
+    }
+    for (const c of r.textCorrections || []) textCorrections.push({ ...c, index: c.index + offset });
+    for (const u of r.unknownWords || []) unknownWords.push({ ...u, index: u.index + offset });
+    offset += words;
+  });
+
+  const scored = pages.filter(p => p.confidence != null);
+  return {
+    text: pages.map(p => p.text).filter(Boolean).join('\n\n'),
+    confidence: scored.length ? Math.round(scored.reduce((a, p) => a + p.confidence, 0) / scored.length) : null,
+    blocks,
+    boxesAvailable: results.every(r => r.error || r.boxesAvailable),
+    coords,
+    pageCount: pages.length,
+    pages,
+    reshoot: pages.filter(p => p.reshoot).map(p => p.page),
+    corrections: [...new Set(results.flatMap(r => r.corrections || []))],
+    ...(results.some(r => r.textCorrections) ? { textCorrections, unknownWords } : {}),
+    source: [...new Set(results.map(r => r.source).filter(Boolean))].join('+'),
+  };
+}
@@ -0,0 +1,182 @@
+/* ===================== Korekta OCR po polsku: słownik frekwencyjny + diakrytyki ===================== */
+// Tesseract gubi albo myli polskie znaki (ą→a, ł→l, ż→z) i myli kształty (rn/m, l/I, 0/o).
+// Słowo spoza słownika → warianty (pomyłki kształtu, do 2 podmian) → kandydaci ze słownika
+// o tym samym "szkielecie" bez diakrytyków → wybór wg częstości. Poprawiamy tylko, gdy
+// kandydat jest jednoznaczny; każda zmiana ma oryginał i pewność, resztę zgłaszamy jako `unknownWords`.
+import fs from 'fs';
+import { createRequire } from 'module';
+
+import { CORPUS } from './corpus.js';
+
+const require = createRequire(import.meta.url);
+const MIN_CONFIDENCE = Number(process.env.OCR_CORRECT_MIN_CONFIDENCE || 0.6);
+
+/* ===== Słownik ===== */
+// 10 000 najczęstszych polskich słów (FrequencyWords / OpenSubtitles) z pakietu
+// most-common-words-by-language; kolejność w pliku = ranga. Czytamy plik wprost,
+// bo index pakietu wymaga lodasha, którego nie deklaruje.
+function loadFrequencyList() {
+  const file = require.resolve('most-common-words-by-language/build/resources/polish.txt');
+  return fs.readFileSync(file, 'utf8').split('\n').map(w => w.trim().toLowerCase()).filter(Boolean);
+}
+
+const DIACRITICS = { ą: 'a', ć: 'c', ę: 'e', ł: 'l', ń: 'n', ó: 'o', ś: 's', ź: 'z', ż: 'z' };
+export const skeleton = w => w.replace(/[ąćęłńóśźż]/g, ch => DIACRITICS[ch]);
+
+let lexicon = null; // { rank: Map słowo → ranga, bySkeleton: Map szkielet → [słowa] }
+function getLexicon() {
+  if (lexicon) return lexicon;
+  const rank = new Map();
+  loadFrequencyList().forEach((w, i) => { if (!rank.has(w)) rank.set(w, i + 1); });
+  // słownictwo z naszego korpusu czytanek też jest "znane" (rzadkie w napisach filmowych)
+  const tail = rank.size + 1;
+  for (const s of Object.values(CORPUS).flat()) {
+    for (const w of s.toLowerCase().match(/\p{L}+/gu) || []) if (!rank.has(w)) rank.set(w, tail);
+  }
+  const bySkeleton = new Map();
+  for (const w of rank.keys()) {
+    const key = skeleton(w);
+    if (!bySkeleton.has(key)) bySkeleton.set(key, []);
+    bySkeleton.get(key).push(w);
+  }
+  lexicon = { rank, bySkeleton };
+  return lexicon;
+}
+
+export const isKnownWord = w => getLexicon().rank.has(String(w).toLowerCase());
+
+/* ===== Warianty pomyłek OCR ===== */
+// [co OCR widzi, co mogło być] — na oryginalnej wielkości liter (I vs l przed lowercase)
+const CONFUSIONS = [
+  ['rn', 'm'], ['m', 'rn'], ['cl', 'd'], ['vv', 'w'], ['ii', 'u'],
+  ['I', 'l'], ['l', 'I'], ['1', 'l'], ['|', 'l'], ['0', 'o'], ['c', 'e'], ['e', 'c'],
+];
+const MAX_EDITS = 2;
+
+function variants(token) {
+  const seen = new Map([[token, 0]]);
+  let frontier = [token];
+  for (let edits = 1; edits <= MAX_EDITS; edits++) {
+    const next = [];
+    for (const v of frontier) {
+      for (const [from, to] of CONFUSIONS) {
+        for (let i = v.indexOf(from); i >= 0; i = v.indexOf(from, i + 1)) {
+          const out = v.slice(0, i) + to + v.slice(i + from.length);
+          if (!seen.has(out)) { seen.set(out, edits); next.push(out); }
+        }
+      }
+    }
+    frontier = next;
+  }
+  return seen; // wariant → liczba podmian
+}
+
+// Lista z napisów zna też formy pisane bez ogonków ("sie", "cie", "moze"). Znane słowo bez
+// diakrytyków poprawiamy tylko, gdy wersja z ogonkami jest wielokrotnie częstsza ("ze" vs "że" zostaje).
+const ASCII_RATIO = 20;
+
+function restoreKnown(lower, token) {
+  const { rank, bySkeleton } = getLexicon();
+  if (skeleton(lower) !== lower) return null;
+  const own = rank.get(lower);
+  const best = (bySkeleton.get(lower) || [])
+    .filter(w => w !== lower && rank.get(w) * ASCII_RATIO <= own)
+    .sort((a, b) => rank.get(a) - rank.get(b))[0];
+  if (!best) return null;
+  const r = own / rank.get(best);
+  return { corrected: matchCase(best, token), confidence: Math.round(0.95 * r / (r + 1) * 100) / 100, reason: 'diacritics' };
+}
+
+// OCR częściej gubi ogonki, niż je dodaje: kandydat może dołożyć ogonek, ale nie zabrać
+// ("Alę" nie staje się "Ale"); jedyny wyjątek to pomylone kropka/kreska nad z (ż/ź)
+const keepsDiacritics = (seen, cand) => [...seen].every((ch, i) =>
+  ch === cand[i] || skeleton(ch) === ch || (skeleton(ch) === 'z' && skeleton(cand[i]) === 'z' && cand[i] !== 'z'));
+
+function matchCase(word, like) {
+  if (like.length > 1 && like === like.toUpperCase() && like !== like.toLowerCase()) return word.toUpperCase();
+  if (/^[\p{Lu}I|]/u.test(like)) return word[0].toUpperCase() + word.slice(1);
+  return word;
+}
+
+/**
+ * Jedno słowo (bez interpunkcji) → { corrected, confidence, reason } albo null (zostaje / brak kandydata).
+ */
+export function correctWord(token) {
+  const { rank, bySkeleton } = getLexicon();
+  const lower = String(token || '').toLowerCase();
+  if (!lower) return null;
+  if (rank.has(lower)) return restoreKnown(lower, token);
+
+  const scored = new Map(); // kandydat → { score, edits }
+  for (const [v, edits] of variants(token)) {
+    const lowerV = v.toLowerCase();
+    for (const cand of bySkeleton.get(skeleton(lowerV)) || []) {
+      if (!keepsDiacritics(lowerV, cand)) continue;
+      // częstość ~ 1/ranga (Zipf); każda podmiana kształtu to kara
+      const score = (1 / rank.get(cand)) * 0.2 ** edits;
+      if (!scored.has(cand) || scored.get(cand).score < score) scored.set(cand, { score, edits });
+    }
+  }
+  if (!scored.size) return null;
+
+  const ranked = [...scored].sort((a, b) => b[1].score - a[1].score);
+  const [best, { score, edits }] = ranked[0];
+  const base = 0.95 - 0.1 * edits;
+  const ratio = ranked[1] ? score / ranked[1][1].score : Infinity;
+  const confidence = Math.round((ratio === Infinity ? base : base * ratio / (ratio + 1)) * 100) / 100;
+  return { corrected: matchCase(best, token), confidence, reason: edits ? 'ocr_confusion' : 'diacritics' };
+}
+
+/* ===== Cały wynik OCR ===== */
+// "„Kota," → ["„", "Kota", ","]; słowa z cyframi w środku lub łącznikiem zostawiamy w spokoju
+function splitToken(text) {
+  const m = String(text).match(/^([^\p{L}\d|]*)([\p{L}\d|]*?)([^\p{L}\d|]*)$/u);
+  return m ? [m[1], m[2], m[3]] : [text, '', ''];
+}
+
+/**
+ * Wynik ocr.recognize → ten sam kształt z poprawionymi słowami i tekstem, plus
+ * textCorrections: [{ index, original, corrected, confidence, reason, applied }] i unknownWords: [{ index, text }]
+ * (`corrections` to już poprawki obrazu z ocr.js). Poniżej progu pewności zmiana jest tylko sugestią (applied: false).
+ */
+export function correctOcr(result, { minConfidence = MIN_CONFIDENCE } = {}) {
+  const corrections = [], unknown = [];
+  const blocks = (result.blocks || []).map(b => {
+    const lines = b.lines.map(l => {
+      const words = l.words.map(w => {
+        const [pre, core, post] = splitToken(w.text);
+        if (!/\p{L}/u.test(core) || core.length < 2) return w;
+        const fix = correctWord(core);
+        if (!fix) {
+          if (!isKnownWord(core)) unknown.push({ index: w.index, text: core });
+          return w;
+        }
+        const applied = fix.confidence >= minConfidence;
+        corrections.push({ index: w.index, original: core, ...fix, applied });
+        return applied ? { ...w, text: pre + fix.corrected + post, original: w.text } : w;
+      });
+      return { ...l, text: words.map(w => w.text).join(' '), words };
+    });
+    return { ...b, text: lines.map(l => l.text).join('\n'), lines };
+  });
+
+  if (!corrections.some(c => c.applied)) return { ...result, textCorrections: corrections, unknownWords: unknown };
+  // tekst składamy ze słów; strony (rozkładówka) rozdzielone pustą linią jak w ocr.js
+  const byPage = new Map();
+  for (const b of blocks) {
+    const page = b.page ?? 0;
+    byPage.set(page, [...(byPage.get(page) || []), b.text]);
+  }
+  const pageText = page => (byPage.get(page) || []).join('\n\n');
+  const pages = result.pages?.map(p => ({ ...p, text: pageText(p.page) }));
+  const text = [...byPage.keys()].map(pageText).filter(Boolean).join('\n\n');
+  return {
+    ...result,
+    rawText: result.text,
+    text,
+    blocks,
+    ...(pages ? { pages } : {}),
+    textCorrections: corrections,
+    unknownWords: unknown,
+  };
+}
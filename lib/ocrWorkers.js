@@ -0,0 +1,290 @@
+/* ===================== OCR: stałe workery Tesseracta + kolejka ===================== */
+// Zamiast Tesseract.recognize (nowy worker i pobieranie traineddata przy każdym żądaniu)
+// trzymamy `size` zainicjalizowanych workerów w schedulerze. Zlecenia czekają w kolejce FIFO
+// (max `queueMax`), każde z terminem; pełna kolejka → OCR_QUEUE_FULL, termin → OCR_TIMEOUT.
+// Traineddata z lokalnego katalogu (OCR_LANG_DIR), więc OCR działa bez sieci.
+// Każdy język dziecka ma własną pulę (inne traineddata i whitelista) — createOcrWorkerSet.
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import Tesseract from 'tesseract.js';
+
+import { DEFAULT_LANG, langPack } from './lang.js';
+
+const require = createRequire(import.meta.url);
+
+export const OCR_LANGS = langPack(DEFAULT_LANG).ocr.langs;
+const LANG_DIR = process.env.OCR_LANG_DIR || path.join(process.env.DATA_DIR || 'data', 'tessdata');
+const INIT_RETRY_MS = 30_000;
+
+export const WHITELIST = langPack(DEFAULT_LANG).ocr.whitelist;
+
+/* ===== Traineddata ===== */
+// Szukamy <lang>.traineddata(.gz) w OCR_LANG_DIR; brakujące dokopiowujemy z pakietów
+// @tesseract.js-data/<lang> (instalują się z npm, więc po `npm install` jest offline).
+// Gdy i tego brak — OCR_LANG_PATH (URL), a pobrane pliki lądują w OCR_LANG_DIR jako cache.
+function langFile(dir, lang) {
+  for (const name of [`${lang}.traineddata`, `${lang}.traineddata.gz`]) {
+    if (fs.existsSync(path.join(dir, name))) return name;
+  }
+  return null;
+}
+
+function seedFromPackage(dir, lang) {
+  try {
+    const pkgDir = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+    const src = path.join(pkgDir, '4.0.0_best_int', `${lang}.traineddata.gz`);
+    if (!fs.existsSync(src)) return false;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.copyFileSync(src, path.join(dir, `${lang}.traineddata.gz`));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function resolveLangData(langs = OCR_LANGS, dir = LANG_DIR) {
+  const list = langs.split('+');
+  for (const lang of list) if (!langFile(dir, lang)) seedFromPackage(dir, lang);
+  const files = list.map(lang => langFile(dir, lang));
+
+  if (files.every(Boolean)) {
+    // Tesseract i tak rozpoznaje gzip po nagłówku; `gzip` decyduje tylko o nazwie pliku
+    const gzip = files.every(f => f.endsWith('.gz'));
+    if (gzip || files.every(f => !f.endsWith('.gz'))) {
+      return { source: 'local', dir, options: { langPath: path.resolve(dir), gzip, cacheMethod: 'none' } };
+    }
+  }
+  const remote = process.env.OCR_LANG_PATH || 'https://raw.githubusercontent.com/tesseract-ocr/tessdata_best/main';
+  fs.mkdirSync(dir, { recursive: true });
+  return { source: 'remote', dir, options: { langPath: remote, cachePath: path.resolve(dir) } };
+}
+
+/* ===== Pula ===== */
+// Błąd z podpowiedzią dla klienta: za ile sekund spróbować ponownie
+const busyError = (code, retryAfter) => Object.assign(new Error(code), { retryAfter });
+
+/**
+ * Pula workerów: recognize(image, { deadline }) → result.data Tesseracta.
+ * Błędy: 'OCR_QUEUE_FULL' | 'OCR_TIMEOUT' | 'OCR_UNAVAILABLE' z err.retryAfter w sekundach.
+ */
+export function createOcrWorkers({
+  size = Number(process.env.OCR_WORKERS || process.env.OCR_MAX_CONCURRENCY || 2),
+  queueMax = Number(process.env.OCR_QUEUE_MAX || 20),
+  timeoutMs = Number(process.env.OCR_TIMEOUT_MS || 60_000),
+  langs = OCR_LANGS,
+  whitelist = WHITELIST,
+  psm = Number(process.env.OCR_PSM || 6),
+} = {}) {
+  const queue = [];   // { image, resolve, reject, timer, enqueuedAt }
+  const workers = []; // { id, busy, jobs, startedAt }
+  let scheduler = null;
+  let starting = null;
+  let initError = null, initFailedAt = 0;
+  let langData = null;
+  const stats = { processed: 0, failed: 0, timeouts: 0, rejected: 0, totalMs: 0 };
+
+  async function initWorker(id) {
+    // Bez errorHandlera tesseract.js rzuca błąd joba poza promisem i kładzie cały proces,
+    // a nieudane ładowanie traineddata zostawia createWorker wiszące — stąd wyścig z `failed`
+    let fail;
+    const failed = new Promise((_, reject) => { fail = reject; });
+    const worker = await Promise.race([
+      Tesseract.createWorker(langs, Tesseract.OEM.LSTM_ONLY, {
+        ...langData.options,
+        logger: () => {},
+        errorHandler: err => fail(new Error(String(err))),
+      }),
+      failed,
+    ]);
+    // parametry rozpoznawania działają tylko przez setParameters (opcje recognize ich nie przyjmują)
+    await worker.setParameters({
+      tessedit_pageseg_mode: String(psm),
+      tessedit_char_whitelist: whitelist,
+      preserve_interword_spaces: '1',
+      user_defined_dpi: '300',
+    });
+    return { id, worker, busy: false, jobs: 0, startedAt: null };
+  }
+
+  function start() {
+    if (scheduler) return Promise.resolve();
+    if (starting) return starting;
+    starting = (async () => {
+      langData = resolveLangData(langs);
+      const s = Tesseract.createScheduler();
+      const created = [];
+      try {
+        for (let i = 0; i < size; i++) created.push(await initWorker(i));
+      } catch (err) {
+        await Promise.allSettled(created.map(w => w.worker.terminate()));
+        throw err;
+      }
+      for (const w of created) s.addWorker(w.worker);
+      workers.push(...created);
+      scheduler = s;
+      initError = null;
+      console.log(`🔤 OCR: ${size} worker(y) ${langs} (traineddata: ${langData.source} ${langData.dir})`);
+      dispatch();
+    })().catch(err => {
+      initError = String(err?.message || err);
+      initFailedAt = Date.now();
+      console.error('OCR workers init error:', initError);
+      throw err;
+    }).finally(() => { starting = null; });
+    return starting;
+  }
+
+  const avgMs = () => (stats.processed ? stats.totalMs / stats.processed : 5000);
+  // Ile sekund, aż zwolni się miejsce: kolejka przed nami / liczba workerów × średni czas strony
+  const retryAfter = () => Math.max(1, Math.ceil(((queue.length + 1) / Math.max(1, size)) * avgMs() / 1000));
+
+  function dispatch() {
+    if (!scheduler) return;
+    for (const w of workers) {
+      if (!queue.length) return;
+      if (w.busy) continue;
+      const job = queue.shift();
+      clearTimeout(job.timer);
+      run(w, job);
+    }
+  }
+
+  async function run(w, job) {
+    w.busy = true;
+    w.startedAt = Date.now();
+    const left = job.deadline - Date.now();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(busyError('OCR_TIMEOUT', retryAfter())), Math.max(0, left));
+    });
+    // konkretny worker, nie scheduler.addJob — wiemy, który jest zajęty, i nie dublujemy kolejki
+    const work = w.worker.recognize(job.image);
+    try {
+      const result = await Promise.race([work, timeout]);
+      stats.processed++;
+      stats.totalMs += Date.now() - w.startedAt;
+      job.resolve(result.data);
+    } catch (err) {
+      if (err?.message === 'OCR_TIMEOUT') stats.timeouts++;
+      else stats.failed++;
+      job.reject(err);
+    } finally {
+      clearTimeout(timer);
+      // po przekroczeniu terminu worker kończy rozpoznawanie w tle; wolny dopiero po nim
+      await work.catch(() => {});
+      w.busy = false;
+      w.jobs++;
+      w.startedAt = null;
+      dispatch();
+    }
+  }
+
+  async function recognize(image, { deadline = Date.now() + timeoutMs } = {}) {
+    if (!scheduler) {
+      if (initError && Date.now() - initFailedAt < INIT_RETRY_MS) {
+        throw busyError('OCR_UNAVAILABLE', Math.ceil((INIT_RETRY_MS - (Date.now() - initFailedAt)) / 1000));
+      }
+      try {
+        await start();
+      } catch {
+        throw busyError('OCR_UNAVAILABLE', Math.ceil(INIT_RETRY_MS / 1000));
+      }
+    }
+    if (queue.length >= queueMax) {
+      stats.rejected++;
+      throw busyError('OCR_QUEUE_FULL', retryAfter());
+    }
+    return new Promise((resolve, reject) => {
+      const job = { image, resolve, reject, deadline, enqueuedAt: Date.now() };
+      // termin liczy się od wejścia do kolejki; czekający za długo wypada z niej
+      job.timer = setTimeout(() => {
+        const i = queue.indexOf(job);
+        if (i < 0) return;
+        queue.splice(i, 1);
+        stats.timeouts++;
+        reject(busyError('OCR_TIMEOUT', retryAfter()));
+      }, Math.max(0, deadline - Date.now()));
+      queue.push(job);
+      dispatch();
+    });
+  }
+
+  return {
+    start,
+    recognize,
+    size,
+    timeoutMs,
+    async terminate() {
+      for (const job of queue.splice(0)) {
+        clearTimeout(job.timer);
+        job.reject(busyError('OCR_UNAVAILABLE', 1));
+      }
+      if (scheduler) await scheduler.terminate();
+      scheduler = null;
+      workers.length = 0;
+    },
+    status() {
+      const now = Date.now();
+      return {
+        state: scheduler ? 'ready' : starting ? 'starting' : initError ? 'error' : 'idle',
+        ...(initError && !scheduler ? { error: initError } : {}),
+        langs,
+        traineddata: langData ? { source: langData.source, dir: langData.dir } : null,
+        workers: {
+          size,
+          busy: workers.filter(w => w.busy).length,
+          idle: workers.filter(w => !w.busy).length,
+          list: workers.map(w => ({ id: w.id, busy: w.busy, jobs: w.jobs, runningMs: w.startedAt ? now - w.startedAt : null })),
+        },
+        queue: {
+          depth: queue.length,
+          max: queueMax,
+          oldestWaitMs: queue.length ? now - queue[0].enqueuedAt : 0,
+        },
+        timeoutMs,
+        stats: { ...stats, avgMs: stats.processed ? Math.round(avgMs()) : null },
+      };
+    },
+  };
+}
+
+/* ===== Pule per język ===== */
+/**
+ * Pula na każdy język (langPack(lang).ocr: traineddata + whitelista). Język domyślny ma pełną pulę
+ * i startuje z serwerem; inne powstają przy pierwszym zdjęciu w tym języku, z OCR_WORKERS_EXTRA
+ * workerami (każdy worker to kilkadziesiąt MB pamięci). of(lang) → pula jak z createOcrWorkers.
+ */
+export function createOcrWorkerSet({
+  defaultLang = DEFAULT_LANG,
+  extraSize = Number(process.env.OCR_WORKERS_EXTRA || 1),
+  ...opts
+} = {}) {
+  const pools = new Map(); // lang → pula
+
+  function of(lang = defaultLang) {
+    if (!pools.has(lang)) {
+      const { langs, whitelist } = langPack(lang).ocr;
+      pools.set(lang, createOcrWorkers({ ...opts, ...(lang !== defaultLang ? { size: extraSize } : {}), langs, whitelist }));
+    }
+    return pools.get(lang);
+  }
+
+  return {
+    of,
+    start: () => of(defaultLang).start(),
+    async terminate() {
+      await Promise.all([...pools.values()].map(p => p.terminate()));
+    },
+    // Stan puli języka; bez `lang` — pula domyślna + skrót pozostałych
+    status(lang) {
+      if (lang) return { lang, ...of(lang).status() };
+      const languages = {};
+      for (const [l, p] of pools) {
+        const st = p.status();
+        languages[l] = { state: st.state, langs: st.langs, workers: st.workers.size, queue: st.queue.depth };
+      }
+      return { lang: defaultLang, ...of(defaultLang).status(), languages };
+    },
+  };
+}
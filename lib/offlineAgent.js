@@ -0,0 +1,117 @@
+/* ===================== Generator offline: powitania + motywacje bez LLM ===================== */
+// Składa zdania z szablonów: temat z READING_TOPICS, klimat bohatera z HERO_THEMES,
+// ton wg ageBucket (jak bucketToneByAge) i treść wg rubricBand (jak rubricByAccuracy).
+// Te same zasady co ścieżka LLM: bez powitań, bez imienia, jedno zdanie, max 1 emoji.
+// Szablony są polskie; inne języki biorą gotowe zdania z paczki języka (offline.greetings / motivations).
+import {
+  READING_TOPICS, ageBucket, chooseMostNovel, normalize, pick, rubricBand, sanitizeNoName, tightenMotivation,
+} from './agentText.js';
+import { DEFAULT_LANG, langPack } from './lang.js';
+
+const CANDIDATES = 8;
+
+// Klimat bohatera — dopinany na końcu zdania
+const HERO_FLAVOUR = {
+  'Miś': ['przytulnie jak pod kocykiem', 'spokojnie i bez pośpiechu', 'jak przed bajką na dobranoc'],
+  'Labuś': ['z energią i uśmiechem', 'jak prawdziwi odkrywcy', 'w tempie wielkiej przygody'],
+  'Króliczek': ['jak detektywi od zagadek', 'z nosem w każdej stronie', 'zaglądając w każdy kącik historii'],
+  'Jeżyk': ['uważnie i mądrze', 'szukając ukrytego morału', 'krok po kroku, bez pośpiechu'],
+};
+const DEFAULT_FLAVOUR = ['razem, strona po stronie', 'z ciekawością', 'w naszym czytelniczym kąciku'];
+
+const GREETING_TEMPLATES = {
+  small: [
+    'Mam pomysł na dziś: {topic}, {flavour}.',
+    'Otwieramy książkę, a w niej {topic}.',
+    'Hop do książki, dziś {topic}, {flavour}.',
+    'Mam dla ciebie coś miłego: {topic}.',
+  ],
+  mid: [
+    'Dzisiejsza misja to {topic}, {flavour}.',
+    'Mam dla ciebie zadanie: {topic}, {flavour}.',
+    'Zakładka czeka, a dziś w planie {topic}.',
+    'Nowy rozdział, nowa misja: {topic}, {flavour}.',
+  ],
+  big: [
+    'Proponuję plan na dziś: {topic}, {flavour}.',
+    'Na dziś mam coś ciekawego: {topic}.',
+    'Ty wybierasz tempo, a w planie {topic}.',
+    'Dzisiejszy cel czytelniczy to {topic}, {flavour}.',
+  ],
+};
+const GREETING_EMOJI = ['📖', '📚', '✨', '🚀', '🔤'];
+
+const MOTIVATION_PRAISE = {
+  great: {
+    small: ['Brawo, czytasz jak mistrz', 'Wow, wszystko przeczytane pięknie', 'Super, ani jednego potknięcia'],
+    mid: ['Rewelacja, przeczytane bez potknięć', 'Mistrzowskie czytanie', 'Świetnie, każde słowo na swoim miejscu'],
+    big: ['Czyste, pewne czytanie', 'Bezbłędnie i płynnie', 'Tekst opanowany w całości'],
+  },
+  very_good: {
+    small: ['Pięknie czytasz', 'Brawo, coraz lepiej', 'Ładnie i płynnie'],
+    mid: ['Bardzo dobrze, czytasz płynnie', 'Świetne tempo czytania', 'Ekstra, prawie wszystko gładko'],
+    big: ['Bardzo dobre, płynne czytanie', 'Solidnie i pewnie', 'Płynność robi wrażenie'],
+  },
+  good: {
+    small: ['Dobrze ci idzie', 'Brawo za staranie', 'Ładnie się starasz'],
+    mid: ['Dobra robota, widać staranie', 'Idzie ci coraz lepiej', 'Fajnie, że się nie poddajesz'],
+    big: ['Dobra, rzetelna praca', 'Widać postęp', 'Dobre czytanie z ambicją'],
+  },
+  warmup: {
+    small: ['Dobra rozgrzewka', 'Fajnie, że próbujesz', 'Każda próba się liczy'],
+    mid: ['Rozgrzewka zaliczona', 'Dobrze, że próbujesz', 'Początek jest zawsze najtrudniejszy'],
+    big: ['Pierwsze podejście za nami', 'Rozgrzewka zrobiona', 'Trudny tekst, ale dajesz radę'],
+  },
+};
+const MOTIVATION_TIP = {
+  great: ['może pora na trudniejsze słowo', 'następna strona może być trudniejsza', 'czas na dłuższy rozdział'],
+  very_good: ['czytaj jeszcze dokładniej końcówki', 'przy długich słowach zwolnij na chwilę', 'zwróć uwagę na końcówki słów'],
+  good: ['czytaj troszkę wolniej', 'trudne słowa dziel na sylaby', 'przy długim słowie zrób małą pauzę'],
+  warmup: ['przeczytaj zdanie jeszcze raz spokojnie', 'czytaj powoli, sylaba po sylabie', 'spróbujmy jeszcze raz, bez pośpiechu'],
+};
+const TIP_LEADS = ['Teraz {tip}.', 'Mała rada: {tip}.', '{hero} podpowiada: {tip}.'];
+const MOTIVATION_EMOJI = { great: ['🌟', '🏆', '🎉'], very_good: ['⭐', '👏', '📚'], good: ['💪', '👍', '🙂'], warmup: ['💪', '🌱', '🙂'] };
+
+const fill = (tpl, vars) => tpl.replace(/\{(\w+)\}/g, (_, k) => vars[k] ?? '');
+const wordCount = s => normalize(s).split(' ').filter(Boolean).length;
+
+/**
+ * Powitanie bez LLM. `history` (ostatnie powitania profilu) → wybór najmniej podobnego.
+ */
+export function localGreeting({ character = '', age, name = '', history = [], lang = DEFAULT_LANG } = {}) {
+  const { offline } = langPack(lang);
+  if (offline) {
+    const picked = chooseMostNovel(offline.greetings, history);
+    return sanitizeNoName(name, picked, lang) || picked;
+  }
+  const bucket = ageBucket(age);
+  const flavours = HERO_FLAVOUR[character] || DEFAULT_FLAVOUR;
+  const cands = [];
+  for (let i = 0; i < CANDIDATES * 3 && cands.length < CANDIDATES; i++) {
+    const sentence = fill(pick(GREETING_TEMPLATES[bucket]), { topic: pick(READING_TOPICS), flavour: pick(flavours) });
+    // reguła z promptu: 6–14 wyrazów (emoji nie liczymy)
+    const wc = wordCount(sentence);
+    const s = `${sentence} ${pick(GREETING_EMOJI)}`;
+    if (wc >= 6 && wc <= 14 && !cands.includes(s)) cands.push(s);
+  }
+  const picked = chooseMostNovel(cands, history);
+  return sanitizeNoName(name, picked, lang) || picked;
+}
+
+/**
+ * Motywacja bez LLM: pochwała wg pasma wyniku + jedna mini-rada + max 1 emoji, ≤160 znaków.
+ */
+export function localMotivation({ age, accuracy, characterName = '', history = [], lang = DEFAULT_LANG } = {}) {
+  const band = rubricBand(accuracy);
+  const { offline } = langPack(lang);
+  if (offline) return chooseMostNovel(offline.motivations[band], history);
+  const bucket = ageBucket(age);
+  const cands = [];
+  const leads = characterName ? TIP_LEADS : TIP_LEADS.filter(t => !t.includes('{hero}'));
+  for (let i = 0; i < CANDIDATES; i++) {
+    const praise = pick(MOTIVATION_PRAISE[band][bucket]);
+    const tip = fill(pick(leads), { tip: pick(MOTIVATION_TIP[band]), hero: characterName });
+    cands.push(tightenMotivation(`${praise}! ${pick(MOTIVATION_EMOJI[band])} ${tip}`, 160));
+  }
+  return chooseMostNovel([...new Set(cands)], history);
+}
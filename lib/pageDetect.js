@@ -0,0 +1,340 @@
+/* ===================== Strona książki: perspektywa, rozkładówka, prostowanie, marginesy ===================== */
+// Czysty JS na surowych pikselach w skali szarości: img = { data: Uint8Array, width, height }.
+// Każda korekta to krok { type, ... }; mapBack(punkt wyniku, krok) → punkt w obrazie przed korektą.
+// Tym samym odwzorowaniem próbkujemy obraz i cofamy bboxy OCR na zdjęcie, więc oba zawsze się zgadzają.
+
+const DETECT_SIDE = 600;  // wykrywanie strony na pomniejszonej kopii
+const SKEW_SIDE = 900;    // prostowanie: profil rzutu na pomniejszonej kopii
+const MAX_SKEW_DEG = Number(process.env.OCR_MAX_SKEW_DEG || 12);
+
+/* ===== Odwzorowania ===== */
+export function mapBack([x, y], step) {
+  switch (step.type) {
+    case 'scale': return [x / step.sx, y / step.sy];
+    case 'crop': return [x + step.left, y + step.top];
+    case 'homography': {
+      const m = step.matrix;
+      const w = m[6] * x + m[7] * y + m[8];
+      return [(m[0] * x + m[1] * y + m[2]) / w, (m[3] * x + m[4] * y + m[5]) / w];
+    }
+    case 'rotate': {
+      const c = Math.cos(step.rad), s = Math.sin(step.rad);
+      const dx = x - step.cx, dy = y - step.cy;
+      return [step.cx + c * dx - s * dy, step.cy + s * dx + c * dy];
+    }
+    default: return [x, y];
+  }
+}
+
+// Nowy obraz width × height; piksel (x, y) próbkowany dwuliniowo z src w punkcie mapBack(x, y)
+function warp(src, width, height, step) {
+  const out = new Uint8Array(width * height);
+  const { data, width: W, height: H } = src;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [sx, sy] = mapBack([x, y], step);
+      const x0 = Math.floor(sx), y0 = Math.floor(sy);
+      if (x0 < 0 || y0 < 0 || x0 >= W - 1 || y0 >= H - 1) { out[y * width + x] = 255; continue; }
+      const fx = sx - x0, fy = sy - y0, i = y0 * W + x0;
+      const top = data[i] + (data[i + 1] - data[i]) * fx;
+      const bottom = data[i + W] + (data[i + W + 1] - data[i + W]) * fx;
+      out[y * width + x] = top + (bottom - top) * fy;
+    }
+  }
+  return { data: out, width, height };
+}
+
+function crop(src, { left, top, width, height }) {
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    out.set(src.data.subarray((y + top) * src.width + left, (y + top) * src.width + left + width), y * width);
+  }
+  return { data: out, width, height };
+}
+
+// Średnia z bloków k × k; zwraca też k, żeby przeliczyć współrzędne z powrotem
+function downsample(src, maxSide) {
+  const k = Math.max(1, Math.ceil(Math.max(src.width, src.height) / maxSide));
+  if (k === 1) return { ...src, k };
+  const width = Math.floor(src.width / k), height = Math.floor(src.height / k);
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < k; dy++) {
+        const row = (y * k + dy) * src.width + x * k;
+        for (let dx = 0; dx < k; dx++) sum += src.data[row + dx];
+      }
+      out[y * width + x] = sum / (k * k);
+    }
+  }
+  return { data: out, width, height, k };
+}
+
+/* ===== Otsu ===== */
+export function otsu(data) {
+  const hist = new Float64Array(256);
+  for (let i = 0; i < data.length; i++) hist[data[i]]++;
+  let sum = 0;
+  for (let t = 0; t < 256; t++) sum += t * hist[t];
+  let sumB = 0, wB = 0, best = 0, threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    wB += hist[t];
+    if (!wB) continue;
+    const wF = data.length - wB;
+    if (!wF) break;
+    sumB += t * hist[t];
+    const between = wB * wF * (sumB / wB - (sum - sumB) / wF) ** 2;
+    if (between > best) { best = between; threshold = t; }
+  }
+  return threshold;
+}
+
+/* ===== Czworokąt strony ===== */
+const quadArea = q => Math.abs(q.reduce((a, [x, y], i) => {
+  const [nx, ny] = q[(i + 1) % 4];
+  return a + x * ny - nx * y;
+}, 0)) / 2;
+
+function isConvex(q) {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const [ax, ay] = q[i], [bx, by] = q[(i + 1) % 4], [cx, cy] = q[(i + 2) % 4];
+    const cross = (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+    if (!cross) return false;
+    if (sign && Math.sign(cross) !== sign) return false;
+    sign = Math.sign(cross);
+  }
+  return true;
+}
+
+// Największy jasny obszar (strona na tle stołu) → skrajne punkty jako rogi: TL, TR, BR, BL
+function largestBrightQuad(small) {
+  const { data, width: w, height: h } = small;
+  const t = otsu(data);
+  const labels = new Uint8Array(w * h);
+  const stack = new Int32Array(w * h);
+  let best = null;
+  for (let start = 0; start < w * h; start++) {
+    if (labels[start] || data[start] <= t) continue;
+    let sp = 0, count = 0, touches = 0;
+    const ext = { tl: [Infinity, 0, 0], tr: [-Infinity, 0, 0], br: [-Infinity, 0, 0], bl: [Infinity, 0, 0] };
+    stack[sp++] = start; labels[start] = 1;
+    while (sp) {
+      const i = stack[--sp];
+      const x = i % w, y = (i - x) / w;
+      count++;
+      if (x === 0 || y === 0 || x === w - 1 || y === h - 1) touches++;
+      if (x + y < ext.tl[0]) ext.tl = [x + y, x, y];
+      if (x - y > ext.tr[0]) ext.tr = [x - y, x, y];
+      if (x + y > ext.br[0]) ext.br = [x + y, x, y];
+      if (x - y < ext.bl[0]) ext.bl = [x - y, x, y];
+      if (x > 0 && !labels[i - 1] && data[i - 1] > t) { labels[i - 1] = 1; stack[sp++] = i - 1; }
+      if (x < w - 1 && !labels[i + 1] && data[i + 1] > t) { labels[i + 1] = 1; stack[sp++] = i + 1; }
+      if (y > 0 && !labels[i - w] && data[i - w] > t) { labels[i - w] = 1; stack[sp++] = i - w; }
+      if (y < h - 1 && !labels[i + w] && data[i + w] > t) { labels[i + w] = 1; stack[sp++] = i + w; }
+    }
+    if (!best || count > best.count) {
+      best = { count, touches, quad: [ext.tl, ext.tr, ext.br, ext.bl].map(([, x, y]) => [x, y]) };
+    }
+  }
+  return best;
+}
+
+/**
+ * Czworokąt strony w układzie `img` albo null (strona wypełnia kadr / tło za jasne / kształt nie jak kartka).
+ */
+export function detectPageQuad(img) {
+  const small = downsample(img, DETECT_SIDE);
+  const found = largestBrightQuad(small);
+  if (!found) return null;
+  const { quad, count, touches } = found;
+  const imageArea = small.width * small.height;
+  const area = quadArea(quad);
+  if (area < 0.2 * imageArea || area > 0.92 * imageArea) return null;
+  if (!isConvex(quad) || count < 0.6 * area) return null;
+  // jasny obszar rozlany po brzegach kadru = tło, a nie kartka
+  if (touches > 0.5 * (small.width + small.height)) return null;
+  return quad.map(([x, y]) => [(x + 0.5) * small.k, (y + 0.5) * small.k]);
+}
+
+// Rozwiązanie układu 8×8 (eliminacja Gaussa z wyborem elementu głównego)
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+// Homografia from[i] → to[i] (4 pary punktów), macierz 3×3 wierszami
+export function homography(from, to) {
+  const A = [], b = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = from[i], [u, v] = to[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]); b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]); b.push(v);
+  }
+  return [...solve(A, b), 1];
+}
+
+const dist = ([ax, ay], [bx, by]) => Math.hypot(ax - bx, ay - by);
+
+function correctPerspective(img, quad) {
+  const [tl, tr, br, bl] = quad;
+  const width = Math.round((dist(tl, tr) + dist(bl, br)) / 2);
+  const height = Math.round((dist(tl, bl) + dist(tr, br)) / 2);
+  const rect = [[0, 0], [width, 0], [width, height], [0, height]];
+  const step = { type: 'homography', matrix: homography(rect, quad) };
+  return { img: warp(img, width, height, step), step };
+}
+
+/* ===== Rozkładówka: podział w grzbiecie ===== */
+// Grzbiet = pionowy pas bez tekstu (białe przejście) albo ciemny cień zagięcia, blisko środka
+export function findGutter(img) {
+  if (img.width / img.height < 1.15) return null;
+  const small = downsample(img, DETECT_SIDE);
+  const { data, width: w, height: h } = small;
+  const t = otsu(data);
+  const ink = new Float64Array(w);
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) if (data[y * w + x] <= t) ink[x]++;
+  const win = Math.max(1, Math.round(w * 0.01));
+  const smooth = Array.from(ink, (_, x) => {
+    let s = 0, n = 0;
+    for (let d = -win; d <= win; d++) if (ink[x + d] !== undefined) { s += ink[x + d]; n++; }
+    return s / n / h;
+  });
+  const mean = (a, b) => smooth.slice(Math.round(w * a), Math.round(w * b)).reduce((s, v) => s + v, 0) / Math.max(1, Math.round(w * b) - Math.round(w * a));
+  const left = mean(0.1, 0.42), right = mean(0.58, 0.9);
+  if (left < 0.01 || right < 0.01) return null; // jedna połowa pusta — to nie rozkładówka
+
+  let best = null;
+  for (let x = Math.round(w * 0.38); x <= Math.round(w * 0.62); x++) {
+    const gap = smooth[x] < 0.25 * Math.min(left, right);
+    const shadow = smooth[x] > 0.6;
+    if ((gap || shadow) && (!best || Math.abs(x - w / 2) < Math.abs(best - w / 2))) best = x;
+  }
+  return best == null ? null : Math.round((best + 0.5) * small.k);
+}
+
+/* ===== Prostowanie: profil rzutu poziomego ===== */
+// Kąt, przy którym rzut pikseli tekstu na oś Y ma najostrzejsze piki (linie tekstu poziomo)
+export function estimateSkew(img) {
+  const small = downsample(img, SKEW_SIDE);
+  const { data, width: w, height: h } = small;
+  const t = otsu(data);
+  // wszystkie piksele tekstu (próbkowanie co n wierszy daje fałszywe piki przy 0°)
+  const pts = [];
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) if (data[y * w + x] <= t) pts.push(x - w / 2, y - h / 2);
+  if (pts.length < 200) return 0;
+
+  const bins = new Float64Array(Math.ceil(Math.hypot(w, h)) + 2);
+  const off = bins.length / 2;
+  const score = deg => {
+    const r = deg * Math.PI / 180, c = Math.cos(r), s = Math.sin(r);
+    bins.fill(0);
+    for (let i = 0; i < pts.length; i += 2) bins[Math.floor(pts[i + 1] * c - pts[i] * s + off)]++;
+    let sq = 0;
+    for (let i = 0; i < bins.length; i++) sq += bins[i] * bins[i];
+    return sq;
+  };
+  const search = (from, to, step, best) => {
+    for (let d = from; d <= to + 1e-9; d += step) {
+      const sc = score(d);
+      if (sc > best.score) best = { deg: d, score: sc };
+    }
+    return best;
+  };
+  let best = search(-MAX_SKEW_DEG, MAX_SKEW_DEG, 0.5, { deg: 0, score: score(0) });
+  best = search(best.deg - 0.5, best.deg + 0.5, 0.1, best);
+  return Math.round(best.deg * 10) / 10;
+}
+
+function deskew(img, deg) {
+  const step = { type: 'rotate', rad: deg * Math.PI / 180, cx: img.width / 2, cy: img.height / 2 };
+  return { img: warp(img, img.width, img.height, step), step };
+}
+
+/* ===== Marginesy ===== */
+// Ramka tekstu z progów na rzutach (pojedyncze kropki/szum pomijamy) + mały zapas
+export function contentBox(img) {
+  const { data, width: w, height: h } = img;
+  const t = otsu(data);
+  const rows = new Uint32Array(h), cols = new Uint32Array(w);
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) if (data[y * w + x] <= t) { rows[y]++; cols[x]++; }
+  const first = (arr, min) => arr.findIndex(v => v > min);
+  const last = (arr, min) => arr.length - 1 - [...arr].reverse().findIndex(v => v > min);
+  const top = first(rows, w * 0.005), left = first(cols, h * 0.005);
+  if (top < 0 || left < 0) return null;
+  const bottom = last(rows, w * 0.005), right = last(cols, h * 0.005);
+  const padX = Math.round(w * 0.02), padY = Math.round(h * 0.02);
+  const box = {
+    left: Math.max(0, left - padX),
+    top: Math.max(0, top - padY),
+    width: Math.min(w, right + padX + 1) - Math.max(0, left - padX),
+    height: Math.min(h, bottom + padY + 1) - Math.max(0, top - padY),
+  };
+  // nie ma czego przycinać
+  return box.width * box.height > 0.95 * w * h ? null : box;
+}
+
+/* ===== Cały etap ===== */
+/**
+ * Obraz zdjęcia (po EXIF i resize) → strony [{ img, steps, corrections }].
+ * steps idą od `img` wejściowego do strony; corrections to lista zastosowanych korekt.
+ */
+export function normalizePages(img, { split = true } = {}) {
+  const shared = { steps: [], corrections: [] };
+  let page = img;
+
+  const quad = detectPageQuad(page);
+  if (quad) {
+    const out = correctPerspective(page, quad);
+    page = out.img;
+    shared.steps.push(out.step);
+    shared.corrections.push({ type: 'perspective', quad: quad.map(([x, y]) => [Math.round(x), Math.round(y)]) });
+  }
+
+  let halves = [{ img: page, steps: [], corrections: [] }];
+  const gutter = split ? findGutter(page) : null;
+  if (gutter) {
+    halves = [
+      { left: 0, width: gutter },
+      { left: gutter, width: page.width - gutter },
+    ].map((box, i) => {
+      const step = { type: 'crop', left: box.left, top: 0, width: box.width, height: page.height };
+      return { img: crop(page, step), steps: [step], corrections: [{ type: 'split', side: i ? 'right' : 'left', gutterX: gutter }] };
+    });
+  }
+
+  return halves.map(half => {
+    let { img: p } = half;
+    const steps = [...shared.steps, ...half.steps];
+    const corrections = [...shared.corrections, ...half.corrections];
+
+    const deg = estimateSkew(p);
+    if (Math.abs(deg) >= 0.2) {
+      const out = deskew(p, deg);
+      p = out.img;
+      steps.push(out.step);
+      corrections.push({ type: 'deskew', angle: deg });
+    }
+
+    const box = contentBox(p);
+    if (box) {
+      const step = { type: 'crop', ...box };
+      p = crop(p, step);
+      steps.push(step);
+      corrections.push({ type: 'crop', ...box });
+    }
+    return { img: p, steps, corrections };
+  });
+}
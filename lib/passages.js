@@ -0,0 +1,190 @@
+/* ===================== Teksty do czytania: ograniczenia, pomiary, korpus ===================== */
+// Wspólne dla LLM i fallbacku offline: parsowanie opcji z body, pomiar tekstu
+// (słowa, sylaby, FOG-PL), sprawdzenie ograniczeń i złożenie tekstu z korpusu.
+import { CORPUS, CORPUS_LEVELS } from './corpus.js';
+import { langPack, resolveLang } from './lang.js';
+import { countSyllables } from './syllables.js';
+
+export const PASSAGE_LEVELS = CORPUS_LEVELS;
+const MAX_SENTENCES = 8;
+const HARD_WORD_SYLLABLES = 4; // FOG-PL: wyraz trudny = 4+ sylaby
+
+// Słowa na zdanie wg poziomu (domyślny zakres długości tekstu)
+const WORDS_PER_SENTENCE = { A1: [3, 7], A2: [5, 10], B1: [8, 16] };
+
+// Głoski do ćwiczenia → wzorzec w zapisie (miękkie także przed "i": si, ci, ni, zi, dzi)
+const SOUND_PATTERNS = {
+  sz: /sz/, cz: /cz/, rz: /rz/, ch: /ch/, szcz: /szcz/,
+  dz: /dz(?![źżi])/, 'dź': /dź|dzi/, 'dż': /dż/,
+  'ż': /ż/, 'ł': /ł/, 'ś': /ś|si/, 'ć': /ć|ci/, 'ń': /ń|ni/, 'ź': /(?<!d)(ź|zi)/,
+};
+export const TARGET_SOUNDS = Object.keys(SOUND_PATTERNS);
+
+// Polska odmiana liczebnika: 1 zdanie, 2 zdania, 5 zdań
+const plural = (n, one, few, many) =>
+  `${n} ${n === 1 ? one : (n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14)) ? few : many}`;
+
+const int = (v, lo, hi) => {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) && n >= lo && n <= hi ? n : NaN;
+};
+
+export const splitSentences = (text = '') =>
+  String(text).split(/(?<=[.!?…])\s+/).map(s => s.trim()).filter(Boolean);
+
+export const passageWords = (text = '') => String(text).match(/\p{L}+/gu) || [];
+
+/**
+ * Body /agent/generate-text → { options } albo { error } (400).
+ * lang (stara nazwa: language), level, sentences, minWords/maxWords, maxSyllables, allowedLetters, targetSound, minTargetWords.
+ * maxSyllables i targetSound tylko dla języków z sylabizacją (polski) — inaczej NOT_SUPPORTED_FOR_LANG.
+ */
+export function parsePassageOptions(body = {}, { defaultLang } = {}) {
+  const language = resolveLang(body.lang ?? body.language, defaultLang);
+  if (!language) return { error: 'UNSUPPORTED_LANG' };
+  const pack = langPack(language);
+  const level = String(body.level || 'A1').toUpperCase();
+  if (!PASSAGE_LEVELS.includes(level)) return { error: 'BAD_LEVEL' };
+
+  const sentences = body.sentences == null ? 1 : int(body.sentences, 1, MAX_SENTENCES);
+  if (Number.isNaN(sentences)) return { error: 'BAD_SENTENCES' };
+
+  const [lo, hi] = WORDS_PER_SENTENCE[level];
+  const minWords = body.minWords == null ? lo * sentences : int(body.minWords, 1, 400);
+  const maxWords = body.maxWords == null ? Math.max(hi * sentences, minWords) : int(body.maxWords, 1, 400);
+  if (Number.isNaN(minWords) || Number.isNaN(maxWords) || minWords > maxWords) return { error: 'BAD_LENGTH' };
+
+  const maxSyllables = body.maxSyllables == null ? null : int(body.maxSyllables, 1, 10);
+  if (Number.isNaN(maxSyllables)) return { error: 'BAD_MAX_SYLLABLES' };
+  if ((maxSyllables || body.targetSound != null) && !pack.syllables) return { error: 'NOT_SUPPORTED_FOR_LANG' };
+
+  let allowedLetters = null;
+  if (body.allowedLetters != null) {
+    const letters = [...new Set(passageWords(String(body.allowedLetters).toLowerCase()).join(''))];
+    if (!letters.length) return { error: 'BAD_ALLOWED_LETTERS' };
+    allowedLetters = letters.sort((a, b) => a.localeCompare(b, language)).join('');
+  }
+
+  const targetSound = body.targetSound == null ? null : String(body.targetSound).toLowerCase().trim();
+  if (targetSound && !SOUND_PATTERNS[targetSound]) return { error: 'BAD_TARGET_SOUND' };
+  const minTargetWords = !targetSound ? 0
+    : body.minTargetWords == null ? Math.max(2, sentences) : int(body.minTargetWords, 1, 50);
+  if (Number.isNaN(minTargetWords)) return { error: 'BAD_MIN_TARGET_WORDS' };
+
+  return {
+    options: { language, level, sentences, minWords, maxWords, maxSyllables, allowedLetters, targetSound, minTargetWords },
+  };
+}
+
+const hasSound = (word, sound) => SOUND_PATTERNS[sound].test(word.toLowerCase());
+
+/** Pomiar: słowa, sylaby i czytelność FOG-PL = 0.4 × (słowa/zdania + 100 × trudne/słowa). */
+export function measurePassage(text = '') {
+  const words = passageWords(text);
+  const sentences = Math.max(1, splitSentences(text).length);
+  const syl = words.map(countSyllables);
+  const total = syl.reduce((a, b) => a + b, 0);
+  const hardWords = syl.filter(n => n >= HARD_WORD_SYLLABLES).length;
+  const n = words.length || 1;
+  const fogPl = +(0.4 * (words.length / sentences + 100 * hardWords / n)).toFixed(1);
+  const label = fogPl <= 6 ? 'very_easy' : fogPl <= 9 ? 'easy' : fogPl <= 12 ? 'medium' : 'hard';
+
+  return {
+    sentences: splitSentences(text).length,
+    wordCount: words.length,
+    avgWordsPerSentence: +(words.length / sentences).toFixed(1),
+    syllables: {
+      total,
+      avgPerWord: +(total / n).toFixed(2),
+      max: syl.length ? Math.max(...syl) : 0,
+      perWord: words.map((word, i) => ({ word, syllables: syl[i] })),
+    },
+    hardWords,
+    readability: { fogPl, label },
+  };
+}
+
+// Ograniczenia liczone per słowo — wspólne dla całego tekstu i dla zdań z korpusu
+function wordViolations(words, { maxSyllables, allowedLetters }) {
+  const out = [];
+  if (maxSyllables) {
+    const bad = [...new Set(words.filter(w => countSyllables(w) > maxSyllables))];
+    if (bad.length) out.push({ rule: 'MAX_SYLLABLES', hard: true, words: bad, detail: `słowa dłuższe niż ${plural(maxSyllables, 'sylaba', 'sylaby', 'sylab')}: ${bad.join(', ')}` });
+  }
+  if (allowedLetters) {
+    const bad = [...new Set(words.filter(w => [...w.toLowerCase()].some(ch => !allowedLetters.includes(ch))))];
+    if (bad.length) out.push({ rule: 'ALLOWED_LETTERS', hard: true, words: bad, detail: `słowa z niedozwolonymi literami: ${bad.join(', ')}` });
+  }
+  return out;
+}
+
+/**
+ * Sprawdza tekst względem opcji. `hard` = nie do przyjęcia; miękkie (długość) tylko raportujemy,
+ * gdy nic lepszego nie ma.
+ */
+export function checkPassage(text, options) {
+  const metrics = measurePassage(text);
+  const words = passageWords(text);
+  const violations = wordViolations(words, options);
+
+  if (metrics.sentences !== options.sentences) {
+    violations.push({ rule: 'SENTENCES', hard: true, detail: `${plural(metrics.sentences, 'zdanie', 'zdania', 'zdań')} zamiast ${options.sentences}` });
+  }
+  if (options.targetSound) {
+    const found = words.filter(w => hasSound(w, options.targetSound)).length;
+    if (found < options.minTargetWords) {
+      violations.push({ rule: 'TARGET_SOUND', hard: true, detail: `tylko ${plural(found, 'słowo', 'słowa', 'słów')} z "${options.targetSound}" (min. ${options.minTargetWords})` });
+    }
+  }
+  if (metrics.wordCount < options.minWords || metrics.wordCount > options.maxWords) {
+    violations.push({ rule: 'LENGTH', hard: false, detail: `${plural(metrics.wordCount, 'słowo', 'słowa', 'słów')} zamiast ${options.minWords}–${options.maxWords}` });
+  }
+  return { metrics, violations };
+}
+
+export function buildPassagePrompt(options, { previous = '', violations = [] } = {}) {
+  const { language, level, sentences, minWords, maxWords, maxSyllables, allowedLetters, targetSound, minTargetWords } = options;
+  const rules = [
+    sentences === 1 ? 'jedno zdanie' : `dokładnie ${plural(sentences, 'zdanie', 'zdania', 'zdań')}, razem spójna krótka historyjka`,
+    `razem ${minWords}–${maxWords} słów`,
+    'jasno i naturalnie, bez cudzysłowów, bez tytułu, bez numeracji',
+  ];
+  if (maxSyllables) rules.push(`każde słowo ma najwyżej ${plural(maxSyllables, 'sylabę', 'sylaby', 'sylab')}`);
+  if (allowedLetters) rules.push(`używaj WYŁĄCZNIE liter: ${allowedLetters.split('').join(' ')} (także wielkich)`);
+  if (targetSound) rules.push(`co najmniej ${plural(minTargetWords, 'słowo', 'słowa', 'słów')} z głoską "${targetSound}"`);
+
+  let prompt =
+`Napisz tekst ${langPack(language).inLang} na poziomie ${level} do głośnego czytania przez dziecko.
+Zasady: ${rules.join('; ')}.`;
+  if (previous && violations.length) {
+    prompt += `\nPoprzednia wersja była zła (${violations.map(v => v.detail).join('; ')}):\n${previous}\nNapisz nową wersję, która spełnia wszystkie zasady.`;
+  }
+  return prompt;
+}
+
+export const cleanPassage = (raw = '') =>
+  String(raw).replace(/^["'„”]+|["'„”]+$/g, '').replace(/\s+/g, ' ').trim();
+
+const shuffle = arr => arr.map(v => [Math.random(), v]).sort((a, b) => a[0] - b[0]).map(p => p[1]);
+
+/**
+ * Tekst z korpusu: zdania z poziomu (potem z niższych), które spełniają ograniczenia per słowo;
+ * przy targetSound najpierw zdania z tą głoską. null, gdy nie da się spełnić twardych ograniczeń.
+ */
+export function corpusPassage(options) {
+  // korpus czytanek jest tylko po polsku
+  if (options.language !== 'pl') return null;
+  const upto = PASSAGE_LEVELS.indexOf(options.level);
+  const pool = [];
+  for (let i = upto; i >= 0; i--) {
+    pool.push(...shuffle(CORPUS[PASSAGE_LEVELS[i]]).filter(s => !wordViolations(passageWords(s), options).length));
+  }
+  if (options.targetSound) {
+    const withSound = s => passageWords(s).some(w => hasSound(w, options.targetSound));
+    pool.sort((a, b) => withSound(b) - withSound(a));
+  }
+  if (pool.length < options.sentences) return null;
+
+  const text = pool.slice(0, options.sentences).join(' ');
+  return checkPassage(text, options).violations.some(v => v.hard) ? null : text;
+}
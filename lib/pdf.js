@@ -0,0 +1,64 @@
+/* ===================== PDF → obrazy stron (lokalnie, MuPDF/WASM) ===================== */
+// Karty pracy i krótkie książeczki jako PDF: każdą stronę renderujemy do PNG i puszczamy
+// tą samą ścieżką co zdjęcie (preprocess + Tesseract). MuPDF ładujemy dopiero przy pierwszym PDF-ie.
+
+const PDF_DPI = Number(process.env.OCR_PDF_DPI || 200);
+// Dłuższy bok bitmapy strony (i tak zmniejszanej w preprocessie do OCR_WIDTH); ogromny MediaBox
+// (do 14400 pt) przy pełnym DPI to gigabajty w stercie WASM. Poniżej MIN_DPI tekst i tak nieczytelny.
+const MAX_SIDE_PX = Number(process.env.OCR_PDF_MAX_SIDE_PX || 4000);
+const MIN_DPI = Number(process.env.OCR_PDF_MIN_DPI || 50);
+
+// Błędy pojedynczej strony: reszta dokumentu idzie dalej, strona wraca pusta z `error`
+export const PAGE_ERRORS = new Set(['PAGE_TOO_LARGE', 'BAD_PAGE']);
+
+let mupdfPromise = null;
+const loadMupdf = () => (mupdfPromise ??= import('mupdf'));
+
+export function isPdf(buffer, mime = '') {
+  return /pdf/i.test(mime) || (buffer?.length > 4 && buffer.subarray(0, 5).toString('latin1') === '%PDF-');
+}
+
+// Skala strony: docelowe DPI, ale dłuższy bok najwyżej MAX_SIDE_PX
+export function pageScale([x0, y0, x1, y1], { dpi = PDF_DPI, maxSidePx = MAX_SIDE_PX, minDpi = MIN_DPI } = {}) {
+  const longest = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0));
+  if (!(longest > 0) || !Number.isFinite(longest)) throw new Error('BAD_PAGE');
+  const scale = Math.min(dpi / 72, maxSidePx / longest);
+  if (scale < minDpi / 72) throw new Error('PAGE_TOO_LARGE');
+  return scale;
+}
+
+/**
+ * PDF → { pageCount, pages: [{ pdfPage, render: async () => png }] }.
+ * Strony renderujemy leniwie (render), żeby długi dokument nie trzymał w pamięci wszystkich bitmap naraz.
+ * render rzuca PAGE_TOO_LARGE / BAD_PAGE (PAGE_ERRORS) dla strony, której nie da się rozsądnie wyrenderować.
+ */
+export async function openPdf(buffer, { dpi = PDF_DPI } = {}) {
+  const mupdf = await loadMupdf();
+  let doc;
+  try {
+    doc = mupdf.Document.openDocument(buffer, 'application/pdf');
+  } catch {
+    throw new Error('BAD_PDF');
+  }
+  if (doc.needsPassword?.()) throw new Error('PDF_ENCRYPTED');
+  const pageCount = doc.countPages();
+
+  return {
+    pageCount,
+    pages: Array.from({ length: pageCount }, (_, i) => ({
+      pdfPage: i + 1,
+      async render() {
+        const page = doc.loadPage(i);
+        let pixmap = null;
+        try {
+          const scale = pageScale(page.getBounds(), { dpi });
+          pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false, true);
+          return Buffer.from(pixmap.asPNG());
+        } finally {
+          pixmap?.destroy?.();
+          page.destroy?.();
+        }
+      },
+    })),
+  };
+}
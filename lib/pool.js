@@ -0,0 +1,73 @@
+/* ===================== Pula gotowych tekstów (powitania / motywacje) ===================== */
+// Trzyma do `size` gotowych pozycji per klucz i dopełnia się w tle po każdym pobraniu,
+// więc endpoint odpowiada od ręki zamiast czekać na zimne wywołanie LLM.
+// `produce(key, meta)` zwraca tablicę tekstów (może kilka naraz, np. lista powitań).
+import { chooseMostNovel } from './agentText.js';
+
+export function createPool({
+  name,
+  size = 6,
+  produce,
+  maxAttempts = 4,      // ile wywołań produce na jedno dopełnienie, zanim odpuścimy
+  retryDelayMs = 30_000, // po nieudanym dopełnieniu klucz odpoczywa
+  maxKeys = 64,          // nowe klucze ponad limit są ignorowane (pusto, bez dopełniania)
+}) {
+  const items = new Map();    // key → string[]
+  const refilling = new Map(); // key → Promise
+  const cooldown = new Map();  // key → timestamp
+  const meta = new Map();      // key → meta do ponownego dopełniania
+
+  async function refillKey(key) {
+    const list = items.get(key) || [];
+    items.set(key, list);
+    let attempts = 0;
+    while (list.length < size && attempts++ < maxAttempts) {
+      try {
+        const fresh = (await produce(key, meta.get(key))) || [];
+        for (const t of fresh) if (t && !list.includes(t) && list.length < size) list.push(t);
+      } catch (err) {
+        console.warn(`pool:${name} dopełnienie ${key} nieudane: ${String(err?.message || err)}`);
+        cooldown.set(key, Date.now() + retryDelayMs);
+        return;
+      }
+    }
+  }
+
+  const full = key => !items.has(key) && items.size >= maxKeys;
+
+  function refill(key, m) {
+    if (size <= 0 || full(key)) return Promise.resolve();
+    if (m !== undefined) meta.set(key, m);
+    if (refilling.has(key)) return refilling.get(key);
+    if ((cooldown.get(key) || 0) > Date.now()) return Promise.resolve();
+    const p = refillKey(key).finally(() => refilling.delete(key));
+    refilling.set(key, p);
+    return p;
+  }
+
+  return {
+    name,
+    // Najświeższa względem historii profilu; zawsze zleca dopełnienie w tle
+    take(key, m, { history = [] } = {}) {
+      if (full(key)) return null;
+      const list = items.get(key) || [];
+      let out = null;
+      if (list.length) {
+        out = chooseMostNovel(list, history);
+        list.splice(list.indexOf(out), 1);
+      }
+      refill(key, m);
+      return out;
+    },
+    refill,
+    // Sekwencyjnie, żeby start nie zasypał dostawców równoległymi wywołaniami
+    async prefill(entries) {
+      for (const [key, m] of entries) await refill(key, m);
+    },
+    stats() {
+      const out = {};
+      for (const [key, list] of items) out[key] = { ready: list.length, refilling: refilling.has(key) };
+      return { name, size, maxKeys, keys: out };
+    },
+  };
+}
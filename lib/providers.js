@@ -0,0 +1,403 @@
+/* ===================== Rejestr dostawców AI ===================== */
+// Jedno miejsce na: chat, transcription (ASR), tts, vision (OCR przez model wizyjny) i moderation.
+// Każda zdolność ma listę dostawców i strategię: 'race' (pierwszy poprawny wygrywa)
+// albo 'ordered' (po kolei, z ponowieniami). Circuit breaker pomija dostawcę,
+// który ostatnio się sypie; każde wywołanie ma limit czasu (AI_TIMEOUT_MS / <DOSTAWCA>_TIMEOUT_MS,
+// przekroczenie = błąd przejściowy, więc 'ordered' idzie do następnego). Wszystko poza ElevenLabs gada przez REST zgodny z OpenAI,
+// więc lokalny serwer (LOCAL_AI_BASE_URL albo *_BASE_URL) może podmienić chmurę.
+import { buildWav } from './audio.js';
+
+const env = process.env;
+const now = () => (global.performance?.now?.() ?? Date.now());
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const ELEVEN_PCM_RATE = 24000;
+const TIMEOUT_MS = Number(env.AI_TIMEOUT_MS || 60_000);
+
+export const CAPABILITIES = ['chat', 'transcription', 'tts', 'vision', 'moderation'];
+
+export const trimUserContent = (s = '', limit = 1200) => {
+  const compact = String(s || '').replace(/\s+/g, ' ').trim();
+  return compact.length > limit ? compact.slice(-limit) : compact;
+};
+
+const list = (v, fallback) => (v ? String(v).split(',').map(s => s.trim()).filter(Boolean) : fallback);
+
+/* ===== Konfiguracja dostawców ===== */
+function providerDefs() {
+  return {
+    groq: {
+      kind: 'openai',
+      baseURL: env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+      apiKey: env.GROQ_API_KEY,
+      timeoutMs: Number(env.GROQ_TIMEOUT_MS || TIMEOUT_MS),
+      maxUserChars: 1200, // Groq dostaje skompaktowany ogon promptu (szybciej)
+      models: {
+        chat: env.GROQ_MODEL || 'llama-3.1-8b-instant',
+        transcription: env.GROQ_ASR_MODEL || 'whisper-large-v3',
+      },
+    },
+    openai: {
+      kind: 'openai',
+      baseURL: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: env.OPENAI_API_KEY,
+      timeoutMs: Number(env.OPENAI_TIMEOUT_MS || TIMEOUT_MS),
+      models: {
+        chat: env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
+        transcription: env.OPENAI_ASR_MODEL || 'whisper-1',
+        tts: env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts',
+        vision: env.OPENAI_VISION_MODEL || 'gpt-4o-mini',
+        moderation: env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest',
+      },
+    },
+    elevenlabs: {
+      kind: 'elevenlabs',
+      baseURL: env.ELEVEN_BASE_URL || 'https://api.elevenlabs.io/v1',
+      apiKey: env.ELEVEN_API_KEY || env.ELEVENLABS_API_KEY,
+      timeoutMs: Number(env.ELEVEN_TIMEOUT_MS || TIMEOUT_MS),
+      models: { tts: env.ELEVEN_TTS_MODEL || 'eleven_multilingual_v2' },
+    },
+    // Samodzielny serwer zgodny z OpenAI (llama.cpp, whisper.cpp, LocalAI, atrapa w testach…)
+    local: {
+      kind: 'openai',
+      baseURL: env.LOCAL_AI_BASE_URL || '',
+      apiKey: env.LOCAL_AI_API_KEY || 'local',
+      timeoutMs: Number(env.LOCAL_AI_TIMEOUT_MS || TIMEOUT_MS),
+      keyless: true, // włączony, gdy jest baseURL
+      models: {
+        chat: env.LOCAL_CHAT_MODEL || 'local-chat',
+        transcription: env.LOCAL_ASR_MODEL || 'whisper-1',
+        tts: env.LOCAL_TTS_MODEL || 'tts-1',
+        vision: env.LOCAL_VISION_MODEL || 'local-vision',
+      },
+    },
+  };
+}
+
+const DEFAULT_ROUTING = {
+  chat: { strategy: 'race', providers: ['groq', 'openai', 'local'] },
+  transcription: { strategy: 'ordered', providers: ['groq', 'openai', 'local'] },
+  tts: { strategy: 'ordered', providers: ['elevenlabs', 'openai', 'local'] },
+  vision: { strategy: 'ordered', providers: ['openai', 'local'] },
+  moderation: { strategy: 'ordered', providers: ['openai'] },
+};
+
+function routingFromEnv() {
+  const out = {};
+  for (const cap of CAPABILITIES) {
+    const key = cap.toUpperCase();
+    out[cap] = {
+      strategy: env[`AI_${key}_STRATEGY`] || DEFAULT_ROUTING[cap].strategy,
+      providers: list(env[`AI_${key}_PROVIDERS`], DEFAULT_ROUTING[cap].providers),
+    };
+  }
+  return out;
+}
+
+/* ===== HTTP helpers ===== */
+// Zwykły Error z kodem w message (jak w reszcie backendu) + status/details/transient
+const providerError = (code, extra = {}) => Object.assign(new Error(code), { transient: false, ...extra });
+
+// AbortSignal.timeout → TimeoutError (także w trakcie czytania odpowiedzi)
+const isTimeout = err => err?.name === 'TimeoutError' || err?.name === 'AbortError';
+
+async function httpError(prefix, res) {
+  const details = await res.text().catch(() => '');
+  // 408/429/5xx warto ponowić; 4xx to błąd zapytania/klucza
+  const transient = res.status === 408 || res.status === 429 || res.status >= 500;
+  return providerError(`${prefix}_HTTP_${res.status}`, { status: res.status, details: details.slice(0, 800), transient });
+}
+
+/* ===== Adaptery zdolności ===== */
+const ADAPTERS = {
+  openai: {
+    async chat(def, name, { messages, temperature = 0.3, top_p = 0.95, max_tokens = 64 }) {
+      const msgs = def.maxUserChars
+        ? messages.map(m => (m.role === 'user' && typeof m.content === 'string' ? { ...m, content: trimUserContent(m.content, def.maxUserChars) } : m))
+        : messages;
+      const res = await fetch(`${def.baseURL}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${def.apiKey || ''}`,
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          Connection: 'keep-alive'
+        },
+        body: JSON.stringify({ model: def.models.chat, temperature, top_p, max_tokens, messages: msgs }),
+        signal: AbortSignal.timeout(def.timeoutMs),
+      });
+      if (!res.ok) throw await httpError(name.toUpperCase(), res);
+      const data = await res.json();
+      const text = data?.choices?.[0]?.message?.content?.trim?.() || '';
+      if (!text) throw providerError(`${name.toUpperCase()}_EMPTY`);
+      return { text, usage: data?.usage || null };
+    },
+
+    // verbose_json → words/segments z czasami
+    async transcription(def, name, { buffer, ext = 'webm', language = 'pl' }) {
+      const form = new FormData();
+      form.append('file', new Blob([buffer]), `rec.${ext}`);
+      form.append('model', def.models.transcription);
+      form.append('language', language);
+      form.append('response_format', 'verbose_json');
+      form.append('temperature', '0');
+      if (name !== 'groq') form.append('timestamp_granularities[]', 'word');
+      const res = await fetch(`${def.baseURL}/audio/transcriptions`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${def.apiKey || ''}` },
+        body: form,
+        signal: AbortSignal.timeout(def.timeoutMs),
+      });
+      if (!res.ok) throw await httpError(name.toUpperCase(), res);
+      return { transcript: await res.json() };
+    },
+
+    async tts(def, name, { text, voice = 'alloy', format = 'mp3' }) {
+      const res = await fetch(`${def.baseURL}/audio/speech`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${def.apiKey || ''}`,
+          'Content-Type': 'application/json',
+          Accept: format === 'wav' ? 'audio/wav' : (format === 'ogg' ? 'audio/ogg' : 'audio/mpeg')
+        },
+        // brak speed — bywa odrzucany; domyślne tempo jest OK
+        body: JSON.stringify({ model: def.models.tts, voice, input: text, response_format: format === 'ogg' ? 'opus' : format }),
+        signal: AbortSignal.timeout(def.timeoutMs),
+      });
+      if (!res.ok) throw await httpError(name.toUpperCase(), res);
+      return { audio: Buffer.from(await res.arrayBuffer()), format };
+    },
+
+    async vision(def, name, { imageB64, mime = 'image/jpeg', prompt }) {
+      const { text, usage } = await ADAPTERS.openai.chat({ ...def, maxUserChars: 0, models: { chat: def.models.vision } }, name, {
+        messages: [{ role: 'user', content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:${mime};base64,${imageB64}` } },
+        ] }],
+        temperature: 0, max_tokens: 2000,
+      });
+      return { text, usage };
+    },
+
+    // → { flagged, categories: ['violence', …] } (tylko kategorie oznaczone przez model)
+    async moderation(def, name, { input }) {
+      const res = await fetch(`${def.baseURL}/moderations`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${def.apiKey || ''}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: def.models.moderation, input }),
+        signal: AbortSignal.timeout(def.timeoutMs),
+      });
+      if (!res.ok) throw await httpError(name.toUpperCase(), res);
+      const result = (await res.json())?.results?.[0] || {};
+      const categories = Object.entries(result.categories || {}).filter(([, v]) => v).map(([k]) => k);
+      return { flagged: Boolean(result.flagged), categories };
+    },
+  },
+
+  elevenlabs: {
+    // timestamps: true → /with-timestamps: audio w base64 + czasy znaków (alignment) do podświetlania słów.
+    // format 'wav' → surowe PCM 24 kHz (output_format=pcm_24000) opakowane w nagłówek WAV; inaczej MP3
+    async tts(def, name, { text, voice = '21m00Tcm4TlvDq8ikWAM', format = 'mp3', timestamps = false }) { // Rachel (domyślna)
+      const pcm = format === 'wav';
+      const url = `${def.baseURL}/text-to-speech/${voice}${timestamps ? '/with-timestamps' : ''}${pcm ? `?output_format=pcm_${ELEVEN_PCM_RATE}` : ''}`;
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'xi-api-key': def.apiKey,
+          'Content-Type': 'application/json',
+          'Accept': timestamps ? 'application/json' : (pcm ? 'audio/pcm' : 'audio/mpeg')
+        },
+        body: JSON.stringify({
+          text,
+          model_id: def.models.tts,
+          voice_settings: { stability: 0.5, similarity_boost: 0.75 }
+        }),
+        signal: AbortSignal.timeout(def.timeoutMs),
+      });
+      if (!res.ok) throw await httpError('ELEVEN', res);
+      let audio, alignment = null;
+      if (timestamps) {
+        const data = await res.json();
+        audio = Buffer.from(data.audio_base64 || '', 'base64');
+        alignment = data.alignment || null;
+      } else {
+        audio = Buffer.from(await res.arrayBuffer());
+      }
+      if (pcm) audio = buildWav(audio, { sampleRate: ELEVEN_PCM_RATE });
+      return { audio, format: pcm ? 'wav' : 'mp3', ...(timestamps ? { alignment } : {}) };
+    },
+  },
+};
+
+/* ===== Jednostki rozliczeniowe (lib/usage.js) ===== */
+// chat/vision: tokeny z `usage` odpowiedzi; transcription: długość nagrania z verbose_json;
+// tts/moderation: znaki wejścia
+function usageUnits(cap, params, out) {
+  if (cap === 'chat' || cap === 'vision') {
+    return { tokensIn: out.usage?.prompt_tokens ?? null, tokensOut: out.usage?.completion_tokens ?? null };
+  }
+  if (cap === 'transcription') {
+    const t = out.transcript || {};
+    const seconds = Number(t.duration) || Number(t.segments?.at?.(-1)?.end) || null;
+    return { audioSeconds: seconds };
+  }
+  if (cap === 'tts') return { chars: String(params.text || '').length };
+  if (cap === 'moderation') return { chars: String(params.input || '').length };
+  return {};
+}
+
+/* ===== Circuit breaker ===== */
+// Po `failures` błędach z rzędu dostawca jest odcięty na cooldown; potem half-open:
+// przechodzi jedna próba naraz, reszta czeka na jej wynik (sukces zamyka, błąd otwiera znowu)
+function createBreaker({ failures = 3, cooldownMs = 30_000 } = {}) {
+  const state = new Map(); // `${provider}:${cap}` → { fails, openUntil, probing }
+  const halfOpen = s => s.fails >= failures && s.openUntil <= Date.now();
+  return {
+    allows(key) {
+      const s = state.get(key);
+      if (!s || s.fails < failures) return true;
+      return halfOpen(s) && !s.probing;
+    },
+    // Przed wywołaniem: false = odcięty; w half-open zajmuje jedyną próbę
+    acquire(key) {
+      const s = state.get(key);
+      if (!s || s.fails < failures) return true;
+      if (!halfOpen(s) || s.probing) return false;
+      s.probing = true;
+      return true;
+    },
+    success(key) { state.delete(key); },
+    failure(key) {
+      const s = state.get(key) || { fails: 0, openUntil: 0, probing: false };
+      s.fails++;
+      s.probing = false;
+      if (s.fails >= failures) s.openUntil = Date.now() + cooldownMs;
+      state.set(key, s);
+    },
+    snapshot(key) {
+      const s = state.get(key);
+      return {
+        failures: s?.fails || 0,
+        open: Boolean(s && s.openUntil > Date.now()),
+        openUntil: s?.openUntil > Date.now() ? new Date(s.openUntil).toISOString() : null,
+        probing: Boolean(s?.probing),
+      };
+    },
+  };
+}
+
+/**
+ * Rejestr: `run(cap, params, { providers, strategy })` → { provider, model, latency_ms, ...wynik adaptera }.
+ * Błędy: NO_PROVIDER (nic nie skonfigurowane), PROVIDERS_COOLING_DOWN (wszystkie
+ * odcięte przez breaker), BUDGET_EXCEEDED (wszystkie odcięte budżetem) albo ALL_PROVIDERS_FAILED z `.errors`.
+ * `usage` (createUsage) dostaje każde udane wywołanie i decyduje, którzy dostawcy mieszczą się w budżecie.
+ */
+export function createProviderRegistry({
+  defs = providerDefs(),
+  routing = routingFromEnv(),
+  retries = Number(env.AI_RETRIES ?? 1),
+  retryDelayMs = Number(env.AI_RETRY_DELAY_MS || 250),
+  breaker = createBreaker({
+    failures: Number(env.AI_BREAKER_FAILURES || 3),
+    cooldownMs: Number(env.AI_BREAKER_COOLDOWN_MS || 30_000),
+  }),
+  usage = null,
+} = {}) {
+  const enabled = (name, cap) => {
+    const def = defs[name];
+    if (!def || !def.models?.[cap] || !ADAPTERS[def.kind]?.[cap]) return false;
+    return def.keyless ? Boolean(def.baseURL) : Boolean(def.apiKey);
+  };
+
+  async function attempt(name, cap, params) {
+    const def = defs[name];
+    const key = `${name}:${cap}`;
+    // w half-open próbę mogło już zająć inne żądanie
+    if (!breaker.acquire(key)) throw providerError('PROVIDERS_COOLING_DOWN', { provider: name });
+    const t0 = now();
+    try {
+      const out = await ADAPTERS[def.kind][cap](def, name, params);
+      breaker.success(key);
+      const latency_ms = Math.round(now() - t0);
+      usage?.record({ capability: cap, provider: name, model: def.models[cap], latencyMs: latency_ms, units: usageUnits(cap, params, out) });
+      return { provider: name, model: def.models[cap], latency_ms, ...out };
+    } catch (caught) {
+      breaker.failure(key);
+      const err = isTimeout(caught)
+        ? providerError(`${name.toUpperCase()}_TIMEOUT`, { transient: true, timeoutMs: def.timeoutMs })
+        : caught;
+      err.provider = name;
+      throw err;
+    }
+  }
+
+  async function withRetries(name, cap, params) {
+    for (let i = 0; ; i++) {
+      try {
+        return await attempt(name, cap, params);
+      } catch (err) {
+        const transient = 'transient' in err ? err.transient : true; // sieć/timeout → ponów
+        if (i >= retries || !transient || !breaker.allows(`${name}:${cap}`)) throw err;
+        await sleep(retryDelayMs * (i + 1));
+      }
+    }
+  }
+
+  async function run(cap, params = {}, { providers, strategy } = {}) {
+    const configured = (providers || routing[cap]?.providers || []).filter(n => enabled(n, cap));
+    if (!configured.length) throw providerError('NO_PROVIDER');
+    const available = configured.filter(n => breaker.allows(`${n}:${cap}`));
+    if (!available.length) throw providerError('PROVIDERS_COOLING_DOWN', { transient: true });
+    // po przekroczeniu budżetu zostają tańsi / lokalni z tej samej listy
+    const names = usage ? available.filter(n => !usage.blocked(cap, n, defs[n].models[cap])) : available;
+    if (!names.length) throw providerError('BUDGET_EXCEEDED');
+    const mode = strategy || routing[cap]?.strategy || 'ordered';
+
+    if (mode === 'race') {
+      try {
+        return await Promise.any(names.map(n => attempt(n, cap, params)));
+      } catch (agg) {
+        throw providerError('ALL_PROVIDERS_FAILED', { errors: agg.errors });
+      }
+    }
+
+    const errors = [];
+    for (const n of names) {
+      try {
+        return await withRetries(n, cap, params);
+      } catch (err) {
+        errors.push(err);
+      }
+    }
+    // Jeden jawnie wybrany dostawca → oddaj jego własny błąd (np. ELEVEN_HTTP_401)
+    if (errors.length === 1) throw errors[0];
+    throw providerError('ALL_PROVIDERS_FAILED', { errors });
+  }
+
+  return {
+    run,
+    chat: (params, opts) => run('chat', params, opts),
+    transcribe: (params, opts) => run('transcription', params, opts),
+    tts: (params, opts) => run('tts', params, opts),
+    vision: (params, opts) => run('vision', params, opts),
+    moderate: (params, opts) => run('moderation', params, opts),
+    has: (cap, providers) => (providers || routing[cap]?.providers || []).some(n => enabled(n, cap)),
+    isEnabled: (name, cap) => enabled(name, cap),
+    config: (name) => defs[name] || null,
+    status() {
+      const out = {};
+      for (const cap of CAPABILITIES) {
+        out[cap] = {
+          strategy: routing[cap].strategy,
+          providers: routing[cap].providers.map(name => ({
+            name,
+            enabled: enabled(name, cap),
+            model: defs[name]?.models?.[cap] || null,
+            ...breaker.snapshot(`${name}:${cap}`),
+            ...(usage ? { budget: usage.blocked(cap, name, defs[name]?.models?.[cap]) } : {}),
+          })),
+        };
+      }
+      return out;
+    },
+  };
+}
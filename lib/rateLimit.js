@@ -0,0 +1,98 @@
+/* ===================== Limity żądań: per urządzenie i per IP, per klasa tras ===================== */
+// Okno stałe RATE_WINDOW_S (domyślnie 60 s), osobny licznik na klasa|device:<id> i klasa|ip:<adres>;
+// żądanie przechodzi, gdy mieści się w obu. Klasy: agent (LLM), tts, asr, ocr — płatne, niższe
+// limity; register (tylko IP); default — reszta. Limity IP są wyższe niż per urządzenie, bo za
+// jednym adresem bywa cała klasa (szkolne Wi-Fi). Liczniki w pamięci procesu — restart je zeruje.
+// ENV: RATE_<KLASA>_DEVICE / RATE_<KLASA>_IP (0 = bez limitu), RATE_LIMIT=0 wyłącza wszystko.
+
+const WINDOW_S = Number(process.env.RATE_WINDOW_S || 60);
+const SWEEP_MS = 60_000;
+
+export const DEFAULT_LIMITS = {
+  default: { device: 120, ip: 600 },
+  agent: { device: 30, ip: 120 },
+  tts: { device: 20, ip: 80 },
+  asr: { device: 12, ip: 48 },
+  ocr: { device: 6, ip: 24 },
+  register: { device: 0, ip: 10 },
+};
+
+export function limitsFromEnv(env = process.env) {
+  const out = {};
+  for (const [cls, lim] of Object.entries(DEFAULT_LIMITS)) {
+    const key = cls.toUpperCase();
+    out[cls] = {
+      device: Number(env[`RATE_${key}_DEVICE`] ?? lim.device),
+      ip: Number(env[`RATE_${key}_IP`] ?? lim.ip),
+    };
+  }
+  return out;
+}
+
+// Ścieżka → klasa; null = bez limitu (strona główna i /health — pingi anti-sleep)
+const ROUTE_CLASSES = [
+  [/^\/(?:health)?$/, null],
+  [/^\/auth\/register$/, 'register'],
+  [/^\/(?:ocr|ocr\/jobs|reading\/from-photo)$/, 'ocr'],
+  [/^\/(?:asr|asr\/jobs|asr\/stream)$/, 'asr'],
+  [/^\/(?:tts|tts-openai)$/, 'tts'],
+  [/^\/(?:agent\/.+|generate-text)$/, 'agent'],
+];
+
+// Express dopasowuje trasy bez względu na wielkość liter i końcowy "/" — klasa musi tak samo
+// (inaczej POST /ASR albo /asr/ trafia do tego samego handlera z limitem `default`)
+export function routeClass(pathname) {
+  const path = String(pathname || '/').toLowerCase().replace(/\/+$/, '') || '/';
+  const hit = ROUTE_CLASSES.find(([re]) => re.test(path));
+  return hit ? hit[1] : 'default';
+}
+
+export function createRateLimiter({
+  windowS = WINDOW_S,
+  limits = limitsFromEnv(),
+  enabled = process.env.RATE_LIMIT !== '0',
+} = {}) {
+  const counters = new Map(); // klucz → { count, resetAt }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, c] of counters) if (c.resetAt <= now) counters.delete(key);
+  }, SWEEP_MS).unref();
+
+  /**
+   * Zlicza żądanie klasy `cls` na kluczach urządzenia i IP. Wynik wg ciaśniejszego z nich:
+   * { ok, limit, remaining, retryAfter } (retryAfter w s = do końca okna); bez limitu → { ok: true }.
+   */
+  function hit(cls, { device, ip } = {}) {
+    const lim = cls && enabled ? limits[cls] || limits.default : null;
+    if (!lim) return { ok: true };
+    const now = Date.now();
+    const keys = [
+      device && lim.device > 0 ? [`${cls}|device:${device}`, lim.device] : null,
+      ip && lim.ip > 0 ? [`${cls}|ip:${ip}`, lim.ip] : null,
+    ].filter(Boolean);
+
+    let worst = null;
+    for (const [key, limit] of keys) {
+      let c = counters.get(key);
+      if (!c || c.resetAt <= now) {
+        c = { count: 0, resetAt: now + windowS * 1000 };
+        counters.set(key, c);
+      }
+      c.count++;
+      if (!worst || limit - c.count < worst.remaining) worst = { limit, remaining: limit - c.count, resetAt: c.resetAt };
+    }
+    if (!worst) return { ok: true };
+    return {
+      ok: worst.remaining >= 0,
+      limit: worst.limit,
+      remaining: Math.max(0, worst.remaining),
+      retryAfter: Math.max(1, Math.ceil((worst.resetAt - now) / 1000)),
+    };
+  }
+
+  return {
+    hit,
+    status: () => ({ enabled, windowS, limits, keys: counters.size }),
+  };
+}
@@ -0,0 +1,235 @@
+/* ===================== Skrypt do czytania ze zdjęcia strony ===================== */
+// Wynik OCR (bloki → linie → słowa) → czysty tekst do czytania na głos: łączymy wyrazy
+// przeniesione do następnej linii, wyrzucamy numery stron i żywą paginę, czyścimy śmieci
+// z WHITELIST, dzielimy na zdania i porcje pod poziom dziecka. Każda porcja ma expectedText
+// do /asr, a jej `words` idą 1:1 z tokenami alignmentu (z bboxami do podświetlania na zdjęciu).
+import { ageBucket } from './agentText.js';
+import { tokenize } from './alignment.js';
+
+// Słowa na porcję [min, max] wg poziomu
+export const CHUNK_WORDS = { A1: [6, 15], A2: [12, 30], B1: [25, 60] };
+const LEVEL_BY_BUCKET = { small: 'A1', mid: 'A2', big: 'B1' };
+
+export function chunkLevel({ level, age } = {}) {
+  const L = String(level || '').toUpperCase();
+  if (CHUNK_WORDS[L]) return L;
+  return LEVEL_BY_BUCKET[ageBucket(age)];
+}
+
+/* ===== Nagłówki, stopki, numery stron ===== */
+const PAGE_NUMBER = /^[\s\-–—.]*(\d{1,4}|[ivxlcdm]{1,7})[\s\-–—.]*$/i;
+const SENTENCE_END = /[.!?…]["”»)]*$/;
+const hasLetters = s => /\p{L}/u.test(s);
+const isAllCaps = s => hasLetters(s) && s === s.toUpperCase();
+// Żywa pagina: bez cyfr i wielkości liter, żeby "12 ROZDZIAŁ DRUGI" i "Rozdział drugi 13" się zgadzały
+const headerKey = s => s.toLowerCase().replace(/[^\p{L}]+/gu, ' ').trim();
+const center = b => [(b.x0 + b.x1) / 2, (b.y0 + b.y1) / 2];
+
+function median(values) {
+  if (!values.length) return 0;
+  const v = [...values].sort((a, b) => a - b);
+  return v[Math.floor(v.length / 2)];
+}
+
+// Linia "odklejona" od reszty tekstu (duża przerwa) — typowe dla paginy i stopki
+function isolated(lines, i) {
+  const gaps = [];
+  for (let k = 1; k < lines.length; k++) {
+    if (lines[k].bbox && lines[k - 1].bbox) {
+      const [ax, ay] = center(lines[k - 1].bbox), [bx, by] = center(lines[k].bbox);
+      gaps.push(Math.hypot(bx - ax, by - ay));
+    }
+  }
+  const typical = median(gaps);
+  const neighbour = lines[i === 0 ? 1 : i - 1];
+  if (!typical || !lines[i].bbox || !neighbour?.bbox) return false;
+  const [ax, ay] = center(lines[i].bbox), [bx, by] = center(neighbour.bbox);
+  return Math.hypot(bx - ax, by - ay) > 1.8 * typical;
+}
+
+// Tytuł rozdziału zostaje (da się go przeczytać); pagina to powtórka, wielkie litery albo numer strony w linii
+function looksLikeFurniture(line, lines, i, repeated, edge) {
+  const text = line.text.trim();
+  const words = text.split(/\s+/).filter(hasLetters);
+  if (!words.length || words.length > 7 || SENTENCE_END.test(text)) return false;
+  if (repeated.has(headerKey(text)) || /^\d+\s|\s\d+$/.test(text)) return true;
+  return edge === 'header' ? isAllCaps(text) : isolated(lines, i);
+}
+
+// Linie pogrupowane po stronach → { kept: [linia], removed: [{ reason, text, page }] }
+function dropPageFurniture(blocks) {
+  const pages = new Map();
+  for (const b of blocks) {
+    const page = b.page ?? 0;
+    if (!pages.has(page)) pages.set(page, []);
+    pages.get(page).push(...b.lines.map(l => ({ ...l, page })));
+  }
+
+  // Ten sam krótki tekst na górze/dole kilku stron = żywa pagina
+  const edgeKeys = new Map();
+  for (const lines of pages.values()) {
+    for (const l of [lines[0], lines[lines.length - 1]]) {
+      const key = l && headerKey(l.text);
+      if (key) edgeKeys.set(key, (edgeKeys.get(key) || 0) + 1);
+    }
+  }
+  const repeated = new Set([...edgeKeys].filter(([, n]) => n > 1).map(([k]) => k));
+
+  const kept = [], removed = [];
+  for (const [page, lines] of pages) {
+    const drop = new Map();
+    lines.forEach((l, i) => { if (!hasLetters(l.text) && !/\d/.test(l.text)) drop.set(i, 'noise'); });
+    // po dwie linie z góry i z dołu: numer strony albo pagina
+    for (const i of [0, 1, lines.length - 1, lines.length - 2]) {
+      const l = lines[i];
+      if (!l || drop.has(i)) continue;
+      const edge = i < lines.length / 2 ? 'header' : 'footer';
+      if (PAGE_NUMBER.test(l.text)) drop.set(i, 'page_number');
+      else if ((i === 0 || i === lines.length - 1 || drop.has(i === 1 ? 0 : lines.length - 1)) && looksLikeFurniture(l, lines, i, repeated, edge)) drop.set(i, edge);
+    }
+    lines.forEach((l, i) => {
+      if (drop.has(i)) removed.push({ reason: drop.get(i), text: l.text.trim(), page });
+      else kept.push(l);
+    });
+  }
+  return { kept, removed };
+}
+
+/* ===== Słowa: czyszczenie i przeniesienia ===== */
+const STRAY = /[[\]{}\\/|<>_~^*#@=+]/g;
+const HYPHEN_END = /(\p{L})[-­¬]$/u;
+
+function cleanToken(text) {
+  return String(text || '').replace(STRAY, '').replace(/^'+|'+$/g, '');
+}
+
+// Linie → strumień słów { text, page, boxes }; "przenie-" + "sienie" → "przeniesienie" (2 bboxy)
+function wordStream(lines) {
+  const out = [];
+  let dehyphenated = 0;
+  for (const line of lines) {
+    const words = (line.words?.length ? line.words : line.text.split(/\s+/).map(text => ({ text, bbox: null })))
+      .map(w => ({ text: cleanToken(w.text), page: line.page, boxes: w.bbox ? [w.bbox] : [] }))
+      .filter(w => w.text && (hasLetters(w.text) || /[\d.!?…,;:—–-]/.test(w.text)));
+    if (!words.length) continue;
+
+    const prev = out[out.length - 1];
+    if (prev && HYPHEN_END.test(prev.text) && /^\p{Ll}/u.test(words[0].text)) {
+      const first = words.shift();
+      prev.text = prev.text.slice(0, -1) + first.text;
+      prev.boxes.push(...first.boxes);
+      dehyphenated++;
+    } else if (prev?.title && /^\p{Lu}/u.test(words[0].text)) {
+      prev.breakAfter = true; // tytuł bez kropki to osobne "zdanie"
+    }
+    if (!words.length) continue;
+    // krótka linia bez kropki, zaczęta po końcu zdania (albo na początku) = kandydat na tytuł
+    const text = words.map(w => w.text).join(' ');
+    const fresh = !out.length || SENTENCE_END.test(out[out.length - 1].text) || out[out.length - 1].breakAfter;
+    if (fresh && words.length <= 5 && !SENTENCE_END.test(text) && !/[-­¬,;:]$/.test(text)) words[words.length - 1].title = true;
+    out.push(...words);
+  }
+  // sama interpunkcja (np. "." oddzielona spacją przez OCR) dokleja się do poprzedniego słowa
+  const merged = [];
+  for (const w of out) {
+    if (!hasLetters(w.text) && !/\d/.test(w.text) && /^[.!?…,;:]+$/.test(w.text) && merged.length) merged[merged.length - 1].text += w.text;
+    else merged.push(w);
+  }
+  return { words: merged, dehyphenated };
+}
+
+/* ===== Zdania i porcje ===== */
+const ABBREVIATIONS = new Set(['np', 'itd', 'itp', 'tzn', 'tj', 'dr', 'prof', 'św', 'ul', 'ok', 'godz', 'min', 'nr', 'str', 'tzw', 'wg', 'm.in', 'pt', 'ps']);
+
+function endsSentence(word, next) {
+  if (word.breakAfter) return true;
+  if (!SENTENCE_END.test(word.text)) return false;
+  const bare = word.text.replace(/[.!?…"”»)]+$/, '').toLowerCase().replace(/^[„"«(]+/, '');
+  if (/\.$/.test(word.text.replace(/["”»)]+$/, '')) && ABBREVIATIONS.has(bare)) return false;
+  // "…" w środku zdania albo dialog („Hop!” — woła Ala): dalej z małej litery
+  if (next && /^\p{Ll}/u.test(next.text)) return false;
+  return true;
+}
+
+function sentencesOf(words) {
+  // następne słowo z literą albo cyfrą dla każdej pozycji — jeden przebieg od końca
+  const nextReadable = new Array(words.length);
+  let seen;
+  for (let i = words.length - 1; i >= 0; i--) {
+    nextReadable[i] = seen;
+    if (hasLetters(words[i].text) || /\d/.test(words[i].text)) seen = words[i];
+  }
+  const out = [];
+  let cur = [];
+  words.forEach((w, i) => {
+    cur.push(w);
+    if (endsSentence(w, nextReadable[i])) { out.push(cur); cur = []; }
+  });
+  if (cur.length) out.push(cur);
+  return out;
+}
+
+// Słowa do /asr: tokeny jak w alignmencie (dzielenie po spacjach i myślnikach), każdy z bboxami słowa
+function scoringWords(words) {
+  return words.flatMap(w => tokenize(w.text).map(t => ({ text: t.raw, page: w.page, boxes: w.boxes })));
+}
+
+const displayText = words => words.map(w => w.text).join(' ').replace(/\s+([.!?…,;:])/g, '$1');
+// Bez cudzysłowów, nawiasów i myślników dialogowych — tylko to, co dziecko czyta
+const expectedTextOf = text => text.replace(/["„”«»()]/g, '').replace(/(^|\s)[—–-](?=\s)/g, '$1').replace(/\s+/g, ' ').trim();
+
+function chunkSentences(sentences, [min, max]) {
+  const chunks = [];
+  let cur = [], count = 0;
+  for (const s of sentences) {
+    const n = scoringWords(s).length;
+    if (cur.length && count + n > max && count >= min) {
+      chunks.push(cur);
+      cur = []; count = 0;
+    }
+    cur.push(s);
+    count += n;
+  }
+  if (cur.length) {
+    // za krótka końcówka dokleja się do poprzedniej porcji, jeśli się mieści
+    const last = chunks[chunks.length - 1];
+    const lastCount = last ? last.reduce((a, s) => a + scoringWords(s).length, 0) : 0;
+    if (last && count < min && lastCount + count <= max * 1.25) last.push(...cur);
+    else chunks.push(cur);
+  }
+  return chunks;
+}
+
+/**
+ * Wynik ocr.recognize → { text, level, chunks, removed, dehyphenated }.
+ * chunk = { index, text, expectedText, sentences, wordCount, pages, words: [{ text, page, boxes }] }.
+ */
+export function buildReadingScript(ocrResult, { level, age } = {}) {
+  const L = chunkLevel({ level, age });
+  const { kept, removed } = dropPageFurniture(ocrResult?.blocks || []);
+  const { words, dehyphenated } = wordStream(kept);
+  const sentences = sentencesOf(words);
+
+  const chunks = chunkSentences(sentences, CHUNK_WORDS[L]).map((group, index) => {
+    const all = group.flat();
+    const text = displayText(all);
+    const scoring = scoringWords(all);
+    return {
+      index,
+      text,
+      expectedText: expectedTextOf(text),
+      sentences: group.map(displayText),
+      wordCount: scoring.length,
+      pages: [...new Set(all.map(w => w.page))],
+      words: scoring,
+    };
+  });
+
+  return {
+    text: sentences.map(displayText).join(' '),
+    level: L,
+    chunks,
+    removed,
+    dehyphenated,
+  };
+}
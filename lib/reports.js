@@ -0,0 +1,200 @@
+/* ===================== Raporty postępów dziecka ===================== */
+// Agregacja sesji z magazynu: trendy tygodniowe, poziomy, czas czytania
+// i ranking "kłopotliwych słów" (zamiany + pominięcia z alignment).
+import { normalizeWord, WORD_STATUS } from './alignment.js';
+
+const round1 = x => (Number.isFinite(x) ? Math.round(x * 10) / 10 : null);
+const avg = xs => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+// Poniedziałek tygodnia ISO (UTC) jako YYYY-MM-DD
+export function weekStart(iso) {
+  const d = new Date(iso);
+  const day = (d.getUTCDay() + 6) % 7;
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - day);
+  return d.toISOString().slice(0, 10);
+}
+
+function sessionSeconds(s) {
+  const sec = Number(s?.fluency?.durationSec);
+  return Number.isFinite(sec) ? sec : 0;
+}
+
+function weeklyTrend(sessions) {
+  const byWeek = new Map();
+  for (const s of sessions) {
+    const k = weekStart(s.createdAt);
+    if (!byWeek.has(k)) byWeek.set(k, []);
+    byWeek.get(k).push(s);
+  }
+  return [...byWeek.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([week, list]) => {
+      const scored = list.filter(s => s.expectedText);
+      const wcpm = list.map(s => s.fluency?.wcpm).filter(Number.isFinite);
+      const wpm = list.map(s => s.fluency?.wpm).filter(Number.isFinite);
+      return {
+        week,
+        sessions: list.length,
+        avgAccuracy: round1(avg(scored.map(s => Number(s.accuracy) || 0))),
+        avgWcpm: round1(avg(wcpm)),
+        avgWpm: round1(avg(wpm)),
+        readingTimeSec: Math.round(list.reduce((t, s) => t + sessionSeconds(s), 0)),
+      };
+    });
+}
+
+// Zmiany poziomu w kolejności chronologicznej (poziom zapisany w sesji w chwili czytania)
+function levelProgression(sessions) {
+  const out = [];
+  for (const s of sessions) {
+    if (!s.level || out[out.length - 1]?.level === s.level) continue;
+    out.push({ level: s.level, since: s.createdAt });
+  }
+  return out;
+}
+
+export function troublesomeWords(sessions, { limit = 20, minMisses = 2 } = {}) {
+  const stats = new Map(); // norm → { word, seen, substituted, omitted, heardAs, lastAt }
+  for (const s of sessions) {
+    for (const w of s.alignment || []) {
+      if (w.expectedIndex == null) continue;
+      const norm = normalizeWord(w.expected);
+      if (!norm) continue;
+      if (!stats.has(norm)) stats.set(norm, { word: norm, seen: 0, substituted: 0, omitted: 0, heardAs: {}, lastAt: null });
+      const st = stats.get(norm);
+      st.seen++;
+      if (w.status === WORD_STATUS.SUBSTITUTED) {
+        st.substituted++;
+        const heard = normalizeWord(w.word);
+        if (heard) st.heardAs[heard] = (st.heardAs[heard] || 0) + 1;
+        st.lastAt = s.createdAt;
+      } else if (w.status === WORD_STATUS.OMITTED) {
+        st.omitted++;
+        st.lastAt = s.createdAt;
+      }
+    }
+  }
+  return [...stats.values()]
+    .map(st => ({
+      word: st.word,
+      misses: st.substituted + st.omitted,
+      substituted: st.substituted,
+      omitted: st.omitted,
+      seen: st.seen,
+      missRate: Math.round(((st.substituted + st.omitted) / st.seen) * 100),
+      heardAs: Object.entries(st.heardAs).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([w]) => w),
+      lastMissedAt: st.lastAt,
+    }))
+    .filter(w => w.misses >= minMisses)
+    .sort((a, b) => b.misses - a.misses || b.missRate - a.missRate || a.word.localeCompare(b.word))
+    .slice(0, limit);
+}
+
+/* ===== Okno raportu ===== */
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+const DAY_MS = 86_400_000;
+
+/**
+ * ?from / ?to → { from, to } w ms (null = bez granicy; `to` włącznie). Sama data w `to` = do końca
+ * tego dnia (UTC), inaczej ?to=2026-10-19 gubiłoby sesje z 19-go. Nie-ISO albo tablica
+ * (from[]=…) → Error('BAD_DATE_RANGE').
+ */
+export function parseReportRange({ from, to } = {}) {
+  const parse = (v, endOfDay) => {
+    if (v == null || v === '') return null;
+    if (typeof v !== 'string' || !(ISO_DATE.test(v) || ISO_DATETIME.test(v))) throw new Error('BAD_DATE_RANGE');
+    const ms = Date.parse(v);
+    if (!Number.isFinite(ms)) throw new Error('BAD_DATE_RANGE');
+    return endOfDay && ISO_DATE.test(v) ? ms + DAY_MS - 1 : ms;
+  };
+  const range = { from: parse(from, false), to: parse(to, true) };
+  if (range.from != null && range.to != null && range.from > range.to) throw new Error('BAD_DATE_RANGE');
+  return range;
+}
+
+/**
+ * Raport JSON dla aplikacji. `from`/`to` (ISO, sama data w `to` = cały dzień) zawężają okno sesji.
+ */
+export function buildChildReport(child, sessions, { from, to } = {}) {
+  const range = parseReportRange({ from, to });
+  const list = sessions
+    .filter(s => {
+      const at = Date.parse(s.createdAt);
+      return (range.from == null || at >= range.from) && (range.to == null || at <= range.to);
+    })
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  const scored = list.filter(s => s.expectedText);
+  const weeks = weeklyTrend(list);
+  const first = weeks[0], last = weeks[weeks.length - 1];
+
+  return {
+    child: { id: child.id, name: child.name || '', age: child.age, level: child.level, character: child.character || null },
+    period: { from: list[0]?.createdAt || null, to: list[list.length - 1]?.createdAt || null },
+    totals: {
+      sessions: list.length,
+      readingTimeSec: Math.round(list.reduce((t, s) => t + sessionSeconds(s), 0)),
+      wordsRead: list.reduce((t, s) => t + (Number(s.wordsRead) || 0), 0),
+      avgAccuracy: round1(avg(scored.map(s => Number(s.accuracy) || 0))),
+      avgWcpm: round1(avg(list.map(s => s.fluency?.wcpm).filter(Number.isFinite))),
+    },
+    change: weeks.length > 1 ? {
+      accuracy: first.avgAccuracy != null && last.avgAccuracy != null ? round1(last.avgAccuracy - first.avgAccuracy) : null,
+      wcpm: first.avgWcpm != null && last.avgWcpm != null ? round1(last.avgWcpm - first.avgWcpm) : null,
+    } : null,
+    weeks,
+    levels: levelProgression(list),
+    troublesomeWords: troublesomeWords(scored),
+  };
+}
+
+/* ===== Wersja do druku (HTML) ===== */
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const fmtMin = sec => `${Math.round((sec || 0) / 60)} min`;
+const dash = v => (v == null ? '–' : esc(v));
+
+export function renderReportHtml(report) {
+  const { child, totals, weeks, levels, troublesomeWords: words, period } = report;
+  const title = `Raport czytania${child.name ? ` – ${esc(child.name)}` : ''}`;
+  const rows = weeks.map(w => `
+        <tr><td>${esc(w.week)}</td><td>${w.sessions}</td><td>${dash(w.avgAccuracy)}%</td><td>${dash(w.avgWcpm)}</td><td>${fmtMin(w.readingTimeSec)}</td></tr>`).join('');
+  const wordRows = words.map(w => `
+        <tr><td><b>${esc(w.word)}</b></td><td>${w.misses} / ${w.seen}</td><td>${w.omitted}</td><td>${esc(w.heardAs.join(', ')) || '–'}</td></tr>`).join('');
+  const levelList = levels.map(l => `<li>${esc(l.level)} od ${esc(String(l.since).slice(0, 10))}</li>`).join('');
+
+  return `<!doctype html>
+<html lang="pl"><head><meta charset="utf-8"><title>${title}</title>
+<style>
+  body { font-family: system-ui, sans-serif; padding: 24px; color: #222; max-width: 820px; margin: auto; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0 24px; }
+  th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; }
+  th { background: #f3f3f3; }
+  .kpi { display: flex; gap: 24px; margin: 12px 0 24px; }
+  .kpi div { border: 1px solid #ddd; border-radius: 8px; padding: 8px 12px; }
+  @media print { body { padding: 0; } }
+</style></head>
+<body>
+  <h1>${title}</h1>
+  <p>Wiek: ${dash(child.age)} · poziom: ${dash(child.level)} · okres: ${esc(String(period.from || '').slice(0, 10))} – ${esc(String(period.to || '').slice(0, 10))}</p>
+  <div class="kpi">
+    <div>Sesje<br><b>${totals.sessions}</b></div>
+    <div>Czas czytania<br><b>${fmtMin(totals.readingTimeSec)}</b></div>
+    <div>Poprawność<br><b>${dash(totals.avgAccuracy)}%</b></div>
+    <div>Słowa poprawne / min<br><b>${dash(totals.avgWcpm)}</b></div>
+  </div>
+  <h2>Tydzień po tygodniu</h2>
+  <table>
+    <thead><tr><th>Tydzień od</th><th>Sesje</th><th>Poprawność</th><th>WCPM</th><th>Czas</th></tr></thead>
+    <tbody>${rows || '<tr><td colspan="5">Brak sesji</td></tr>'}
+    </tbody>
+  </table>
+  ${levelList ? `<h2>Poziomy</h2><ul>${levelList}</ul>` : ''}
+  <h2>Słowa do przećwiczenia</h2>
+  <table>
+    <thead><tr><th>Słowo</th><th>Błędy / wystąpienia</th><th>Pominięte</th><th>Słyszane jako</th></tr></thead>
+    <tbody>${wordRows || '<tr><td colspan="4">Brak powtarzających się trudności 🎉</td></tr>'}
+    </tbody>
+  </table>
+</body></html>`;
+}
@@ -0,0 +1,105 @@
+/* ===================== Storage: profile dzieci + historia sesji + urządzenia ===================== */
+// Domyślnie plikowy: każda kolekcja to <DATA_DIR>/<nazwa>.json, trzymana w pamięci
+// i zapisywana atomowo (tmp + rename) z krótkim opóźnieniem. STORE_DRIVER=memory = bez dysku.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const FLUSH_DELAY_MS = Number(process.env.STORE_FLUSH_MS || 200);
+
+function fileBackend(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = name => path.join(dir, `${name}.json`);
+  return {
+    load(name) {
+      try {
+        const raw = JSON.parse(fs.readFileSync(file(name), 'utf8'));
+        return Array.isArray(raw) ? raw : [];
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`store: nie da się wczytać ${name}.json`, err);
+        return [];
+      }
+    },
+    save(name, docs) {
+      const tmp = `${file(name)}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(docs));
+      fs.renameSync(tmp, file(name));
+    },
+  };
+}
+
+const memoryBackend = () => ({ load: () => [], save: () => {} });
+
+function createCollection(name, backend) {
+  const docs = new Map(backend.load(name).map(d => [d.id, d]));
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    try { backend.save(name, [...docs.values()]); } catch (err) { console.error(`store: zapis ${name} nieudany`, err); }
+  };
+  const schedule = () => { if (!timer) timer = setTimeout(flush, FLUSH_DELAY_MS); };
+
+  return {
+    name,
+    flush,
+    insert(doc) {
+      const at = new Date().toISOString();
+      const out = { id: crypto.randomUUID(), ...doc, createdAt: at, updatedAt: at };
+      docs.set(out.id, out);
+      schedule();
+      return out;
+    },
+    get(id) { return docs.get(id) || null; },
+    // Najnowsze pierwsze; filtr jako predykat
+    find(pred = () => true, { limit = Infinity } = {}) {
+      return [...docs.values()]
+        .filter(pred)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+        .slice(0, limit);
+    },
+    update(id, patch) {
+      const cur = docs.get(id);
+      if (!cur) return null;
+      const out = { ...cur, ...patch, id, createdAt: cur.createdAt, updatedAt: new Date().toISOString() };
+      docs.set(id, out);
+      schedule();
+      return out;
+    },
+    remove(id) {
+      const had = docs.delete(id);
+      if (had) schedule();
+      return had;
+    },
+    removeWhere(pred) {
+      let n = 0;
+      for (const [id, d] of docs) if (pred(d)) { docs.delete(id); n++; }
+      if (n) schedule();
+      return n;
+    },
+  };
+}
+
+export function createStore({ driver = process.env.STORE_DRIVER || 'file', dir = process.env.DATA_DIR || 'data' } = {}) {
+  const backend = driver === 'memory' ? memoryBackend() : fileBackend(path.resolve(dir));
+  const children = createCollection('children', backend);
+  const sessions = createCollection('sessions', backend);
+  const devices = createCollection('devices', backend);  // zarejestrowane instalacje aplikacji (lib/auth.js)
+
+  return {
+    driver,
+    children,
+    sessions,
+    devices,
+    // deviceId null = profile bez właściciela (tryb bez tokenów, dane sprzed rejestracji urządzeń)
+    childrenOf(deviceId, opts) { return children.find(c => (c.deviceId || null) === deviceId, opts); },
+    sessionsOf(childId, opts) { return sessions.find(s => s.childId === childId, opts); },
+    removeChild(id) {
+      if (!children.remove(id)) return false;
+      sessions.removeWhere(s => s.childId === id);
+      return true;
+    },
+    flush() { children.flush(); sessions.flush(); devices.flush(); },
+  };
+}
@@ -0,0 +1,123 @@
+/* ===================== Sylaby (polski) ===================== */
+// Jądro sylaby = samogłoska (a ą e ę i o ó u y). "i" przed samogłoską po spółgłosce
+// tylko zmiękcza (nie, się, ciocia, pianino) i nie tworzy osobnej sylaby.
+// "au"/"eu" na początku wyrazu to dyftong (au-to, eu-ro), w środku — dwie sylaby (na-u-ka).
+
+const VOWELS = new Set('aąeęioóuy');
+
+export const isVowel = ch => VOWELS.has(ch);
+
+// Indeksy samogłosek, które są jądrami sylab (w wyrazie małymi literami)
+export function nucleusIndexes(word = '') {
+  const w = String(word).toLowerCase();
+  const out = [];
+  for (let i = 0; i < w.length; i++) {
+    const ch = w[i];
+    if (!isVowel(ch)) continue;
+    // zmiękczające "i": po spółgłosce, przed samogłoską
+    if (ch === 'i' && i > 0 && !isVowel(w[i - 1]) && /\p{L}/u.test(w[i - 1]) && isVowel(w[i + 1] || '')) continue;
+    // dyftong na początku wyrazu: au-, eu-
+    if (ch === 'u' && i === 1 && (w[0] === 'a' || w[0] === 'e')) continue;
+    out.push(i);
+  }
+  return out;
+}
+
+export function countSyllables(word = '') {
+  return nucleusIndexes(word).length;
+}
+
+/* ===== Podział na sylaby ===== */
+// Zasady (szkolne, pod czytanie sylabami):
+//  1. jedna spółgłoska między samogłoskami → do następnej sylaby (ma-ma, Ka-sia)
+//  2. dwuznaki to jedna spółgłoska (sz cz rz ch dz dż dź), zmiękczające "i" przykleja się do niej (dzia-dek)
+//  3. sonorne na początku zbitki (r l ł m n ń j) zostają w poprzedniej sylabie (Mar-ta, dżun-gla)
+//  4. z reszty zbitki następna sylaba bierze ostatnią spółgłoskę, a parę "spółgłoska + r/l/ł/rz/w"
+//     w całości (wia-trak, cie-płe); syczącą przed nią też, jeśli coś zostaje w poprzedniej (przed-szko-le, pań-stwo)
+const DIGRAPHS = ['dż', 'dź', 'dz', 'sz', 'cz', 'rz', 'ch'];
+const SONORANTS = new Set(['r', 'l', 'ł', 'm', 'n', 'ń', 'j']);
+const LIQUIDS = new Set(['r', 'l', 'ł', 'rz', 'w']);
+const SIBILANTS = new Set(['s', 'ś', 'z', 'ź', 'sz', 'ż']);
+
+// Wyraz → jednostki { start, end, vowel, base } (base = spółgłoska bez zmiękczającego "i")
+function units(word) {
+  const w = word.toLowerCase();
+  const nuclei = new Set(nucleusIndexes(w));
+  const out = [];
+  for (let i = 0; i < w.length;) {
+    if (nuclei.has(i)) {
+      const end = i === 0 && w[1] === 'u' && !nuclei.has(1) ? 2 : i + 1;
+      out.push({ start: i, end, vowel: true, base: w.slice(i, end) });
+      i = end;
+    } else if (isVowel(w[i]) && out.length) {
+      out[out.length - 1].end = i + 1; // zmiękczające "i"
+      i++;
+    } else {
+      const base = DIGRAPHS.find(d => w.startsWith(d, i)) || w[i];
+      out.push({ start: i, end: i + base.length, vowel: false, base });
+      i += base.length;
+    }
+  }
+  return out;
+}
+
+// Ile spółgłosek zbitki zostaje w poprzedniej sylabie
+function codaLength(cons) {
+  const n = cons.length;
+  if (n <= 1) return 0;
+  let coda = 0;
+  while (coda < n - 1 && SONORANTS.has(cons[coda].base)) coda++;
+  if (n - coda <= 1) return coda;
+
+  let onset = n - 1;
+  if (LIQUIDS.has(cons[n - 1].base) && !SONORANTS.has(cons[n - 2].base) && n - 2 >= coda) onset = n - 2;
+  if (onset > 1 && SIBILANTS.has(cons[onset - 1].base)) onset--;
+  return onset;
+}
+
+/** Wyraz → tablica sylab z zachowaniem wielkości liter ("Szymon" → ["Szy", "mon"]). */
+export function syllabify(word = '') {
+  const w = String(word);
+  const u = units(w);
+  const vowels = u.map((x, i) => (x.vowel ? i : -1)).filter(i => i >= 0);
+  if (vowels.length <= 1) return w ? [w] : [];
+
+  const starts = [0];
+  for (let k = 1; k < vowels.length; k++) {
+    const a = vowels[k - 1];
+    const cons = u.slice(a + 1, vowels[k]);
+    starts.push(u[a + 1 + codaLength(cons)].start);
+  }
+  return starts.map((s, i) => w.slice(s, starts[i + 1] ?? w.length));
+}
+
+/**
+ * Tekst → tokeny do renderowania (łączniki / kolory): słowa z sylabami i offsetami
+ * w oryginalnym tekście, spacje i interpunkcja bez zmian.
+ */
+export function syllabifyText(text = '', { separator = '-' } = {}) {
+  const tokens = [];
+  let wordCount = 0, syllableCount = 0;
+  for (const m of String(text).matchAll(/(\p{L}+)|(\s+)|([^\p{L}\s]+)/gu)) {
+    const [raw, word, space] = m;
+    if (!word) {
+      tokens.push({ type: space ? 'space' : 'punct', text: raw });
+      continue;
+    }
+    let offset = m.index;
+    const syllables = syllabify(word).map(s => {
+      const out = { text: s, start: offset, end: offset + s.length };
+      offset += s.length;
+      return out;
+    });
+    wordCount++;
+    syllableCount += syllables.length;
+    tokens.push({ type: 'word', text: word, start: m.index, end: m.index + word.length, syllables, hyphenated: syllables.map(s => s.text).join(separator) });
+  }
+  return {
+    hyphenated: tokens.map(t => t.hyphenated ?? t.text).join(''),
+    wordCount,
+    syllableCount,
+    tokens,
+  };
+}
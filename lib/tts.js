@@ -0,0 +1,480 @@
+/* ===================== TTS: dostawca, podział na zdania, cache audio na dysku ===================== */
+// Jedno API zamiast /tts (ElevenLabs) i /tts-openai: dostawca z nazwy albo z kolejności
+// AI_TTS_PROVIDERS (rejestr robi failover). Długi tekst dzielimy na porcje po zdaniach (zamiast
+// ucinać na 600 znakach), każdą porcję cache'ujemy pod kluczem dostawca+model+głos+format+tekst,
+// a sklejone nagranie całości też ląduje w cache — powtórka tego samego tekstu nic nie kosztuje.
+// Tryby dla młodszych dzieci: 'slow' (lokalne spowolnienie), 'syllables' (sylaba po sylabie z pauzami),
+// 'word' (jedno słowo po stuknięciu) — każdy z własnym kluczem w tym samym cache.
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+import { WORD_STATUS, alignWords, normalizeWord, tokenize } from './alignment.js';
+import {
+  audioDuration, buildWav, floatToPcm, joinAudio, parseWav, pcmToFloat, silence, timeStretch, trimSilence,
+} from './audio.js';
+import { DEFAULT_LANG, langPack, langVoice, resolveLang } from './lang.js';
+import { splitSentences } from './passages.js';
+import { syllabifyText } from './syllables.js';
+
+export const TTS_MAX_CHARS = Number(process.env.TTS_MAX_CHARS || 5000);
+const CHUNK_CHARS = Number(process.env.TTS_CHUNK_CHARS || 600);
+const CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(process.env.DATA_DIR || 'data', 'tts-cache');
+const CACHE_MAX_BYTES = Number(process.env.TTS_CACHE_MAX_MB || 200) * 1024 * 1024;
+const SLOW_RATE = Number(process.env.TTS_SLOW_RATE || 0.75);
+const SYLLABLE_PAUSE_MS = Number(process.env.TTS_SYLLABLE_PAUSE_MS || 300);
+const WORD_PAUSE_MS = Number(process.env.TTS_WORD_PAUSE_MS || 800);
+const SYLLABLES_MAX_WORDS = Number(process.env.TTS_SYLLABLES_MAX_WORDS || 40);
+
+export const TTS_MODES = ['normal', 'slow', 'syllables', 'word'];
+
+export const TTS_FORMATS = ['mp3', 'wav', 'ogg'];
+export const CONTENT_TYPES = { mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg' };
+
+// Domyślny głos każdego dostawcy (głos z żądania nadpisuje, `voices` per dostawca przy failoverze)
+export const DEFAULT_VOICES = {
+  elevenlabs: process.env.ELEVEN_VOICE_ID || '21m00Tcm4TlvDq8ikWAM', // Rachel
+  openai: process.env.OPENAI_TTS_VOICE || 'alloy',
+  local: process.env.LOCAL_TTS_VOICE || 'alloy',
+};
+// Głos domyślny dostawcy dla języka (ELEVEN_VOICE_ID_UK, OPENAI_TTS_VOICE_DE…), a bez nich wspólny z DEFAULT_VOICES
+export const defaultVoice = (provider, lang = DEFAULT_LANG) => langVoice(lang, provider) || DEFAULT_VOICES[provider];
+
+// ElevenLabs: MP3 albo PCM (→ WAV); o Ogg prosimy jako MP3
+const FORMAT_FALLBACK = { elevenlabs: { ogg: 'mp3' } };
+
+export const OPENAI_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer', 'verse'];
+
+/* ===== Podział tekstu ===== */
+// Za długie zdanie tniemy po przecinku/średniku, a w ostateczności po spacji
+function splitLong(sentence, max) {
+  if (sentence.length <= max) return [sentence];
+  const parts = sentence.split(/(?<=[,;:—–])\s+/);
+  const out = [];
+  let cur = '';
+  for (const part of parts.length > 1 ? parts : sentence.split(/\s+/)) {
+    if (part.length > max) {
+      if (cur) out.push(cur);
+      for (let i = 0; i < part.length; i += max) out.push(part.slice(i, i + max));
+      cur = '';
+    } else if (cur && cur.length + 1 + part.length > max) {
+      out.push(cur);
+      cur = part;
+    } else {
+      cur = cur ? `${cur} ${part}` : part;
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+/** Tekst → porcje do syntezy: całe zdania sklejane do `max` znaków. */
+export function chunkText(text, max = CHUNK_CHARS) {
+  const chunks = [];
+  let cur = '';
+  for (const s of splitSentences(String(text).replace(/\s+/g, ' ')).flatMap(s => splitLong(s, max))) {
+    if (cur && cur.length + 1 + s.length > max) {
+      chunks.push(cur);
+      cur = s;
+    } else {
+      cur = cur ? `${cur} ${s}` : s;
+    }
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+/* ===== Cache na dysku ===== */
+// Pliki <sha256>.<format> (+ <sha256>.json z czasami słów); LRU po mtime (odczyt "dotyka" pliku), limit TTS_CACHE_MAX_MB
+export function createAudioCache({ dir = CACHE_DIR, maxBytes = CACHE_MAX_BYTES } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const entries = new Map(); // plik → { size, usedAt }
+  let total = 0;
+  for (const name of fs.readdirSync(dir)) {
+    if (!/^[a-f0-9]{64}\.(mp3|wav|ogg|json)$/.test(name)) continue;
+    const st = fs.statSync(path.join(dir, name));
+    entries.set(name, { size: st.size, usedAt: st.mtimeMs });
+    total += st.size;
+  }
+  const stats = { hits: 0, misses: 0, evictions: 0 };
+
+  async function evict() {
+    if (total <= maxBytes) return;
+    const oldest = [...entries].sort((a, b) => a[1].usedAt - b[1].usedAt);
+    for (const [name, e] of oldest) {
+      if (total <= maxBytes) break;
+      entries.delete(name);
+      total -= e.size;
+      stats.evictions++;
+      await fsp.unlink(path.join(dir, name)).catch(() => {});
+    }
+  }
+
+  async function get(key, format) {
+    const name = `${key}.${format}`;
+    const e = entries.get(name);
+    if (!e) { stats.misses++; return null; }
+    try {
+      const buf = await fsp.readFile(path.join(dir, name));
+      e.usedAt = Date.now();
+      fsp.utimes(path.join(dir, name), new Date(), new Date()).catch(() => {});
+      stats.hits++;
+      return buf;
+    } catch {
+      entries.delete(name);
+      total -= e.size;
+      stats.misses++;
+      return null;
+    }
+  }
+
+  async function put(key, format, buf) {
+    const name = `${key}.${format}`;
+    const tmp = path.join(dir, `${name}.${process.pid}.tmp`);
+    await fsp.writeFile(tmp, buf);
+    await fsp.rename(tmp, path.join(dir, name));
+    const prev = entries.get(name);
+    if (prev) total -= prev.size;
+    entries.set(name, { size: buf.length, usedAt: Date.now() });
+    total += buf.length;
+    await evict();
+  }
+
+  return {
+    dir,
+    file: (key, format) => path.join(dir, `${key}.${format}`),
+    has: (key, format) => entries.has(`${key}.${format}`),
+    get,
+    put,
+    async getJson(key) {
+      if (!entries.has(`${key}.json`)) return null;
+      const buf = await get(key, 'json');
+      try { return buf ? JSON.parse(buf) : null; } catch { return null; }
+    },
+    putJson: (key, value) => put(key, 'json', Buffer.from(JSON.stringify(value))),
+    stats: () => ({ ...stats, files: entries.size, bytes: total, maxBytes }),
+  };
+}
+
+const hashKey = (...parts) => crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex');
+
+/* ===== Czasy słów (podświetlanie "karaoke") ===== */
+// Ten sam kształt co wordTimestamps z /asr: { word, tStart, tEnd } w sekundach, słowa jak tokenize()
+const sec = t => Math.round(t * 1000) / 1000;
+const MIN_WORD_SEC = 0.3;
+
+// alignment ElevenLabs (czasy znaków) → słowa porcji; null, gdy podział nie zgadza się z tokenize
+function alignmentWords(chunk, alignment, offset) {
+  const chars = alignment?.characters || [];
+  const starts = alignment?.character_start_times_seconds || [];
+  const ends = alignment?.character_end_times_seconds || [];
+  const groups = [];
+  let cur = null;
+  chars.forEach((ch, i) => {
+    if (/[\s\-–—]/u.test(ch)) { cur = null; return; }
+    if (!cur) groups.push(cur = { text: '', tStart: starts[i], tEnd: ends[i] });
+    cur.text += ch;
+    cur.tEnd = ends[i];
+  });
+  const spoken = groups.filter(g => normalizeWord(g.text));
+  const tokens = tokenize(chunk);
+  if (!tokens.length || spoken.length !== tokens.length) return null;
+  return tokens.map((t, i) => ({ word: t.raw, tStart: sec(offset + spoken[i].tStart), tEnd: sec(offset + spoken[i].tEnd) }));
+}
+
+// Słowa bez czasu dostają kawałek luki między sąsiadami, proporcjonalnie do długości
+function fillGaps(tokens, times, duration) {
+  const out = times.slice();
+  for (let i = 0; i < out.length;) {
+    if (out[i]) { i++; continue; }
+    let j = i;
+    while (j < out.length && !out[j]) j++;
+    const from = i > 0 ? out[i - 1].tEnd : 0;
+    // za krótkie (szacowane) nagranie nie może ściągnąć końcówki do zera — min. MIN_WORD_SEC na słowo
+    const to = j < out.length ? out[j].tStart : Math.max(duration, from + MIN_WORD_SEC * (j - i));
+    const weights = tokens.slice(i, j).map(t => t.norm.length + 1);
+    const sum = weights.reduce((a, b) => a + b, 0);
+    let t = from;
+    for (let k = i; k < j; k++) {
+      const len = (to - from) * weights[k - i] / sum;
+      out[k] = { tStart: t, tEnd: t + len };
+      t += len;
+    }
+    i = j;
+  }
+  return tokens.map((tok, i) => ({ word: tok.raw, tStart: sec(out[i].tStart), tEnd: sec(out[i].tEnd) }));
+}
+
+/* ===== Synteza ===== */
+/**
+ * createTts({ ai, transcriber, cache }).synthesize({ text, lang, provider, voice, voices, format, timings, mode, rate })
+ * → { audio, key, format, contentType, provider, voice, mode, lang, chunks, cached, words?, timings?, syllables? }.
+ * timings: czasy słów od dostawcy (ElevenLabs with-timestamps), a bez nich — z ASR nagrania
+ * wyrównanego do tekstu ('asr'); gdy i to zawiedzie — rozłożone po długości ('estimated').
+ * W trybie 'syllables' czasy wynikają z lokalnego składania klipów ('estimated').
+ * Tryby 'slow' i 'syllables' zawsze oddają WAV (obróbka na próbkach PCM). `lang` → głos domyślny języka
+ * i język ASR przy wyrównaniu; 'syllables' tylko dla języków z sylabizacją.
+ * Błędy: EMPTY_TEXT, TEXT_TOO_LONG, UNKNOWN_PROVIDER, BAD_FORMAT, BAD_MODE, BAD_RATE, NOT_A_WORD,
+ * UNSUPPORTED_LANG, NOT_SUPPORTED_FOR_LANG, NO_PROVIDER i błędy rejestru.
+ */
+export function createTts({ ai, transcriber = null, cache = createAudioCache() } = {}) {
+  const voiceFor = (name, { voice, voices = {}, provider, lang }) =>
+    voices[name] || (voice && (!provider || provider === name) ? voice : null) || defaultVoice(name, lang);
+  const formatFor = (name, format) => FORMAT_FALLBACK[name]?.[format] || format;
+  const model = name => ai.config(name)?.models?.tts || '';
+  const chunkKey = (name, voice, format, text) => hashKey('chunk', name, model(name), voice, format, text);
+  // Czasy znaków daje tylko ElevenLabs (endpoint with-timestamps, ta sama cena co zwykła synteza)
+  const alignsNatively = name => name === 'elevenlabs';
+
+  // Wspólna walidacja; zwraca dostawców w kolejności (jawny albo wg AI_TTS_PROVIDERS)
+  function prepare({ text = '', provider, format = 'mp3' }) {
+    const clean = String(text).trim();
+    if (!clean) throw new Error('EMPTY_TEXT');
+    if (clean.length > TTS_MAX_CHARS) throw new Error('TEXT_TOO_LONG');
+    if (!TTS_FORMATS.includes(format)) throw new Error('BAD_FORMAT');
+    if (provider && !(provider in DEFAULT_VOICES)) throw new Error('UNKNOWN_PROVIDER');
+    const order = provider ? [provider] : (ai.status().tts?.providers || []).map(p => p.name);
+    const names = order.filter(n => ai.isEnabled(n, 'tts'));
+    if (!names.length) throw new Error('NO_PROVIDER');
+    return { clean, names };
+  }
+
+  // Gotowe nagranie (i czasy słów, jeśli trzeba) z cache — pierwszy dostawca z kolejki, który je ma
+  async function fromCache(names, opts, keyOf, format) {
+    for (const name of names) {
+      const voice = voiceFor(name, opts), f = format || formatFor(name, opts.format);
+      const key = keyOf(name, voice, f);
+      if (!cache.has(key, f) || (opts.timings && !cache.has(key, 'json'))) continue;
+      const audio = await cache.get(key, f);
+      const meta = opts.timings ? await cache.getJson(key) : null;
+      if (audio && (!opts.timings || meta)) {
+        return { audio, key, format: f, contentType: CONTENT_TYPES[f], provider: name, voice, cached: true, ...(meta || {}) };
+      }
+    }
+    return null;
+  }
+
+  // Porcja z cache albo od dostawcy; przy kilku dostawcach pierwszy, który odpowie
+  async function synthChunk(text, names, opts) {
+    for (const name of names) {
+      const voice = voiceFor(name, opts), format = formatFor(name, opts.format);
+      const key = chunkKey(name, voice, format, text);
+      const hit = await cache.get(key, format);
+      if (hit) {
+        const alignment = opts.timings && alignsNatively(name) ? await cache.getJson(key) : null;
+        return { audio: hit, provider: name, voice, format, alignment, cached: true };
+      }
+      if (names.length === 1) break;
+    }
+    // Głos zależy od dostawcy, więc przy failoverze pytamy po kolei (rejestr pilnuje breakera i ponowień)
+    const errors = [];
+    for (const name of names) {
+      const voice = voiceFor(name, opts), format = formatFor(name, opts.format);
+      const timestamps = Boolean(opts.timings && alignsNatively(name));
+      try {
+        const out = await ai.tts({ text, voice, format, timestamps }, { providers: [name] });
+        const key = chunkKey(name, voice, out.format || format, text);
+        await cache.put(key, out.format || format, out.audio);
+        if (out.alignment) await cache.putJson(key, out.alignment);
+        return { audio: out.audio, provider: name, voice, format: out.format || format, alignment: out.alignment || null, cached: false };
+      } catch (err) {
+        if (names.length === 1) throw err;
+        errors.push(err);
+      }
+    }
+    // wszyscy odcięci budżetem → jeden czytelny kod zamiast listy
+    if (errors.every(e => e?.message === 'BUDGET_EXCEEDED')) throw errors[0];
+    throw Object.assign(new Error('ALL_PROVIDERS_FAILED'), { errors });
+  }
+
+  // Ponowne ASR własnego nagrania i wyrównanie do tekstu (jak w /asr)
+  async function realign(text, audio, format, lang) {
+    const tokens = tokenize(text);
+    const times = tokens.map(() => null);
+    let matched = 0;
+    if (transcriber) {
+      try {
+        const out = await transcriber.transcribe({ buffer: audio, ext: format, language: langPack(lang).asr, expectedText: text });
+        for (const w of alignWords(text, out.wordTimestamps).words) {
+          if (w.expectedIndex == null || w.tStart == null || times[w.expectedIndex]) continue;
+          if (w.status !== WORD_STATUS.CORRECT && w.status !== WORD_STATUS.SUBSTITUTED) continue;
+          times[w.expectedIndex] = { tStart: w.tStart, tEnd: w.tEnd };
+          matched++;
+        }
+      } catch (err) {
+        console.warn('TTS timings ASR failed:', String(err?.message || err));
+      }
+    }
+    return { words: fillGaps(tokens, times, audioDuration(audio, format)), source: matched ? 'asr' : 'estimated' };
+  }
+
+  async function wordTimings(chunks, parts, audio, format, lang) {
+    if (parts.every(p => p.alignment)) {
+      const words = [];
+      let offset = 0;
+      for (let i = 0; i < parts.length; i++) {
+        const w = alignmentWords(chunks[i], parts[i].alignment, offset);
+        if (!w) return realign(chunks.join(' '), audio, format, lang);
+        words.push(...w);
+        offset += audioDuration(parts[i].audio, format);
+      }
+      return { words, source: 'provider' };
+    }
+    return realign(chunks.join(' '), audio, format, lang);
+  }
+
+  /* ===== Tryb zwykły: porcje po zdaniach ===== */
+  async function speak(opts) {
+    const { clean, names } = prepare(opts);
+    const chunks = chunkText(clean);
+    const fullKey = (name, voice, format) => hashKey('full', name, model(name), voice, format, ...chunks);
+
+    const hit = await fromCache(names, opts, fullKey);
+    if (hit) return { ...hit, chunks: chunks.length };
+
+    // Pierwsza porcja wybiera dostawcę; reszta u tego samego, żeby głos się nie zmieniał w połowie
+    const first = await synthChunk(chunks[0], names, opts);
+    const parts = [first];
+    for (const c of chunks.slice(1)) parts.push(await synthChunk(c, [first.provider], opts));
+
+    const audio = joinAudio(parts.map(p => p.audio), first.format);
+    const key = fullKey(first.provider, first.voice, first.format);
+    await cache.put(key, first.format, audio);
+
+    let meta = null;
+    if (opts.timings) {
+      const t = await wordTimings(chunks, parts, audio, first.format, opts.lang);
+      meta = { words: t.words, timings: t.source };
+      await cache.putJson(key, meta);
+    }
+    return {
+      audio,
+      key,
+      format: first.format,
+      contentType: CONTENT_TYPES[first.format],
+      provider: first.provider,
+      voice: first.voice,
+      chunks: chunks.length,
+      cached: parts.every(p => p.cached),
+      ...(meta || {}),
+    };
+  }
+
+  /* ===== Tryb 'slow': WAV od dostawcy + lokalne spowolnienie (WSOLA), wysokość głosu bez zmian ===== */
+  async function slow(opts, rate) {
+    const speed = rate == null || rate === '' ? SLOW_RATE : Number(rate);
+    if (!(speed >= 0.5 && speed <= 1)) throw new Error('BAD_RATE');
+    const { clean, names } = prepare(opts);
+    const slowKey = (name, voice) => hashKey('slow', speed, name, model(name), voice, clean);
+
+    const hit = await fromCache(names, opts, slowKey, 'wav');
+    if (hit) return { ...hit, chunks: chunkText(clean).length, rate: speed };
+
+    const base = await speak({ ...opts, format: 'wav' });
+    const { format: fmt, data } = parseWav(base.audio);
+    const samples = timeStretch(pcmToFloat(data, fmt?.channels || 1), speed, fmt?.sampleRate || 24000);
+    const audio = buildWav(floatToPcm(samples), { sampleRate: fmt?.sampleRate || 24000 });
+    const key = slowKey(base.provider, base.voice);
+    await cache.put(key, 'wav', audio);
+
+    let meta = null;
+    if (opts.timings && base.words) {
+      const scale = t => Math.round(t / speed * 1000) / 1000;
+      meta = { words: base.words.map(w => ({ ...w, tStart: scale(w.tStart), tEnd: scale(w.tEnd) })), timings: base.timings };
+      await cache.putJson(key, meta);
+    }
+    return {
+      audio, key, format: 'wav', contentType: CONTENT_TYPES.wav,
+      provider: base.provider, voice: base.voice, chunks: base.chunks, cached: false, rate: speed,
+      ...(meta || {}),
+    };
+  }
+
+  /* ===== Tryb 'syllables': każda sylaba osobno (cache per sylaba), pauzy między sylabami i słowami ===== */
+  async function syllables(opts) {
+    if (!langPack(opts.lang).syllables) throw new Error('NOT_SUPPORTED_FOR_LANG');
+    const { clean, names } = prepare(opts);
+    const words = syllabifyText(clean).tokens.filter(t => t.type === 'word');
+    if (!words.length) throw new Error('EMPTY_TEXT');
+    if (words.length > SYLLABLES_MAX_WORDS) throw new Error('TEXT_TOO_LONG');
+    const script = words.map(w => w.hyphenated).join(' ');
+    const sylKey = (name, voice) => hashKey('syllables', SYLLABLE_PAUSE_MS, WORD_PAUSE_MS, name, model(name), voice, script);
+    // Sylaby małymi literami (żeby "Ko" nie brzmiało jak skrót); powtórzone syntezujemy raz
+    const unique = [...new Set(words.flatMap(w => w.syllables.map(s => s.text.toLowerCase())))];
+
+    const hit = await fromCache(names, opts, sylKey, 'wav');
+    if (hit) return { ...hit, chunks: unique.length };
+
+    const wavOpts = { ...opts, format: 'wav', timings: false };
+    const first = await synthChunk(unique[0], names, wavOpts);
+    const clips = new Map([[unique[0], first]]);
+    for (const syl of unique.slice(1)) clips.set(syl, await synthChunk(syl, [first.provider], wavOpts));
+
+    const fmt = parseWav(first.audio).format || { sampleRate: 24000, channels: 1, bitsPerSample: 16 };
+    const pcm = new Map([...clips].map(([syl, c]) => {
+      const { format, data } = parseWav(c.audio);
+      return [syl, floatToPcm(trimSilence(pcmToFloat(data, format?.channels || 1), format?.sampleRate || fmt.sampleRate))];
+    }));
+    const mono = { ...fmt, channels: 1 };
+    const bytesPerSec = mono.sampleRate * 2;
+
+    const parts = [], timedWords = [], timedSyllables = [];
+    let t = 0;
+    words.forEach((w, wi) => {
+      const wordStart = t;
+      w.syllables.forEach((s, si) => {
+        const data = pcm.get(s.text.toLowerCase());
+        parts.push(data);
+        timedSyllables.push({ syllable: s.text, wordIndex: wi, tStart: sec(t), tEnd: sec(t + data.length / bytesPerSec) });
+        t += data.length / bytesPerSec;
+        const last = si === w.syllables.length - 1;
+        if (last && wi === words.length - 1) return;
+        const pause = (last ? WORD_PAUSE_MS : SYLLABLE_PAUSE_MS) / 1000;
+        parts.push(silence(pause, mono));
+        if (!last) t += pause;
+      });
+      timedWords.push({ word: w.text, tStart: sec(wordStart), tEnd: sec(t) });
+      t += WORD_PAUSE_MS / 1000;
+    });
+
+    const audio = buildWav(Buffer.concat(parts), mono);
+    const key = sylKey(first.provider, first.voice);
+    await cache.put(key, 'wav', audio);
+    // czasy policzone lokalnie z długości przyciętych klipów i pauz, nie od dostawcy
+    const meta = { words: timedWords, syllables: timedSyllables, timings: 'estimated' };
+    await cache.putJson(key, meta);
+    return {
+      audio, key, format: 'wav', contentType: CONTENT_TYPES.wav,
+      provider: first.provider, voice: first.voice, chunks: unique.length,
+      cached: [...clips.values()].every(c => c.cached),
+      ...(opts.timings ? meta : {}),
+    };
+  }
+
+  /* ===== Tryb 'word': jedno słowo (stuknięte w tekście), bez interpunkcji ===== */
+  function singleWord(text) {
+    const tokens = tokenize(text);
+    if (!tokens.length) throw new Error('EMPTY_TEXT');
+    if (tokens.length > 1) throw new Error('NOT_A_WORD');
+    return tokens[0].raw.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+  }
+
+  async function synthesize({ mode = 'normal', rate, lang: rawLang, ...rest } = {}) {
+    if (!TTS_MODES.includes(mode)) throw new Error('BAD_MODE');
+    const lang = resolveLang(rawLang);
+    if (!lang) throw new Error('UNSUPPORTED_LANG');
+    const opts = { ...rest, lang };
+    let out;
+    if (mode === 'slow') out = await slow(opts, rate);
+    else if (mode === 'syllables') out = await syllables(opts);
+    else if (mode === 'word') {
+      const text = singleWord(opts.text);
+      // słowo można też spowolnić (rate < 1)
+      out = rate != null && rate !== '' && Number(rate) !== 1 ? await slow({ ...opts, text }, rate) : await speak({ ...opts, text });
+    } else out = await speak(opts);
+    return { ...out, mode, lang };
+  }
+
+  return { synthesize, cache };
+}
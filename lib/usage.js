@@ -0,0 +1,285 @@
+/* ===================== Zużycie i koszty dostawców AI + budżety ===================== */
+// Każde udane wywołanie dostawcy z rejestru (lib/providers.js) → wpis: zdolność, dostawca, model,
+// czas, tokeny we/wy, sekundy audio, znaki, szacowany koszt z cennika (AI_PRICES nadpisuje domyślny)
+// oraz trasa, urządzenie i dziecko z kontekstu żądania (AsyncLocalStorage — działa też w zadaniach
+// w tle i bez przekazywania parametrów przez OCR/TTS/moderację). Wpisy idą do JSONL per miesiąc
+// (USAGE_DIR/usage-RRRR-MM.jsonl), w pamięci są sumy per dzień; po restarcie bieżący miesiąc jest
+// wczytywany z pliku, więc budżety liczą się dalej.
+// Budżety w USD na dzień / miesiąc (UTC): łączny, per zdolność i per dostawca. Przekroczony zakres →
+// rejestr pomija płatnych dostawców (zostaje tańszy następny z listy albo lokalny), a gdy nie ma
+// żadnego — BUDGET_EXCEEDED i trasy schodzą na swoje fallbacki offline.
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+import path from 'path';
+
+import { CAPABILITIES } from './providers.js';
+
+const DIR = process.env.USAGE_DIR || process.env.DATA_DIR || 'data';
+
+/* ===== Cennik ===== */
+// USD: chat/vision — za 1M tokenów (input/output), transcription — za minutę audio (audioMinute),
+// tts/moderation — za 1M znaków (chars). Szacunki z publicznych cenników; klucz "dostawca:model",
+// "dostawca:*" dla wszystkich modeli. Nadpisanie: AI_PRICES='{"openai:gpt-4o-mini":{"input":0.15,"output":0.6}}'
+export const DEFAULT_PRICES = {
+  'groq:llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'groq:whisper-large-v3': { audioMinute: 0.00185 },
+  'groq:whisper-large-v3-turbo': { audioMinute: 0.00067 },
+  'openai:gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'openai:whisper-1': { audioMinute: 0.006 },
+  'openai:gpt-4o-mini-transcribe': { audioMinute: 0.003 },
+  'openai:gpt-4o-mini-tts': { chars: 15 },
+  'openai:tts-1': { chars: 15 },
+  'openai:tts-1-hd': { chars: 30 },
+  'openai:omni-moderation-latest': {},
+  'elevenlabs:eleven_multilingual_v2': { chars: 300 },
+  'elevenlabs:eleven_flash_v2_5': { chars: 150 },
+  'local:*': {},
+};
+
+function pricesFromEnv(env = process.env) {
+  if (!env.AI_PRICES) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(env.AI_PRICES) };
+  } catch (err) {
+    console.error('usage: AI_PRICES to nie JSON — zostaje cennik domyślny', err.message);
+    return DEFAULT_PRICES;
+  }
+}
+
+// Koszt w USD; null = model bez ceny w cenniku
+function costOf(price, u) {
+  if (!price) return null;
+  const perMillion = (u.tokensIn || 0) * (price.input || 0) + (u.tokensOut || 0) * (price.output || 0) + (u.chars || 0) * (price.chars || 0);
+  const cost = perMillion / 1e6 + (u.audioSeconds || 0) / 60 * (price.audioMinute || 0);
+  return Math.round(cost * 1e8) / 1e8;
+}
+
+/* ===== Budżety ===== */
+// BUDGET_DAILY_USD / BUDGET_MONTHLY_USD — łącznie; BUDGET_<ZDOLNOŚĆ|DOSTAWCA>_DAILY_USD / _MONTHLY_USD
+// (np. BUDGET_TTS_DAILY_USD, BUDGET_ELEVENLABS_MONTHLY_USD) → { total | capability:x | provider:x: { daily, monthly } }
+function budgetsFromEnv(env = process.env) {
+  const out = {};
+  for (const [key, value] of Object.entries(env)) {
+    const m = key.match(/^BUDGET_(?:(\w+?)_)?(DAILY|MONTHLY)_USD$/);
+    if (!m || !(Number(value) > 0)) continue;
+    const name = m[1]?.toLowerCase();
+    const scope = !name ? 'total' : CAPABILITIES.includes(name) ? `capability:${name}` : `provider:${name}`;
+    (out[scope] ||= {})[m[2].toLowerCase()] = Number(value);
+  }
+  return out;
+}
+
+/* ===== Sumy ===== */
+const GROUPS = {
+  route: e => e.route || '(tło)',
+  provider: e => e.provider,
+  childId: e => e.childId || '(brak)',
+  capability: e => e.capability,
+  model: e => `${e.provider}:${e.model}`,
+};
+
+const emptyTotals = () => ({ calls: 0, costUsd: 0, tokensIn: 0, tokensOut: 0, audioSeconds: 0, chars: 0, latencyMs: 0, unpriced: 0 });
+const emptyAgg = () => ({ total: emptyTotals(), ...Object.fromEntries(Object.keys(GROUPS).map(g => [g, {}])) });
+
+function addTotals(t, e) {
+  t.calls += e.calls ?? 1;
+  t.costUsd += e.costUsd || 0;
+  t.tokensIn += e.tokensIn || 0;
+  t.tokensOut += e.tokensOut || 0;
+  t.audioSeconds += e.audioSeconds || 0;
+  t.chars += e.chars || 0;
+  t.latencyMs += e.latencyMs || 0;
+  t.unpriced += e.unpriced ?? (e.costUsd == null ? 1 : 0);
+}
+
+function addEntry(agg, e) {
+  addTotals(agg.total, e);
+  for (const [g, keyOf] of Object.entries(GROUPS)) addTotals(agg[g][keyOf(e)] ||= emptyTotals(), e);
+}
+
+function mergeAgg(into, agg) {
+  addTotals(into.total, agg.total);
+  for (const g of Object.keys(GROUPS)) {
+    for (const [k, t] of Object.entries(agg[g])) addTotals(into[g][k] ||= emptyTotals(), t);
+  }
+}
+
+// Kwoty w odpowiedziach: do 0,000001 USD (pojedyncze wywołania kosztują ułamki centa)
+const usd = x => Math.round(x * 1e6) / 1e6;
+
+// Do odpowiedzi: koszt zaokrąglony, średni czas zamiast sumy
+function publicTotals(t) {
+  const { latencyMs, ...rest } = t;
+  return {
+    ...rest,
+    costUsd: usd(t.costUsd),
+    audioSeconds: Math.round(t.audioSeconds * 10) / 10,
+    avgLatencyMs: t.calls ? Math.round(latencyMs / t.calls) : null,
+  };
+}
+
+const dayKey = (d = new Date()) => d.toISOString().slice(0, 10);
+
+export function createUsage({ dir = DIR, prices = pricesFromEnv(), budgets = budgetsFromEnv() } = {}) {
+  const context = new AsyncLocalStorage();
+  const days = new Map(); // 'RRRR-MM-DD' → sumy (tylko bieżący miesiąc)
+  const warned = new Set(); // przekroczenia już zgłoszone w logu
+  const fileOf = month => path.join(dir, `usage-${month}.jsonl`);
+  try { fs.mkdirSync(dir, { recursive: true }); } catch { /* zapis i tak zgłosi błąd */ }
+
+  // Plik miesiąca → sumy per dzień
+  function loadMonth(month) {
+    const out = new Map();
+    let raw = '';
+    try { raw = fs.readFileSync(fileOf(month), 'utf8'); } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`usage: nie da się wczytać usage-${month}.jsonl`, err);
+      return out;
+    }
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      let e;
+      try { e = JSON.parse(line); } catch { continue; }
+      const day = String(e.at || '').slice(0, 10);
+      if (!out.has(day)) out.set(day, emptyAgg());
+      addEntry(out.get(day), e);
+    }
+    return out;
+  }
+  let month = dayKey().slice(0, 7);
+  for (const [day, agg] of loadMonth(month)) days.set(day, agg);
+
+  const priceFor = (provider, model) => prices[`${provider}:${model}`] || prices[`${provider}:*`] || null;
+  const isFree = (provider, model) => {
+    const price = priceFor(provider, model);
+    return Boolean(price) && Object.values(price).every(v => !Number(v));
+  };
+
+  /** Wpis po udanym wywołaniu; units = { tokensIn, tokensOut, audioSeconds, chars } */
+  function record({ capability, provider, model, latencyMs, units = {} }) {
+    const ctx = context.getStore() || {};
+    const req = ctx.req;
+    const entry = {
+      at: new Date().toISOString(),
+      capability, provider, model,
+      route: ctx.route || null,
+      deviceId: ctx.deviceId || null,
+      childId: req?.body?.childId || req?.query?.childId || null,
+      latencyMs: latencyMs ?? null,
+      tokensIn: units.tokensIn ?? null,
+      tokensOut: units.tokensOut ?? null,
+      audioSeconds: units.audioSeconds ?? null,
+      chars: units.chars ?? null,
+      costUsd: costOf(priceFor(provider, model), units),
+    };
+    const day = entry.at.slice(0, 10);
+    if (day.slice(0, 7) !== month) {
+      month = day.slice(0, 7);
+      days.clear();
+    }
+    if (!days.has(day)) days.set(day, emptyAgg());
+    addEntry(days.get(day), entry);
+    fs.promises.appendFile(fileOf(month), JSON.stringify(entry) + '\n').catch(err => console.error('usage log error:', err));
+    return entry;
+  }
+
+  // Wydane w zakresie: total | capability:x | provider:x
+  function spent(scope, dayKeys) {
+    const [group, name] = scope.split(':');
+    let sum = 0;
+    for (const d of dayKeys) {
+      const agg = days.get(d);
+      if (agg) sum += group === 'total' ? agg.total.costUsd : agg[group]?.[name]?.costUsd || 0;
+    }
+    return sum;
+  }
+
+  const budgetScopes = (capability, provider) => ['total', `capability:${capability}`, `provider:${provider}`];
+
+  /** Czy dostawca jest odcięty budżetem → null albo { scope, period, limitUsd, spentUsd }; darmowi nigdy */
+  function blocked(capability, provider, model) {
+    if (isFree(provider, model)) return null;
+    const today = dayKey();
+    const monthDays = [...days.keys()].filter(d => d.startsWith(today.slice(0, 7)));
+    for (const scope of budgetScopes(capability, provider)) {
+      const limits = budgets[scope];
+      if (!limits) continue;
+      for (const [period, keys] of [['daily', [today]], ['monthly', monthDays]]) {
+        const spentUsd = spent(scope, keys);
+        if (!limits[period] || spentUsd < limits[period]) continue;
+        const mark = `${scope}|${period}|${period === 'daily' ? today : today.slice(0, 7)}`;
+        if (!warned.has(mark)) {
+          warned.add(mark);
+          console.warn(`💸 Budżet ${scope} (${period}) wyczerpany: ${usd(spentUsd)} / ${limits[period]} USD — płatni dostawcy pomijani`);
+        }
+        return { scope, period, limitUsd: limits[period], spentUsd: usd(spentUsd) };
+      }
+    }
+    return null;
+  }
+
+  function budgetStatus() {
+    const today = dayKey();
+    const monthDays = [...days.keys()].filter(d => d.startsWith(today.slice(0, 7)));
+    return Object.entries(budgets).map(([scope, limits]) => {
+      const daily = spent(scope, [today]);
+      const monthly = spent(scope, monthDays);
+      return {
+        scope,
+        dailyUsd: limits.daily ?? null,
+        monthlyUsd: limits.monthly ?? null,
+        spentTodayUsd: usd(daily),
+        spentMonthUsd: usd(monthly),
+        exceeded: Boolean((limits.daily && daily >= limits.daily) || (limits.monthly && monthly >= limits.monthly)),
+      };
+    });
+  }
+
+  /**
+   * Podsumowanie za dni from..to (RRRR-MM-DD, domyślnie bieżący miesiąc): suma i podziały
+   * po trasie, dostawcy, dziecku, zdolności i modelu; starsze miesiące czytane z plików.
+   */
+  function summary({ from, to } = {}) {
+    const today = dayKey();
+    const start = /^\d{4}-\d{2}-\d{2}$/.test(from || '') ? from : `${today.slice(0, 7)}-01`;
+    const end = /^\d{4}-\d{2}-\d{2}$/.test(to || '') ? to : today;
+    const out = emptyAgg();
+    for (let m = start.slice(0, 7); m <= end.slice(0, 7); m = nextMonth(m)) {
+      const source = m === month ? days : loadMonth(m);
+      for (const [d, agg] of source) if (d >= start && d <= end) mergeAgg(out, agg);
+    }
+    const groups = Object.fromEntries(Object.keys(GROUPS).map(g => [
+      g,
+      Object.fromEntries(Object.entries(out[g])
+        .sort(([, a], [, b]) => b.costUsd - a.costUsd || b.calls - a.calls)
+        .map(([k, t]) => [k, publicTotals(t)])),
+    ]));
+    return {
+      from: start,
+      to: end,
+      total: publicTotals(out.total),
+      byRoute: groups.route,
+      byProvider: groups.provider,
+      byChild: groups.childId,
+      byCapability: groups.capability,
+      byModel: groups.model,
+      budgets: budgetStatus(),
+    };
+  }
+
+  return {
+    record,
+    blocked,
+    summary,
+    budgetStatus,
+    // Kontekst żądania dla wywołań dostawców w jego obrębie (trasa, urządzenie; childId z body/query)
+    middleware(req, _res, next) {
+      context.run({ route: req.path, deviceId: req.device?.id || null, req }, next);
+    },
+    runAs: (ctx, fn) => context.run(ctx, fn),
+  };
+}
+
+function nextMonth(m) {
+  const [y, mo] = m.split('-').map(Number);
+  return mo === 12 ? `${y + 1}-01` : `${y}-${String(mo + 1).padStart(2, '0')}`;
+}